@@ -0,0 +1,103 @@
+/**
+ * Notification Webhooks
+ *
+ * Payloads, templates and delivery of the notifications plugin's webhooks.
+ * They live apart from the plugin because OpenCode calls every export of a
+ * plugin file as a plugin.
+ */
+
+const WEBHOOK_TIMEOUT_MS = 10 * 1000
+const WEBHOOK_BACKOFF_MS = 1000
+const DEFAULT_WEBHOOK_RETRIES = 3
+// Longest Retry-After a webhook is waited for
+const MAX_RETRY_AFTER_MS = 60 * 1000
+
+/**
+ * Webhook payloads: each builds the URL and JSON body to POST
+ */
+export const WEBHOOKS = {
+  json: (webhook, notification, context) => ({
+    url: webhook.url,
+    body: {
+      event: context.event,
+      title: notification.title,
+      message: notification.message,
+      urgent: notification.urgent,
+      project: context.project,
+      directory: context.directory,
+      hostname: context.hostname,
+      time: context.time,
+    },
+  }),
+  slack: (webhook, notification) => ({
+    url: webhook.url,
+    body: { text: `${notification.urgent ? ":warning: " : ""}*${notification.title}*\n${notification.message}` },
+  }),
+  // Published as JSON to the server (the URL without its topic), so titles
+  // needn't fit in a header; servers under a path prefix work too
+  ntfy: (webhook, notification) => {
+    const url = new URL(webhook.url)
+    const segments = url.pathname.split("/").filter(Boolean)
+    const topic = segments.pop() || ""
+    url.pathname = `/${segments.join("/")}`
+    return {
+      url: url.toString(),
+      body: {
+        topic,
+        title: notification.title,
+        message: notification.message,
+        priority: notification.urgent ? 4 : 3,
+        tags: [notification.urgent ? "warning" : "robot"],
+      },
+    }
+  },
+}
+
+/**
+ * Fill in the {placeholders} of a template; unknown ones are left as they are
+ */
+export const render = (template, context) =>
+  template.replace(/\{(\w+)\}/g, (match, name) => (context[name] ?? match).toString())
+
+/**
+ * Word a notification, applying the event's template if there is one
+ */
+export const applyTemplate = (template, context) => ({
+  title: template?.title ? render(template.title, context) : context.title,
+  message: template?.message ? render(template.message, context) : context.message,
+  urgent: template?.urgent ?? context.urgent,
+})
+
+/**
+ * POST a notification to a webhook, retrying with backoff on network
+ * errors, 5xx and 429 responses
+ * @throws {Error} - Once the retries are used up, or on another failure
+ */
+export const postWebhook = async (webhook, notification, context) => {
+  const { url, body } = WEBHOOKS[webhook.type](webhook, notification, context)
+  const headers = {
+    "Content-Type": "application/json",
+    ...(webhook.token ? { Authorization: `Bearer ${webhook.token}` } : {}),
+    ...webhook.headers,
+  }
+  const retries = webhook.retries ?? DEFAULT_WEBHOOK_RETRIES
+
+  for (let attempt = 0; ; attempt++) {
+    let response = null
+    let failure
+    try {
+      response = await fetch(url, { method: "POST", headers, body: JSON.stringify(body), signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS) })
+      if (response.ok) return
+      failure = `${response.status} ${response.statusText}`
+    } catch (error) {
+      failure = error.message
+    }
+
+    const retryable = !response || response.status >= 500 || response.status === 429
+    if (!retryable || attempt >= retries) {
+      throw new Error(`${failure}${attempt > 0 ? ` after ${attempt + 1} attempts` : ""}`)
+    }
+    const retryAfter = Number(response?.headers.get("retry-after")) * 1000
+    await Bun.sleep(retryAfter > 0 ? Math.min(retryAfter, MAX_RETRY_AFTER_MS) : WEBHOOK_BACKOFF_MS * 2 ** attempt)
+  }
+}
@@ -1,40 +1,255 @@
 /**
  * OpenCode Notifications Plugin
  * 
- * Sends macOS notifications for:
+ * Sends desktop notifications for:
  * - Permission requests (when agent needs approval for edits/commands)
  * - Session completion (when agent finishes working)
+ * - Copilot budget alerts (checked when the agent finishes, if
+ *   copilot-budget.json exists; see tools/copilot-usage-budget.mjs)
  * 
- * Requires: macOS (uses osascript)
+ * Notifications go through one backend, picked at init from what is
+ * available: terminal-notifier or osascript on macOS, notify-send or D-Bus
+ * (gdbus) on Linux, else an OSC 9/777 escape sequence or a bell for
+ * terminals that support them, else nothing. Set "backend" in
+ * notifications.json (or OPENCODE_NOTIFY_BACKEND) to choose one.
+ * 
+ * notifications.json can also list webhooks (generic JSON, Slack or ntfy)
+ * that get the same events, e.g. for agents running on a remote machine, and
+ * templates that reword the notification of an event:
+ * 
+ *   {
+ *     "backend": "auto",
+ *     "webhooks": [
+ *       { "type": "slack", "url": "https://hooks.slack.com/services/...", "events": ["session.idle"] },
+ *       { "type": "ntfy", "url": "https://ntfy.sh/my-topic", "token": "tk_..." },
+ *       { "type": "json", "url": "http://localhost:8080/hook", "headers": { "X-Key": "..." }, "retries": 5 }
+ *     ],
+ *     "templates": {
+ *       "session.idle": { "title": "{project} done", "message": "Agent finished on {hostname}" }
+ *     }
+ *   }
  */
 
+import { existsSync, writeFileSync } from "node:fs"
+import { homedir, hostname } from "node:os"
+import { basename, join } from "node:path"
+import { WEBHOOKS, applyTemplate, postWebhook } from "./lib/notification-webhooks.js"
+
+const CONFIG_DIR = join(process.env.XDG_CONFIG_HOME || join(homedir(), ".config"), "opencode")
+const NOTIFICATIONS_CONFIG = join(CONFIG_DIR, "notifications.json")
+const BUDGET_CONFIG = join(CONFIG_DIR, "copilot-budget.json")
+const COPILOT_USAGE_SCRIPT = join(CONFIG_DIR, "tool", "copilot-usage.mjs")
+
+// Events that notify, with their default wording
+const EVENTS = {
+  "permission.updated": { title: "OpenCode Permission", message: "Agent requesting permission to make changes", urgent: false },
+  "session.idle": { title: "OpenCode Complete", message: "Agent finished working!", urgent: false },
+  "session.error": { title: "OpenCode Error", message: "An error occurred during the session", urgent: true },
+  // Title and message come from the alert
+  "copilot.budget": { urgent: true },
+}
+
+/**
+ * Write an escape sequence to the terminal, bypassing OpenCode's output
+ */
+const writeToTerminal = (sequence) => {
+  try {
+    writeFileSync("/dev/tty", sequence)
+  } catch {
+    process.stderr.write(sequence)
+  }
+}
+
+// Strip characters that would end an escape sequence early
+const escapeText = (text) => text.replace(/[\x00-\x1f\x7f;]/g, " ")
+
+// Quote a string for AppleScript
+const appleScriptString = (text) => `"${text.replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`
+
+/**
+ * Notification backends, in the order auto-detection tries them
+ *
+ * `available()` tells whether the backend can work here; `send()` shows a
+ * notification, `urgent` ones being errors and budget alerts.
+ */
+const BACKENDS = {
+  // Note: -appIcon parameter is broken in terminal-notifier (issue #320)
+  "terminal-notifier": {
+    available: () => process.platform === "darwin" && Boolean(Bun.which("terminal-notifier")),
+    send: ($, { title, message, urgent }) =>
+      $`terminal-notifier -title ${title} -message ${message} -sound ${urgent ? "Basso" : "Glass"} -timeout 5`.quiet(),
+  },
+  osascript: {
+    available: () => process.platform === "darwin" && Boolean(Bun.which("osascript")),
+    send: ($, { title, message, urgent }) =>
+      $`osascript -e ${`display notification ${appleScriptString(message)} with title ${appleScriptString(title)} sound name "${urgent ? "Basso" : "Glass"}"`}`.quiet(),
+  },
+  "notify-send": {
+    available: () => process.platform !== "darwin" && Boolean(Bun.which("notify-send")),
+    send: ($, { title, message, urgent }) =>
+      $`notify-send --app-name=OpenCode --urgency=${urgent ? "critical" : "normal"} --expire-time=5000 ${title} ${message}`.quiet(),
+  },
+  dbus: {
+    available: () => process.platform !== "darwin" && Boolean(Bun.which("gdbus")) && Boolean(process.env.DBUS_SESSION_BUS_ADDRESS),
+    send: ($, { title, message, urgent }) =>
+      $`gdbus call --session --dest org.freedesktop.Notifications --object-path /org/freedesktop/Notifications --method org.freedesktop.Notifications.Notify OpenCode 0 "" ${title} ${message} ${"[]"} ${`{"urgency": <byte ${urgent ? 2 : 1}>}`} 5000`.quiet(),
+  },
+  // iTerm2, WezTerm, Ghostty, Windows Terminal and kitty show OSC 9 as a notification
+  osc9: {
+    available: () =>
+      ["iTerm.app", "WezTerm", "ghostty"].includes(process.env.TERM_PROGRAM) ||
+      Boolean(process.env.WT_SESSION) ||
+      Boolean(process.env.KITTY_WINDOW_ID),
+    send: (_, { title, message }) => writeToTerminal(`\x1b]9;${escapeText(`${title}: ${message}`)}\x07`),
+  },
+  // foot, urxvt and VTE-based terminals (GNOME Terminal, Tilix) support OSC 777
+  osc777: {
+    available: () =>
+      /^(foot|rxvt)/.test(process.env.TERM || "") || Boolean(process.env.VTE_VERSION),
+    send: (_, { title, message }) => writeToTerminal(`\x1b]777;notify;${escapeText(title)};${escapeText(message)}\x07`),
+  },
+  bell: {
+    available: () => Boolean(process.stdout.isTTY || process.stderr.isTTY),
+    send: () => writeToTerminal("\x07"),
+  },
+  none: {
+    available: () => true,
+    send: () => {},
+  },
+}
+
+/**
+ * Load notifications.json
+ */
+const loadConfig = async () => {
+  if (!existsSync(NOTIFICATIONS_CONFIG)) return {}
+  try {
+    return (await Bun.file(NOTIFICATIONS_CONFIG).json()) || {}
+  } catch (error) {
+    console.error(`Invalid ${NOTIFICATIONS_CONFIG}:`, error.message)
+    return {}
+  }
+}
+
+/**
+ * Keep the valid webhooks of the config, reporting the others
+ */
+const loadWebhooks = (config) =>
+  (Array.isArray(config.webhooks) ? config.webhooks : []).filter((webhook, i) => {
+    if (!webhook || !WEBHOOKS[webhook.type] || !URL.canParse(webhook.url)) {
+      console.error(`Skipping webhook ${i + 1} in ${NOTIFICATIONS_CONFIG}: needs a "type" (${Object.keys(WEBHOOKS).join(", ")}) and a "url"`)
+      return false
+    }
+    return true
+  })
+
+/**
+ * Pick the notification backend: the configured one if it is available,
+ * otherwise the first available one
+ */
+const selectBackend = (config) => {
+  const configured = process.env.OPENCODE_NOTIFY_BACKEND || config.backend || null
+
+  if (configured && configured !== "auto") {
+    if (!BACKENDS[configured]) {
+      console.error(`Unknown notification backend '${configured}' (expected auto, ${Object.keys(BACKENDS).join(", ")})`)
+    } else if (!BACKENDS[configured].available()) {
+      console.error(`Notification backend '${configured}' is not available here, detecting another`)
+    } else {
+      return configured
+    }
+  }
+
+  return Object.keys(BACKENDS).find((name) => BACKENDS[name].available())
+}
+
 export const NotificationPlugin = async ({ project, client, $, directory, worktree }) => {
-  console.log("🔔 Notification plugin initialized")
+  const config = await loadConfig()
+  const backendName = selectBackend(config)
+  const backend = BACKENDS[backendName]
+  const webhooks = loadWebhooks(config)
+  const templates = config.templates || {}
+  console.log(`🔔 Notification plugin initialized (${backendName}${webhooks.length > 0 ? `, ${webhooks.length} webhook${webhooks.length !== 1 ? "s" : ""}` : ""})`)
+
+  /**
+   * Notify of an event on the desktop and through every webhook that wants
+   * it; `details` adds to (or replaces) the event's default wording and is
+   * available to templates. Returns once the desktop notification is sent.
+   */
+  const notify = async (eventType, details = {}) => {
+    const context = {
+      event: eventType,
+      ...EVENTS[eventType],
+      project: basename(worktree || directory || ""),
+      directory: directory || "",
+      hostname: hostname(),
+      time: new Date().toISOString(),
+      ...details,
+    }
+
+    // Webhooks are not waited for, so one that is slow or retrying doesn't
+    // hold up the session
+    for (const webhook of webhooks.filter((webhook) => !webhook.events || webhook.events.includes(eventType))) {
+      postWebhook(webhook, applyTemplate(webhook.templates?.[eventType] || templates[eventType], context), context).catch((error) => {
+        // The host only, since webhook URLs often carry a secret
+        console.error(`Failed to send ${webhook.type} webhook to ${new URL(webhook.url).host}:`, error.message)
+      })
+    }
+
+    try {
+      await backend.send($, applyTemplate(templates[eventType], context))
+    } catch (error) {
+      console.error(`Failed to send notification (${backendName}):`, error.message)
+    }
+  }
+
+  // Budget alerts already sent, so each is only sent once per account, month and status
+  const budgetAlerts = new Set()
+
+  const checkCopilotBudget = async () => {
+    if (!existsSync(BUDGET_CONFIG)) return
+
+    const result = await $`bun ${COPILOT_USAGE_SCRIPT} --check-budget --format json`.nothrow().quiet()
+    if (result.exitCode !== 0) {
+      console.error("Copilot budget check failed:", result.stderr.toString().trim())
+      return
+    }
+
+    const { alerts, errors = [] } = JSON.parse(result.stdout.toString())
+    for (const error of errors) {
+      console.error(`Copilot budget check failed for ${error.account}:`, error.message)
+    }
+    for (const alert of alerts) {
+      const key = `${alert.account}:${alert.period}:${alert.status}`
+      if (budgetAlerts.has(key)) continue
+      budgetAlerts.add(key)
+      const title = alert.status === "over" ? "Copilot Over Budget" : "Copilot Budget Warning"
+      await notify("copilot.budget", { title, message: alert.message, account: alert.account, period: alert.period, status: alert.status })
+    }
+  }
 
   return {
     event: async ({ event }) => {
       try {
-        // Note: -appIcon parameter is broken in terminal-notifier (issue #320)
-        // Using terminal-notifier without custom icon for now
-        
         // Permission requested - agent needs approval
         if (event.type === "permission.updated") {
-          await $`terminal-notifier -title "OpenCode Permission" -message "Agent requesting permission to make changes" -sound Glass -timeout 5`
+          await notify("permission.updated", { permission: event.properties?.title || "" })
         }
 
         // Session idle - agent finished working
         if (event.type === "session.idle") {
-          await $`terminal-notifier -title "OpenCode Complete" -message "Agent finished working!" -sound Glass -timeout 5`
+          await notify("session.idle", { session: event.properties?.sessionID || "" })
+          await checkCopilotBudget()
         }
 
         // Session error - something went wrong
         if (event.type === "session.error") {
-          await $`terminal-notifier -title "OpenCode Error" -message "An error occurred during the session" -sound Basso -timeout 5`
+          const error = event.properties?.error
+          await notify("session.error", { session: event.properties?.sessionID || "", error: error?.data?.message || error?.name || "" })
         }
       } catch (error) {
-        // Silently fail if notifications don't work
-        // (e.g., on non-macOS systems or if osascript is not available)
-        console.error("Failed to send notification:", error.message)
+        // Don't let a failed notification (or budget check) break the session
+        console.error("Notification failed:", error.message)
       }
     },
   }
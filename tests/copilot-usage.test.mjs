@@ -0,0 +1,310 @@
+/**
+ * Tests for the Copilot usage report
+ *
+ * The script runs against recorded GitHub API responses (see
+ * helpers/github-replay.mjs), with a stubbed gh that hands out the token, and
+ * a throwaway cache and config directory.
+ */
+
+import { describe, test, expect, beforeAll, afterAll, beforeEach } from "bun:test";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { startReplayServer, FAKE_BIN_DIR } from "./helpers/github-replay.mjs";
+import { ReportOptionsError, normalizeReportOptions } from "../tools/copilot-usage-report.mjs";
+import { evaluateBudget } from "../tools/copilot-usage-budget.mjs";
+import { apiGet, apiGetAll } from "../tools/copilot-usage-api.mjs";
+
+const SCRIPT = join(import.meta.dir, "..", "tools", "copilot-usage.mjs");
+const TOKEN = "replay-token";
+
+let server;
+let home;
+
+/**
+ * Run copilot-usage.mjs against the replay server
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+ */
+async function runScript(args, env = {}) {
+  const { GITHUB_TOKEN, GH_TOKEN, GH_ENTERPRISE_TOKEN, GITHUB_ENTERPRISE_TOKEN, ...inherited } = process.env;
+  const proc = Bun.spawn(["bun", SCRIPT, ...args], {
+    cwd: home,
+    env: {
+      ...inherited,
+      HOME: home,
+      XDG_CACHE_HOME: join(home, "cache"),
+      XDG_CONFIG_HOME: join(home, "config"),
+      PATH: `${FAKE_BIN_DIR}:${process.env.PATH}`,
+      FAKE_GH_TOKEN: TOKEN,
+      GITHUB_API_URL: server.url,
+      ...env,
+    },
+    stdout: "pipe",
+    stderr: "pipe",
+  });
+  const [stdout, stderr, code] = await Promise.all([
+    new Response(proc.stdout).text(),
+    new Response(proc.stderr).text(),
+    proc.exited,
+  ]);
+  return { code, stdout, stderr };
+}
+
+beforeAll(() => {
+  server = startReplayServer({ token: TOKEN });
+});
+
+afterAll(async () => {
+  server.stop();
+  await rm(home, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  if (home) await rm(home, { recursive: true, force: true });
+  home = await mkdtemp(join(tmpdir(), "copilot-usage-test-"));
+  server.requests.length = 0;
+});
+
+describe("normalizeReportOptions", () => {
+  const now = new Date(2026, 9, 19);
+
+  test("defaults to the current month", () => {
+    expect(normalizeReportOptions({}, now).period).toEqual({ year: 2026, month: 10 });
+  });
+
+  test("a year without a month covers the whole year", () => {
+    expect(normalizeReportOptions({ year: 2025 }, now).period).toEqual({ year: 2025, month: null });
+  });
+
+  test("resolves a range of months", () => {
+    const { months } = normalizeReportOptions({ last: 3 }, now);
+    expect(months).toEqual([
+      { year: 2026, month: 8 },
+      { year: 2026, month: 9 },
+      { year: 2026, month: 10 },
+    ]);
+  });
+
+  test("splits and dedupes the organizations", () => {
+    expect(normalizeReportOptions({ orgs: "acme, beta,acme" }, now).orgs).toEqual(["acme", "beta"]);
+  });
+
+  test.each([
+    [{ month: 13 }, "--month must be a number from 1 to 12"],
+    [{ year: Number.NaN }, "--year must be a number"],
+    [{ format: "xml" }, "--format must be one of"],
+    [{ refresh: true, offline: true }, "--refresh cannot be combined with --offline"],
+    [{ enterprise: "bigco", account: "acme" }, "--enterprise cannot be combined with an account"],
+    [{ orgs: "acme,beta", seats: true }, "--seats needs a single organization"],
+    [{ metrics: true, format: "csv" }, "--metrics only works with the text report"],
+    [{ month: 9, last: 3 }, "--month/--year cannot be combined"],
+  ])("rejects %p", (options, message) => {
+    expect(() => normalizeReportOptions(options, now)).toThrow(ReportOptionsError);
+    expect(() => normalizeReportOptions(options, now)).toThrow(message);
+  });
+});
+
+describe("evaluateBudget", () => {
+  const totals = { netAmount: 15, premiumRequests: 0 };
+
+  test("projects the current local month from the days elapsed", () => {
+    const evaluation = evaluateBudget({ dollars: 20 }, totals, { year: 2026, month: 9 }, { now: new Date(2026, 8, 15, 23, 30) });
+    expect(evaluation).toMatchObject({ status: "projected", daysElapsed: 15, daysInMonth: 30 });
+    expect(evaluation.checks[0].projected).toBe(30);
+  });
+
+  test("takes a past month as it is", () => {
+    const evaluation = evaluateBudget({ dollars: 20 }, totals, { year: 2026, month: 9 }, { now: new Date(2026, 9, 1, 0, 30) });
+    expect(evaluation).toMatchObject({ status: "ok", daysElapsed: 30 });
+  });
+});
+
+describe("apiGet", () => {
+  test("calls the API it is given, with the token for its host", async () => {
+    const other = startReplayServer({ token: "other-token" });
+    const saved = { GITHUB_TOKEN: process.env.GITHUB_TOKEN, GH_ENTERPRISE_TOKEN: process.env.GH_ENTERPRISE_TOKEN };
+    try {
+      // Neither server is github.com, so they get the enterprise token
+      process.env.GITHUB_TOKEN = "github-com-token";
+      process.env.GH_ENTERPRISE_TOKEN = TOKEN;
+      expect(await apiGet("/user", { apiUrl: server.url })).toMatchObject({ login: "octo" });
+      const seats = await apiGetAll("/orgs/acme/copilot/billing/seats", { key: "seats", apiUrl: `${server.url}/` });
+      expect(seats).toHaveLength(3);
+      expect(other.requests).toHaveLength(0);
+
+      process.env.GH_ENTERPRISE_TOKEN = "other-token";
+      expect(await apiGet("/user", { apiUrl: other.url })).toMatchObject({ login: "octo" });
+      expect(other.requests).toHaveLength(1);
+    } finally {
+      for (const [name, value] of Object.entries(saved)) {
+        if (value === undefined) delete process.env[name];
+        else process.env[name] = value;
+      }
+      other.stop();
+    }
+  });
+
+  test("never sends GITHUB_TOKEN to a host other than github.com", async () => {
+    const { code } = await runScript(["--year", "2026", "--month", "9"], { GITHUB_TOKEN: "github-com-token" });
+    expect(code).toBe(0);
+  });
+
+  test("reads a 404 as no usage only for an account that exists, and doesn't cache it", async () => {
+    const { code, stdout } = await runScript(["beta", "--year", "2026", "--month", "9"]);
+    expect(code).toBe(0);
+    expect(stdout).toContain("Total Net Cost: $19.00");
+    expect(server.requests.map((request) => request.path)).toContain("/orgs/beta");
+    expect(await Bun.file(join(home, "cache", "opencode", "copilot-usage", encodeURIComponent(new URL(server.url).host), "org", "beta", "2026-09.json")).exists()).toBe(false);
+
+    const missing = await runScript(["nosuch", "--year", "2026", "--month", "9"]);
+    expect(missing.code).toBe(1);
+    expect(missing.stderr).toContain("Not found: /organizations/nosuch/settings/billing/");
+    expect(missing.stderr).toContain("The account may not exist");
+  });
+});
+
+describe("copilot-usage.mjs", () => {
+  test("reports a personal account with the token from gh", async () => {
+    const { code, stdout } = await runScript(["--year", "2026", "--month", "9"]);
+    expect(code).toBe(0);
+    expect(stdout).toContain("Account: Personal (octo)");
+    expect(stdout).toContain("Period: 9/2026");
+    expect(stdout).toContain("Data: live");
+    expect(stdout).toContain("SKU: Copilot Pro");
+    expect(stdout).toContain("Claude Sonnet 4");
+    expect(stdout).not.toContain("Actions");
+    expect(server.requests.map((request) => request.path)).toContain("/users/octo/settings/billing/premium_request/usage");
+    expect(server.requests.find((request) => request.path.endsWith("/usage/summary")).query).toMatchObject({ year: "2026", month: "9" });
+  });
+
+  test("counts premium requests listed in both reports once", async () => {
+    await Bun.write(join(home, "config", "opencode", "copilot-budget.json"), JSON.stringify({ accounts: { personal: { dollars: 20 } } }));
+    const { code, stdout } = await runScript(["--year", "2026", "--month", "9"]);
+    expect(code).toBe(0);
+    expect(stdout.match(/Model: Claude Sonnet 4/g)).toHaveLength(1);
+    expect(stdout).toContain("Total Net Cost: $12.00");
+    expect(stdout).toContain("Net cost: $12.00 of $20.00 (60%)");
+  });
+
+  test("reports an organization with its seats", async () => {
+    const { code, stdout } = await runScript(["acme", "--year", "2026", "--month", "9"]);
+    expect(code).toBe(0);
+    expect(stdout).toContain("Account: Organization (acme)");
+    expect(stdout).toContain("Total seats: 3");
+    expect(stdout).toContain("Active this cycle: 2");
+    expect(stdout).toContain("Plan type: business");
+    expect(stdout).toContain("SKU: Copilot Business");
+    expect(stdout).toContain("GPT-5");
+  });
+
+  test("divides the report's total by the active users", async () => {
+    const { code, stdout } = await runScript(["acme", "--year", "2026", "--month", "9", "--metrics"]);
+    expect(code).toBe(0);
+    expect(stdout).toContain("Total Net Cost: $61.00");
+    expect(stdout).toContain("Daily active users: 3 average, 4 peak");
+    expect(stdout).toContain("Cost per active user: $20.33");
+    expect(server.requests.find((request) => request.path === "/orgs/acme/copilot/metrics").query).toMatchObject({ since: "2026-09-01", until: "2026-09-30" });
+  });
+
+  test("serves a closed month from the cache, and offline", async () => {
+    expect((await runScript(["acme", "--year", "2026", "--month", "9"])).code).toBe(0);
+    const fetched = server.requests.length;
+
+    const { code, stdout } = await runScript(["acme", "--year", "2026", "--month", "9", "--offline"]);
+    expect(code).toBe(0);
+    expect(stdout).toContain("Data: cached");
+    expect(server.requests.length).toBe(fetched);
+  });
+
+  test("fails offline without cached data", async () => {
+    const { code, stdout, stderr } = await runScript(["acme", "--year", "2026", "--month", "9", "--offline"]);
+    expect(code).toBe(1);
+    expect(stderr).toContain("❌ Error:");
+    expect(stdout).toBe("");
+    expect(server.requests).toHaveLength(0);
+  });
+
+  test("lists seats across pages", async () => {
+    const { code, stdout } = await runScript(["acme", "--seats", "--format", "json"]);
+    expect(code).toBe(0);
+    const report = JSON.parse(stdout);
+    expect(report.seats.map((seat) => seat.login).sort()).toEqual(["alice", "bob", "carol"]);
+    expect(server.requests.filter((request) => request.path === "/orgs/acme/copilot/billing/seats")).toHaveLength(2);
+  });
+
+  test("exports the Copilot line items as JSON", async () => {
+    const { code, stdout } = await runScript(["--year", "2026", "--month", "9", "--format", "json"]);
+    expect(code).toBe(0);
+    const report = JSON.parse(stdout);
+    expect(report).toMatchObject({ account: "octo", accountType: "personal", periods: ["2026-09"], totalNetAmount: 12 });
+    expect(report.items.map((item) => item.sku).sort()).toEqual(["Copilot Premium Request", "Copilot Pro"]);
+  });
+
+  test("writes the report to a file", async () => {
+    const file = join(home, "usage.csv");
+    const { code, stdout } = await runScript(["acme", "--year", "2026", "--month", "9", "--format", "csv", "-o", file]);
+    expect(code).toBe(0);
+    expect(stdout).toContain(`✓ Wrote ${file}`);
+    expect(await Bun.file(file).text()).toContain("Copilot Business");
+  });
+
+  test("looks up the login again for another token", async () => {
+    expect((await runScript(["--year", "2026", "--month", "9"])).code).toBe(0);
+    server.requests.length = 0;
+
+    const { code } = await runScript(["--year", "2026", "--month", "9"], { FAKE_GH_TOKEN: "someone-else" });
+    expect(code).toBe(1);
+    expect(server.requests[0].path).toBe("/user");
+  });
+
+  test("takes the API from --api-url", async () => {
+    const { code, stdout } = await runScript(["acme", "--year", "2026", "--month", "9", "--api-url", server.url], { GITHUB_API_URL: "" });
+    expect(code).toBe(0);
+    expect(stdout).toContain("Total Net Cost: $61.00");
+    expect(await Bun.file(join(home, "cache", "opencode", "copilot-usage", encodeURIComponent(new URL(server.url).host), "org", "acme", "2026-09.json")).exists()).toBe(true);
+  });
+
+  test("explains API errors", async () => {
+    const { code, stdout, stderr } = await runScript(["--year", "2026", "--month", "9"], { FAKE_GH_TOKEN: "wrong-token" });
+    expect(code).toBe(1);
+    expect(stderr).toContain("❌ Error:");
+    expect(stderr).toContain("401");
+    expect(stdout).toBe("");
+  });
+
+  test("checks the other budgets when one account fails", async () => {
+    await Bun.write(
+      join(home, "config", "opencode", "copilot-budget.json"),
+      JSON.stringify({ accounts: { secret: { dollars: 10 }, acme: { dollars: 50 }, personal: { dollars: 100 } } })
+    );
+    const { code, stdout } = await runScript(["--check-budget", "--format", "json"]);
+    expect(code).toBe(0);
+    const result = JSON.parse(stdout);
+    expect(result.accounts.map((account) => [account.account, account.status])).toEqual([["acme", "over"], ["octo", "ok"]]);
+    expect(result.alerts.map((alert) => alert.account)).toEqual(["acme"]);
+    expect(result.errors).toEqual([{ account: "secret", message: expect.stringContaining("403") }]);
+
+    const text = await runScript(["--check-budget"]);
+    expect(text.stdout).toContain("🚨 acme");
+    expect(text.stdout).toContain("❌ secret: ");
+  });
+
+  test("rejects invalid options before calling the API", async () => {
+    const { code, stderr } = await runScript(["--refresh", "--offline"]);
+    expect(code).toBe(1);
+    expect(stderr).toContain("Error: --refresh cannot be combined with --offline");
+    expect(server.requests).toHaveLength(0);
+  });
+
+  test.each([
+    [["--foo"], "Error: Unknown option '--foo'"],
+    [["acme", "--month"], "Error: --month needs a value"],
+    [["acme", "beta"], "Error: Unexpected argument 'beta'"],
+  ])("rejects the arguments %p", async (args, message) => {
+    const { code, stdout, stderr } = await runScript(args);
+    expect(code).toBe(1);
+    expect(stderr).toContain(message);
+    expect(stdout).toBe("");
+    expect(server.requests).toHaveLength(0);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Git Sandbox
+ *
+ * Throwaway git repositories for the worktree tests: a temporary directory
+ * with a bare origin and clones of it, and a git environment that ignores
+ * the user's and system's git config. The worktree scripts run in it as
+ * subprocesses.
+ */
+
+import { $ } from "bun";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { FAKE_BIN_DIR } from "./github-replay.mjs";
+
+export const TOOLS_DIR = join(import.meta.dir, "..", "..", "tools");
+
+/**
+ * Create a sandbox in a new temporary directory
+ *
+ * The scripts find the stubbed gh from tests/fixtures/bin first on PATH; it
+ * answers with the recordings ghResponse() writes.
+ * @returns {Promise<{root: string, env: object, createRepo: Function, pushFromElsewhere: Function, ghResponse: Function, run: Function, runJson: Function, cleanup: Function}>}
+ */
+export async function createSandbox() {
+  const root = await mkdtemp(join(tmpdir(), "worktree-test-"));
+  const env = {
+    PATH: `${FAKE_BIN_DIR}:${process.env.PATH}`,
+    FAKE_GH_DIR: join(root, "gh"),
+    HOME: root,
+    XDG_CONFIG_HOME: join(root, "config"),
+    GIT_CONFIG_GLOBAL: "/dev/null",
+    GIT_CONFIG_NOSYSTEM: "1",
+    GIT_AUTHOR_NAME: "Test",
+    GIT_AUTHOR_EMAIL: "test@example.com",
+    GIT_COMMITTER_NAME: "Test",
+    GIT_COMMITTER_EMAIL: "test@example.com",
+    NO_COLOR: "1",
+  };
+
+  /**
+   * Create a bare origin and a clone of it with one pushed commit on `branch`
+   * @returns {Promise<{origin: string, repo: string}>}
+   */
+  const createRepo = async ({ branch = "main" } = {}) => {
+    const origin = join(root, "origin.git");
+    const repo = join(root, "repo");
+    await $`git init -q --bare -b ${branch} ${origin}`.env(env);
+    await $`git clone -q ${origin} ${repo}`.env(env).quiet();
+    await Bun.write(join(repo, "README.md"), "# test\n");
+    await Bun.write(join(repo, ".gitignore"), ".opencode-wt/\n");
+    await $`git -C ${repo} add -A`.env(env);
+    await $`git -C ${repo} commit -q -m init`.env(env);
+    await $`git -C ${repo} push -q origin HEAD`.env(env).quiet();
+    return { origin, repo };
+  };
+
+  /**
+   * Push a commit to origin from another clone, so the repository is behind
+   */
+  const pushFromElsewhere = async (origin, file, content, { branch = null } = {}) => {
+    const other = join(root, `other-${file}-${branch || "default"}`);
+    await $`git clone -q ${origin} ${other}`.env(env).quiet();
+    if (branch) await $`git -C ${other} checkout -q -B ${branch}`.env(env);
+    await Bun.write(join(other, file), content);
+    await $`git -C ${other} add -A`.env(env);
+    await $`git -C ${other} commit -q -m ${`change ${file}`}`.env(env);
+    await $`git -C ${other} push -q origin HEAD`.env(env).quiet();
+  };
+
+  /**
+   * Record what the stubbed gh prints for a command, e.g. "pr-view-7"
+   */
+  const ghResponse = (command, data) =>
+    Bun.write(join(env.FAKE_GH_DIR, `${command}.json`), typeof data === "string" ? `${data}\n` : JSON.stringify(data));
+
+  /**
+   * Run a worktree script
+   * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+   */
+  const run = async (script, args, cwd) => {
+    const proc = Bun.spawn(["bun", join(TOOLS_DIR, `${script}.mjs`), ...args], { cwd, env, stdout: "pipe", stderr: "pipe" });
+    const [stdout, stderr, code] = await Promise.all([
+      new Response(proc.stdout).text(),
+      new Response(proc.stderr).text(),
+      proc.exited,
+    ]);
+    return { code, stdout, stderr };
+  };
+
+  /**
+   * Run a worktree script with --json and parse its output
+   * @returns {Promise<{code: number, json: object, stderr: string}>}
+   */
+  const runJson = async (script, args, cwd) => {
+    const { code, stdout, stderr } = await run(script, [...args, "--json"], cwd);
+    let json = null;
+    try {
+      json = JSON.parse(stdout);
+    } catch {
+      throw new Error(`${script} printed no JSON (exit ${code}):\n${stdout}\n${stderr}`);
+    }
+    return { code, json, stderr };
+  };
+
+  return {
+    root,
+    env,
+    createRepo,
+    pushFromElsewhere,
+    ghResponse,
+    run,
+    runJson,
+    cleanup: () => rm(root, { recursive: true, force: true }),
+  };
+}
@@ -0,0 +1,76 @@
+/**
+ * GitHub API Replay Server
+ *
+ * Serves recorded API responses for the tests. A request for a path answers
+ * with `<fixtures>/<path>.json` (query parameters are ignored); page N of a
+ * list comes from `<path>.pageN.json`, and a Link header points to the next
+ * page while its file exists. An error response is recorded as
+ * `<path>.response.json`: `{status, headers, body}`. Paths without a
+ * recording get a 404, and requests without the expected token a 401, like
+ * the real API.
+ */
+
+import { existsSync } from "node:fs";
+import { join } from "node:path";
+
+export const FIXTURES_DIR = join(import.meta.dir, "..", "fixtures");
+export const GITHUB_FIXTURES_DIR = join(FIXTURES_DIR, "github");
+export const FAKE_BIN_DIR = join(FIXTURES_DIR, "bin");
+
+/**
+ * Find the recording of one page of a path
+ */
+function fixtureFile(dir, path, page) {
+  return join(dir, page > 1 ? `${path}.page${page}.json` : `${path}.json`);
+}
+
+/**
+ * Start a replay server
+ * @param {{dir?: string, token?: string}} options - Recordings to serve, and
+ *   the token requests must carry
+ * @returns {{url: string, requests: Array<{path: string, query: object}>, stop: Function}}
+ */
+export function startReplayServer({ dir = GITHUB_FIXTURES_DIR, token = "replay-token" } = {}) {
+  const requests = [];
+  const json = (body, status = 200, headers = {}) =>
+    new Response(JSON.stringify(body), { status, headers: { "content-type": "application/json", ...headers } });
+
+  const server = Bun.serve({
+    port: 0,
+    hostname: "127.0.0.1",
+    async fetch(req) {
+      const url = new URL(req.url);
+      const path = url.pathname.replace(/\/+$/, "");
+      requests.push({ path, query: Object.fromEntries(url.searchParams) });
+
+      if (req.headers.get("authorization") !== `Bearer ${token}`) {
+        return json({ message: "Bad credentials" }, 401);
+      }
+
+      const page = Number(url.searchParams.get("page") || 1);
+      const file = fixtureFile(dir, path, page);
+      if (!existsSync(file)) {
+        const response = join(dir, `${path}.response.json`);
+        if (existsSync(response)) {
+          const { status, headers = {}, body } = await Bun.file(response).json();
+          return json(body, status, headers);
+        }
+        return json({ message: "Not Found" }, 404);
+      }
+
+      const headers = {};
+      if (existsSync(fixtureFile(dir, path, page + 1))) {
+        const next = new URL(url);
+        next.searchParams.set("page", String(page + 1));
+        headers.link = `<${next}>; rel="next"`;
+      }
+      return new Response(await Bun.file(file).text(), { headers: { "content-type": "application/json", ...headers } });
+    },
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.port}`,
+    requests,
+    stop: () => server.stop(true),
+  };
+}
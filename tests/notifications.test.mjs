@@ -0,0 +1,192 @@
+/**
+ * Tests for the notifications plugin's webhooks
+ *
+ * Webhooks are posted to a local Bun.serve stub that answers with the
+ * statuses each test queues up.
+ */
+
+import { describe, test, expect, beforeAll, afterAll, beforeEach } from "bun:test";
+import { $ } from "bun";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { WEBHOOKS, render, applyTemplate, postWebhook } from "../plugins/lib/notification-webhooks.js";
+
+const notification = { title: "OpenCode Complete", message: "Agent finished working!", urgent: false };
+const context = {
+  event: "session.idle",
+  ...notification,
+  project: "my-app",
+  directory: "/work/my-app",
+  hostname: "devbox",
+  time: "2026-10-19T12:00:00.000Z",
+  session: "ses_1",
+};
+
+let server;
+let url;
+// Requests received, and the responses to give, in order (then 200)
+let received;
+let responses;
+
+beforeAll(() => {
+  server = Bun.serve({
+    port: 0,
+    hostname: "127.0.0.1",
+    async fetch(req) {
+      received.push({ at: Date.now(), path: new URL(req.url).pathname, headers: Object.fromEntries(req.headers), body: await req.json() });
+      const { status = 200, headers = {}, delay = 0 } = responses.shift() || {};
+      if (delay) await Bun.sleep(delay);
+      return new Response(null, { status, headers });
+    },
+  });
+  url = `http://127.0.0.1:${server.port}`;
+});
+
+afterAll(() => {
+  server.stop(true);
+});
+
+beforeEach(() => {
+  received = [];
+  responses = [];
+});
+
+describe("WEBHOOKS", () => {
+  test("json posts the notification with its context", () => {
+    expect(WEBHOOKS.json({ type: "json", url: `${url}/hook` }, notification, context)).toEqual({
+      url: `${url}/hook`,
+      body: {
+        event: "session.idle",
+        title: "OpenCode Complete",
+        message: "Agent finished working!",
+        urgent: false,
+        project: "my-app",
+        directory: "/work/my-app",
+        hostname: "devbox",
+        time: "2026-10-19T12:00:00.000Z",
+      },
+    });
+  });
+
+  test("slack posts the title in bold, flagging urgent ones", () => {
+    const webhook = { type: "slack", url: "https://hooks.slack.com/services/T0/B0/x" };
+    expect(WEBHOOKS.slack(webhook, notification, context).body).toEqual({ text: "*OpenCode Complete*\nAgent finished working!" });
+    expect(WEBHOOKS.slack(webhook, { ...notification, urgent: true }, context).body.text).toStartWith(":warning: *OpenCode Complete*");
+  });
+
+  test("ntfy publishes to the topic at the end of the URL", () => {
+    const { url: target, body } = WEBHOOKS.ntfy({ type: "ntfy", url: "https://ntfy.sh/my-topic" }, { ...notification, urgent: true }, context);
+    expect(target).toBe("https://ntfy.sh/");
+    expect(body).toEqual({ topic: "my-topic", title: "OpenCode Complete", message: "Agent finished working!", priority: 4, tags: ["warning"] });
+  });
+
+  test("ntfy keeps the path of a self-hosted server", () => {
+    const { url: target, body } = WEBHOOKS.ntfy({ type: "ntfy", url: "https://example.com/ntfy/alerts/" }, notification, context);
+    expect(target).toBe("https://example.com/ntfy");
+    expect(body).toMatchObject({ topic: "alerts", priority: 3, tags: ["robot"] });
+  });
+});
+
+describe("templates", () => {
+  test("render fills in placeholders and leaves unknown ones", () => {
+    expect(render("{project} done on {hostname} ({nope})", context)).toBe("my-app done on devbox ({nope})");
+  });
+
+  test("applyTemplate rewords only what the template sets", () => {
+    expect(applyTemplate({ title: "{project}: {event}" }, context)).toEqual({ title: "my-app: session.idle", message: "Agent finished working!", urgent: false });
+    expect(applyTemplate({ message: "Session {session}", urgent: true }, context)).toEqual({ title: "OpenCode Complete", message: "Session ses_1", urgent: true });
+  });
+
+  test("applyTemplate keeps the default wording without a template", () => {
+    expect(applyTemplate(undefined, context)).toEqual(notification);
+  });
+});
+
+describe("postWebhook", () => {
+  test("posts the payload with the token and headers", async () => {
+    await postWebhook({ type: "ntfy", url: `${url}/base/my-topic`, token: "tk_1", headers: { "X-Key": "k" } }, notification, context);
+    expect(received).toHaveLength(1);
+    expect(received[0].path).toBe("/base");
+    expect(received[0].headers).toMatchObject({ authorization: "Bearer tk_1", "x-key": "k", "content-type": "application/json" });
+    expect(received[0].body.topic).toBe("my-topic");
+  });
+
+  test("retries server errors with growing backoff", async () => {
+    responses = [{ status: 503 }, { status: 502 }];
+    await postWebhook({ type: "json", url: `${url}/hook` }, notification, context);
+    expect(received).toHaveLength(3);
+    expect(received[1].at - received[0].at).toBeGreaterThanOrEqual(950);
+    expect(received[2].at - received[1].at).toBeGreaterThanOrEqual(1950);
+  });
+
+  test("waits as long as Retry-After says on 429", async () => {
+    responses = [{ status: 429, headers: { "Retry-After": "2" } }];
+    await postWebhook({ type: "slack", url: `${url}/hook` }, notification, context);
+    expect(received).toHaveLength(2);
+    expect(received[1].at - received[0].at).toBeGreaterThanOrEqual(1950);
+  });
+
+  test("gives up after the configured retries", async () => {
+    responses = [{ status: 500 }, { status: 500 }];
+    await expect(postWebhook({ type: "json", url: `${url}/hook`, retries: 1 }, notification, context)).rejects.toThrow("500 Internal Server Error after 2 attempts");
+    expect(received).toHaveLength(2);
+  });
+
+  test("doesn't retry client errors", async () => {
+    responses = [{ status: 404 }];
+    await expect(postWebhook({ type: "json", url: `${url}/hook` }, notification, context)).rejects.toThrow("404 Not Found");
+    expect(received).toHaveLength(1);
+  });
+});
+
+describe("NotificationPlugin", () => {
+  let configHome;
+  let hooks;
+
+  beforeAll(async () => {
+    configHome = await mkdtemp(join(tmpdir(), "notifications-test-"));
+    await Bun.write(
+      join(configHome, "opencode", "notifications.json"),
+      JSON.stringify({
+        backend: "none",
+        webhooks: [
+          { type: "json", url: `${url}/slow`, events: ["session.error"] },
+          { type: "slack", url: `${url}/other`, events: ["permission.updated"] },
+        ],
+        templates: { "session.error": { message: "{project}: {error}" } },
+      })
+    );
+    // The plugin reads its config directory when it is loaded
+    const saved = process.env.XDG_CONFIG_HOME;
+    process.env.XDG_CONFIG_HOME = configHome;
+    try {
+      const { NotificationPlugin } = await import("../plugins/notifications.js");
+      hooks = await NotificationPlugin({ $, directory: "/work/my-app", worktree: "/work/my-app" });
+    } finally {
+      if (saved === undefined) delete process.env.XDG_CONFIG_HOME;
+      else process.env.XDG_CONFIG_HOME = saved;
+    }
+  });
+
+  afterAll(async () => {
+    await rm(configHome, { recursive: true, force: true });
+  });
+
+  test("exports only the plugin", async () => {
+    expect(Object.keys(await import("../plugins/notifications.js"))).toEqual(["NotificationPlugin"]);
+  });
+
+  test("returns without waiting for webhooks", async () => {
+    responses = [{ delay: 1500 }];
+    const started = Date.now();
+    await hooks.event({ event: { type: "session.error", properties: { sessionID: "ses_1", error: { name: "Boom" } } } });
+    expect(Date.now() - started).toBeLessThan(1000);
+
+    while (received.length === 0) await Bun.sleep(10);
+    expect(received).toHaveLength(1);
+    expect(received[0].path).toBe("/slow");
+    expect(received[0].body).toMatchObject({ event: "session.error", message: "my-app: Boom", urgent: true });
+    await Bun.sleep(1600);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Tests for detecting a repository's default remote and base branch
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from "bun:test";
+import { $ } from "bun";
+import { join } from "node:path";
+import { createSandbox, TOOLS_DIR } from "./helpers/git-sandbox.mjs";
+
+let sandbox;
+
+beforeEach(async () => {
+  sandbox = await createSandbox();
+});
+
+afterEach(async () => {
+  await sandbox.cleanup();
+});
+
+/**
+ * getRepoDefaults() as the scripts see it, run in the sandbox's environment
+ */
+async function getDefaults(cwd) {
+  const code = `import { getRepoDefaults } from ${JSON.stringify(join(TOOLS_DIR, "worktree-common.mjs"))};
+console.log(JSON.stringify(await getRepoDefaults()));`;
+  return JSON.parse(await $`bun -e ${code}`.cwd(cwd).env(sandbox.env).text());
+}
+
+/**
+ * A repository on `trunk` whose origin/HEAD is set, as in a fresh clone
+ */
+async function createTrunkRepo() {
+  const created = await sandbox.createRepo({ branch: "trunk" });
+  await $`git -C ${created.repo} remote set-head origin --auto`.env(sandbox.env).quiet();
+  return created;
+}
+
+/**
+ * Add a remote with one branch, fetched but without a HEAD (like `git remote add`)
+ */
+async function addRemote(repo, name, branch) {
+  const path = join(sandbox.root, `${name}.git`);
+  await $`git init -q --bare -b ${branch} ${path}`.env(sandbox.env);
+  await $`git -C ${repo} push -q ${path} ${`HEAD:refs/heads/${branch}`}`.env(sandbox.env).quiet();
+  await $`git -C ${repo} remote add ${name} ${path}`.env(sandbox.env);
+  await $`git -C ${repo} fetch -q ${name}`.env(sandbox.env).quiet();
+}
+
+describe("getRepoDefaults", () => {
+  test("uses origin and the branch its HEAD points to", async () => {
+    const { repo } = await createTrunkRepo();
+
+    expect(await getDefaults(repo)).toEqual({
+      remote: "origin",
+      branch: "trunk",
+      ref: "origin/trunk",
+      source: { remote: "detected", branch: "remote-head" },
+    });
+  });
+
+  test("prefers upstream in a fork and asks gh for its default branch", async () => {
+    const { repo } = await sandbox.createRepo();
+    await addRemote(repo, "upstream", "develop");
+    await sandbox.ghResponse("repo-view", "develop");
+
+    expect(await getDefaults(repo)).toMatchObject({ remote: "upstream", branch: "develop", source: { branch: "gh" } });
+  });
+
+  test("falls back to the first of main, master and develop on the remote", async () => {
+    const { repo } = await sandbox.createRepo();
+    await addRemote(repo, "upstream", "master");
+
+    expect(await getDefaults(repo)).toMatchObject({ remote: "upstream", branch: "master", ref: "upstream/master", source: { branch: "guess" } });
+  });
+
+  test("git config wins over .opencode-wt.json, which wins over detection", async () => {
+    const { repo } = await sandbox.createRepo();
+    await addRemote(repo, "upstream", "main");
+    await Bun.write(join(repo, ".opencode-wt.json"), JSON.stringify({ remote: "origin", baseBranch: "release" }));
+    await $`git -C ${repo} config opencode-wt.baseBranch stable`.env(sandbox.env);
+
+    expect(await getDefaults(repo)).toEqual({
+      remote: "origin",
+      branch: "stable",
+      ref: "origin/stable",
+      source: { remote: "config", branch: "git-config" },
+    });
+  });
+
+  test("is the same from a linked worktree", async () => {
+    const { repo } = await createTrunkRepo();
+    expect((await sandbox.run("worktree-add", ["feature", "--no-open", "--no-setup"], repo)).code).toBe(0);
+
+    expect(await getDefaults(join(repo, ".opencode-wt", "feature"))).toMatchObject({ remote: "origin", branch: "trunk" });
+  });
+});
+
+describe("worktree-sync --onto", () => {
+  test("defaults to the detected base branch", async () => {
+    const { origin, repo } = await createTrunkRepo();
+    expect((await sandbox.run("worktree-add", ["feature", "--no-open", "--no-setup"], repo)).code).toBe(0);
+    await sandbox.pushFromElsewhere(origin, "a.txt", "a\n");
+
+    const { code, json } = await sandbox.runJson("worktree-sync", ["--onto"], repo);
+    expect(code).toBe(0);
+    expect(json).toMatchObject({ onto: "origin/trunk", strategy: "rebase" });
+    expect(json.worktrees.find(wt => wt.branch === "feature").action).toBe("rebased");
+  });
+});
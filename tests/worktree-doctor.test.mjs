@@ -0,0 +1,65 @@
+/**
+ * Tests for /worktree-doctor
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from "bun:test";
+import { $ } from "bun";
+import { join } from "node:path";
+import { createSandbox } from "./helpers/git-sandbox.mjs";
+
+// worktree.useRelativePaths is new in git 2.48
+const [major, minor] = (await $`git --version`.text()).match(/(\d+)\.(\d+)/).slice(1).map(Number);
+const hasRelativePaths = major > 2 || (major === 2 && minor >= 48);
+
+let sandbox;
+
+beforeEach(async () => {
+  sandbox = await createSandbox();
+});
+
+afterEach(async () => {
+  await sandbox.cleanup();
+});
+
+describe("worktree-doctor", () => {
+  test("--fix unlocks only a lock left by a crashed worktree add", async () => {
+    const { repo } = await sandbox.createRepo();
+    const crashed = join(repo, ".opencode-wt", "crashed");
+    const kept = join(repo, ".opencode-wt", "kept");
+    await $`git -C ${repo} worktree add -q -b crashed ${crashed}`.env(sandbox.env).quiet();
+    await $`git -C ${repo} worktree add -q -b kept ${kept}`.env(sandbox.env).quiet();
+    await $`git -C ${repo} worktree lock --reason initializing ${crashed}`.env(sandbox.env);
+    await $`git -C ${repo} worktree lock --reason ${"release freeze"} ${kept}`.env(sandbox.env);
+
+    const { code, stdout } = await sandbox.run("worktree-doctor", ["--no-size", "--stale-lock", "0", "--fix", "--json"], repo);
+    expect(code).toBe(0);
+    const report = JSON.parse(stdout);
+    const locks = report.issues.filter(i => i.kind === "stale-lock");
+    expect(locks).toHaveLength(2);
+    expect(locks.find(i => i.branch === "crashed")).toMatchObject({ severity: "warning", fix: { action: "unlock" } });
+    expect(locks.find(i => i.branch === "kept")).toMatchObject({ severity: "info", fix: null, message: "Locked for 0 days (release freeze)" });
+    expect(locks.find(i => i.branch === "kept").hint).toContain("/worktree-unlock kept");
+    expect(report.fixed.map(i => i.branch)).toEqual(["crashed"]);
+
+    const list = await $`git -C ${repo} worktree list --porcelain`.env(sandbox.env).text();
+    expect(list).toContain("locked release freeze");
+    expect(list).not.toContain("locked initializing");
+  });
+
+  /**
+   * Add a worktree for `feature` and check that the doctor finds nothing wrong
+   */
+  const expectHealthy = async (gitConfig) => {
+    const { repo } = await sandbox.createRepo();
+    await $`git ${gitConfig} -C ${repo} worktree add -q -b feature ${join(repo, ".opencode-wt", "feature")}`.env(sandbox.env).quiet();
+
+    const { code, json } = await sandbox.runJson("worktree-doctor", ["--no-size"], repo);
+    expect(code).toBe(0);
+    expect(json.issues).toEqual([]);
+  };
+
+  test("finds no broken links in healthy worktrees", () => expectHealthy([]));
+
+  test.skipIf(!hasRelativePaths)("resolves relative gitdir paths (worktree.useRelativePaths)", () =>
+    expectHealthy(["-c", "worktree.useRelativePaths=true"]));
+});
@@ -0,0 +1,94 @@
+/**
+ * Tests for /worktree-exec
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from "bun:test";
+import { $ } from "bun";
+import { join } from "node:path";
+import { createSandbox } from "./helpers/git-sandbox.mjs";
+
+let sandbox;
+
+beforeEach(async () => {
+  sandbox = await createSandbox();
+});
+
+afterEach(async () => {
+  await sandbox.cleanup();
+});
+
+/**
+ * A repository with worktrees for feature/a, feature/b and fix
+ */
+async function createRepoWithWorktrees() {
+  const { repo } = await sandbox.createRepo();
+  for (const branch of ["feature/a", "feature/b", "fix"]) {
+    expect((await sandbox.run("worktree-add", [branch, "--no-open", "--no-setup"], repo)).code).toBe(0);
+  }
+  return repo;
+}
+
+/**
+ * Run /worktree-exec with --json, which has to come before the command
+ */
+async function execJson(args, cwd) {
+  const { code, stdout, stderr } = await sandbox.run("worktree-exec", ["--json", ...args], cwd);
+  return { code, json: JSON.parse(stdout), stderr };
+}
+
+const branchesOf = (json) => json.worktrees.map(wt => wt.branch);
+
+describe("worktree-exec", () => {
+  test("runs a shell command everywhere with the OPENCODE_WT_* variables set", async () => {
+    const repo = await createRepoWithWorktrees();
+
+    const { code, json } = await execJson(['echo "$OPENCODE_WT_BRANCH|$OPENCODE_WT_PATH|$OPENCODE_WT_MAIN|$(pwd)"'], repo);
+    expect(code).toBe(0);
+    expect(json.summary).toEqual({ total: 4, passed: 4, failed: 0 });
+    for (const wt of json.worktrees) {
+      expect(wt.output).toBe(`${wt.branch}|${wt.path}|${repo}|${wt.path}\n`);
+    }
+  });
+
+  test("filters by branch glob, dirty state and the main worktree", async () => {
+    const repo = await createRepoWithWorktrees();
+    await Bun.write(join(repo, ".opencode-wt", "feature+b", "wip.txt"), "wip\n");
+
+    const byBranch = await execJson(["-b", "feature/*", "true"], repo);
+    expect(branchesOf(byBranch.json)).toEqual(["feature/a", "feature/b"]);
+
+    const dirty = await execJson(["--dirty", "true"], repo);
+    expect(branchesOf(dirty.json)).toEqual(["feature/b"]);
+
+    const noMain = await execJson(["--no-main", "true"], join(repo, ".opencode-wt", "fix"));
+    expect(branchesOf(noMain.json)).toEqual(["feature/a", "feature/b", "fix"]);
+  });
+
+  test("skips locked worktrees unless --include-locked", async () => {
+    const repo = await createRepoWithWorktrees();
+    await $`git -C ${repo} worktree lock ${join(repo, ".opencode-wt", "fix")}`.env(sandbox.env);
+
+    const skipped = await execJson(["--no-main", "true"], repo);
+    expect(branchesOf(skipped.json)).toEqual(["feature/a", "feature/b"]);
+
+    const included = await execJson(["--no-main", "--include-locked", "true"], repo);
+    expect(branchesOf(included.json)).toEqual(["feature/a", "feature/b", "fix"]);
+  });
+
+  test("exits 1 when the command fails anywhere, still reporting every worktree", async () => {
+    const repo = await createRepoWithWorktrees();
+
+    const { code, json, stderr } = await execJson(["--", "sh", "-c", 'test "$OPENCODE_WT_BRANCH" != fix'], repo);
+    expect(code).toBe(1);
+    expect(json.worktrees.map(wt => [wt.branch, wt.exitCode])).toEqual([["main", 0], ["feature/a", 0], ["feature/b", 0], ["fix", 1]]);
+    expect(stderr).toContain("Command failed in 1 of 4 worktrees");
+  });
+
+  test("prints an empty report when no worktree matches", async () => {
+    const repo = await createRepoWithWorktrees();
+
+    const { code, json } = await execJson(["-b", "release/*", "true"], repo);
+    expect(code).toBe(0);
+    expect(json.worktrees).toEqual([]);
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Tests for /worktree-add --pr and --issue, with gh answering from recordings
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from "bun:test";
+import { $ } from "bun";
+import { join } from "node:path";
+import { createSandbox } from "./helpers/git-sandbox.mjs";
+import { EXIT_CODES } from "../tools/worktree-common.mjs";
+
+let sandbox;
+
+beforeEach(async () => {
+  sandbox = await createSandbox();
+});
+
+afterEach(async () => {
+  await sandbox.cleanup();
+});
+
+/**
+ * What `gh pr view <number> --json ...` prints
+ */
+function pullRequest(number, fields) {
+  return {
+    number,
+    title: "Fix the login redirect",
+    url: `https://github.com/acme/project/pull/${number}`,
+    state: "OPEN",
+    headRefName: "fix-login",
+    headRepository: { name: "project" },
+    headRepositoryOwner: { login: "acme" },
+    isCrossRepository: false,
+    maintainerCanModify: true,
+    ...fields,
+  };
+}
+
+/**
+ * A fork of origin at <sandbox>/alice/project.git with `branch` pushed to it,
+ * already added as the remote `alice`
+ */
+async function createFork(origin, repo, branch) {
+  const fork = join(sandbox.root, "alice", "project.git");
+  await $`git clone -q --bare ${origin} ${fork}`.env(sandbox.env).quiet();
+  await sandbox.pushFromElsewhere(fork, "fix.txt", "fix\n", { branch });
+  await $`git -C ${repo} remote add alice ${fork}`.env(sandbox.env);
+  return fork;
+}
+
+const gitConfig = async (repo, key) =>
+  (await $`git -C ${repo} config --get-all ${key}`.env(sandbox.env).nothrow().quiet().text()).trim();
+
+describe("worktree-add --pr", () => {
+  test("checks out the branch of a PR from the same repository", async () => {
+    const { origin, repo } = await sandbox.createRepo();
+    await sandbox.pushFromElsewhere(origin, "fix.txt", "fix\n", { branch: "fix-login" });
+    await sandbox.ghResponse("pr-view-5", pullRequest(5));
+
+    const { code, json } = await sandbox.runJson("worktree-add", ["--pr", "5", "--no-open", "--no-setup"], repo);
+    expect(code).toBe(0);
+    expect(json).toMatchObject({
+      created: true,
+      branch: "fix-login",
+      path: join(repo, ".opencode-wt", "pr-5"),
+      pr: { number: 5, headRef: "fix-login", fork: false, remote: "origin", canPush: true },
+    });
+    expect(await Bun.file(join(json.path, "fix.txt")).text()).toBe("fix\n");
+  });
+
+  test("tracks and pushes to the fork of a cross-repository PR through per-branch config", async () => {
+    const { origin, repo } = await sandbox.createRepo();
+    await createFork(origin, repo, "patch");
+    await sandbox.ghResponse("pr-view-7", pullRequest(7, {
+      headRefName: "patch",
+      headRepositoryOwner: { login: "alice" },
+      isCrossRepository: true,
+    }));
+
+    const { code, json } = await sandbox.runJson("worktree-add", ["--pr", "7", "--no-open", "--no-setup"], repo);
+    expect(code).toBe(0);
+    expect(json).toMatchObject({ branch: "pr-7", pr: { fork: true, remote: "alice", headRef: "patch", canPush: true } });
+    expect(await gitConfig(repo, "branch.pr-7.remote")).toBe("alice");
+    expect(await gitConfig(repo, "branch.pr-7.merge")).toBe("refs/heads/patch");
+    expect(await gitConfig(repo, "branch.pr-7.pushRemote")).toBe("alice");
+    // The reused remote may be shared with other branches, so its push config stays as it was
+    expect(await gitConfig(repo, "remote.alice.push")).toBe("");
+
+    await Bun.write(join(json.path, "more.txt"), "more\n");
+    await $`git -C ${json.path} add -A`.env(sandbox.env);
+    await $`git -C ${json.path} commit -q -m more`.env(sandbox.env);
+    await $`git -C ${json.path} push -q alice HEAD:patch`.env(sandbox.env).quiet();
+    const pushed = await $`git -C ${repo} ls-remote alice refs/heads/patch`.env(sandbox.env).text();
+    expect(pushed).toStartWith((await $`git -C ${json.path} rev-parse HEAD`.env(sandbox.env).text()).trim());
+  });
+
+  test("can't push when the author doesn't allow edits from maintainers", async () => {
+    const { origin, repo } = await sandbox.createRepo();
+    await createFork(origin, repo, "patch");
+    await sandbox.ghResponse("pr-view-8", pullRequest(8, {
+      headRefName: "patch",
+      headRepositoryOwner: { login: "alice" },
+      isCrossRepository: true,
+      maintainerCanModify: false,
+    }));
+
+    const { code, json, stderr } = await sandbox.runJson("worktree-add", ["--pr", "8", "--no-open", "--no-setup"], repo);
+    expect(code).toBe(0);
+    expect(json.pr.canPush).toBe(false);
+    expect(stderr).toContain("doesn't allow edits from maintainers");
+  });
+
+  test("exits 11 when gh can't find the PR", async () => {
+    const { repo } = await sandbox.createRepo();
+
+    const { code, stderr } = await sandbox.run("worktree-add", ["--pr", "404", "--no-open"], repo);
+    expect(code).toBe(EXIT_CODES.github);
+    expect(stderr).toContain("Pull request #404 not found");
+  });
+});
+
+describe("worktree-add --issue", () => {
+  test("creates a branch named after the issue from the default branch", async () => {
+    const { origin, repo } = await sandbox.createRepo();
+    // Ahead of the local main, so the base is visibly origin/main
+    await sandbox.pushFromElsewhere(origin, "upstream.txt", "new\n");
+    await $`git -C ${repo} fetch -q origin`.env(sandbox.env);
+    await sandbox.ghResponse("issue-view-42", {
+      number: 42,
+      title: "Fix: login redirect loops (Safari)",
+      url: "https://github.com/acme/project/issues/42",
+      state: "OPEN",
+    });
+
+    const { code, json } = await sandbox.runJson("worktree-add", ["--issue", "42", "--no-open", "--no-setup"], repo);
+    expect(code).toBe(0);
+    expect(json).toMatchObject({
+      branch: "42-fix-login-redirect-loops-safari",
+      path: join(repo, ".opencode-wt", "42-fix-login-redirect-loops-safari"),
+      issue: { number: 42, title: "Fix: login redirect loops (Safari)" },
+    });
+    expect(await Bun.file(join(json.path, "upstream.txt")).exists()).toBe(true);
+  });
+});
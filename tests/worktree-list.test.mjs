@@ -0,0 +1,72 @@
+/**
+ * Tests for the --json output of /worktree-list and /worktree-status
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from "bun:test";
+import { join } from "node:path";
+import { createSandbox } from "./helpers/git-sandbox.mjs";
+
+let sandbox;
+
+beforeEach(async () => {
+  sandbox = await createSandbox();
+});
+
+afterEach(async () => {
+  await sandbox.cleanup();
+});
+
+/**
+ * A repository with one linked worktree for branch feature/x
+ */
+async function createRepoWithWorktree() {
+  const { origin, repo } = await sandbox.createRepo();
+  const { code } = await sandbox.run("worktree-add", ["feature/x", "--no-open", "--no-setup"], repo);
+  expect(code).toBe(0);
+  return { origin, repo, worktree: join(repo, ".opencode-wt", "feature+x") };
+}
+
+describe("worktree-list --json", () => {
+  test("lists the main and linked worktrees", async () => {
+    const { repo, worktree } = await createRepoWithWorktree();
+
+    const { code, json } = await sandbox.runJson("worktree-list", [], repo);
+    expect(code).toBe(0);
+    expect(json.repoRoot).toBe(repo);
+    expect(json.summary).toEqual({ total: 2, linked: 1 });
+    expect(json.worktrees.map(wt => [wt.branch, wt.relativePath, wt.isMain, wt.isCurrent])).toEqual([
+      ["main", ".", true, true],
+      ["feature/x", ".opencode-wt/feature+x", false, false],
+    ]);
+    expect(json.worktrees[1]).toMatchObject({ path: worktree, locked: false, prunable: false, aliases: [] });
+    expect(json.worktrees[1].metadata).toMatchObject({ base: "main", note: null });
+  });
+
+  test("still marks the main checkout as main from a linked worktree", async () => {
+    const { repo, worktree } = await createRepoWithWorktree();
+
+    const { json } = await sandbox.runJson("worktree-list", [], worktree);
+    expect(json.repoRoot).toBe(repo);
+    expect(json.worktrees.map(wt => [wt.branch, wt.isMain, wt.isCurrent])).toEqual([
+      ["main", true, false],
+      ["feature/x", false, true],
+    ]);
+  });
+});
+
+describe("worktree-status --json", () => {
+  test("reports changes, upstream and last commit of each worktree", async () => {
+    const { origin, repo, worktree } = await createRepoWithWorktree();
+    await sandbox.pushFromElsewhere(origin, "a.txt", "a\n");
+    await Bun.$`git -C ${repo} fetch -q`.env(sandbox.env);
+    await Bun.write(join(worktree, "new.txt"), "x\n");
+
+    const { code, json } = await sandbox.runJson("worktree-status", [], worktree);
+    expect(code).toBe(0);
+    expect(json.summary).toEqual({ total: 2, clean: 1, dirty: 1 });
+    const [main, linked] = json.worktrees;
+    expect(main).toMatchObject({ branch: "main", isMain: true, remote: { upstream: "origin/main", behind: 1, ahead: 0 } });
+    expect(main.lastCommit.message).toBe("init");
+    expect(linked).toMatchObject({ branch: "feature/x", isMain: false, status: { clean: false } });
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Tests for /worktree-lock, /worktree-unlock and /worktree-move
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from "bun:test";
+import { $ } from "bun";
+import { existsSync } from "node:fs";
+import { join } from "node:path";
+import { createSandbox } from "./helpers/git-sandbox.mjs";
+import { EXIT_CODES } from "../tools/worktree-common.mjs";
+
+let sandbox;
+
+beforeEach(async () => {
+  sandbox = await createSandbox();
+});
+
+afterEach(async () => {
+  await sandbox.cleanup();
+});
+
+/**
+ * A repository with a linked worktree for feature/x, aliased `x`
+ * @returns {Promise<{repo: string, worktree: string}>}
+ */
+async function createRepoWithWorktree() {
+  const { repo } = await sandbox.createRepo();
+  expect((await sandbox.run("worktree-add", ["feature/x", "--alias", "x", "--no-open", "--no-setup"], repo)).code).toBe(0);
+  return { repo, worktree: join(repo, ".opencode-wt", "feature+x") };
+}
+
+describe("worktree-lock and worktree-unlock", () => {
+  test("lock with a reason, then unlock, by alias", async () => {
+    const { repo, worktree } = await createRepoWithWorktree();
+
+    const locked = await sandbox.runJson("worktree-lock", ["x", "keep", "for", "the", "demo"], repo);
+    expect(locked.json).toEqual({ branch: "feature/x", path: worktree, locked: true, reason: "keep for the demo", changed: true });
+    expect(await $`git -C ${repo} worktree list --porcelain`.env(sandbox.env).text()).toContain("locked keep for the demo");
+
+    const again = await sandbox.runJson("worktree-lock", ["x"], repo);
+    expect(again.json).toMatchObject({ reason: "keep for the demo", changed: false });
+
+    const unlocked = await sandbox.runJson("worktree-unlock", ["feature/x"], repo);
+    expect(unlocked.json).toEqual({ branch: "feature/x", path: worktree, locked: false, changed: true });
+    expect(await $`git -C ${repo} worktree list --porcelain`.env(sandbox.env).text()).not.toContain("locked");
+  });
+
+  test("refuses to lock the main worktree", async () => {
+    const { repo } = await createRepoWithWorktree();
+
+    const { code } = await sandbox.run("worktree-lock", ["main"], repo);
+    expect(code).toBe(EXIT_CODES.mainWorktree);
+  });
+});
+
+describe("worktree-move", () => {
+  test("renames the branch and moves the worktree with its registry entry", async () => {
+    const { repo, worktree } = await createRepoWithWorktree();
+    expect((await sandbox.run("worktree-note", ["x", "half done"], repo)).code).toBe(0);
+
+    const { code, json } = await sandbox.runJson("worktree-move", ["x", "feature/y"], repo);
+    const moved = join(repo, ".opencode-wt", "feature+y");
+    expect(code).toBe(0);
+    expect(json).toEqual({ branch: "feature/y", oldBranch: "feature/x", path: moved, oldPath: worktree });
+    expect(existsSync(worktree)).toBe(false);
+    expect((await $`git -C ${moved} branch --show-current`.env(sandbox.env).text()).trim()).toBe("feature/y");
+
+    const { json: list } = await sandbox.runJson("worktree-list", [], repo);
+    expect(list.worktrees.find(wt => wt.branch === "feature/y")).toMatchObject({ path: moved, aliases: ["x"], metadata: { note: "half done" } });
+  });
+
+  test("moves a locked worktree only with --force", async () => {
+    const { repo } = await createRepoWithWorktree();
+    expect((await sandbox.run("worktree-lock", ["x"], repo)).code).toBe(0);
+
+    const refused = await sandbox.run("worktree-move", ["x", "feature/y"], repo);
+    expect(refused.code).toBe(EXIT_CODES.locked);
+
+    const forced = await sandbox.run("worktree-move", ["x", "feature/y", "--force"], repo);
+    expect(forced.code).toBe(0);
+    expect(existsSync(join(repo, ".opencode-wt", "feature+y"))).toBe(true);
+  });
+
+  test("refuses a new branch name that already exists", async () => {
+    const { repo } = await createRepoWithWorktree();
+    await $`git -C ${repo} branch taken`.env(sandbox.env);
+
+    const { code, stderr } = await sandbox.run("worktree-move", ["x", "taken"], repo);
+    expect(code).toBe(EXIT_CODES.exists);
+    expect(stderr).toContain("Branch 'taken' already exists");
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Tests for worktree notes and the recorded lifecycle metadata
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from "bun:test";
+import { join } from "node:path";
+import { createSandbox } from "./helpers/git-sandbox.mjs";
+import { getWorktreeMetadata, recordWorktreeOpened, setWorktreeNote } from "../tools/worktree-common.mjs";
+
+let sandbox;
+
+beforeEach(async () => {
+  sandbox = await createSandbox();
+});
+
+afterEach(async () => {
+  await sandbox.cleanup();
+});
+
+/**
+ * A repository with a linked worktree for feature/x
+ * @returns {Promise<{repo: string, worktree: string}>}
+ */
+async function createRepoWithWorktree() {
+  const { repo } = await sandbox.createRepo();
+  expect((await sandbox.run("worktree-add", ["feature/x", "--no-open", "--no-setup"], repo)).code).toBe(0);
+  return { repo, worktree: join(repo, ".opencode-wt", "feature+x") };
+}
+
+describe("worktree-note", () => {
+  test("a note set in a linked worktree shows in the main one, and can be cleared", async () => {
+    const { repo, worktree } = await createRepoWithWorktree();
+
+    const set = await sandbox.runJson("worktree-note", ["feature/x", "waiting", "for", "review"], worktree);
+    expect(set.json).toEqual({ branch: "feature/x", path: worktree, note: "waiting for review" });
+
+    const { json: notes } = await sandbox.runJson("worktree-note", [], repo);
+    expect(notes.notes).toEqual([{ branch: "feature/x", path: worktree, note: "waiting for review" }]);
+    const { json: list } = await sandbox.runJson("worktree-list", [], repo);
+    expect(list.worktrees.find(wt => wt.branch === "feature/x").metadata.note).toBe("waiting for review");
+
+    expect((await sandbox.run("worktree-note", ["feature/x", "--clear"], repo)).code).toBe(0);
+    const { json: cleared } = await sandbox.runJson("worktree-note", [], worktree);
+    expect(cleared.notes).toEqual([]);
+  });
+
+  test("setWorktreeNote and recordWorktreeOpened from a linked worktree update the shared entry", async () => {
+    const { repo, worktree } = await createRepoWithWorktree();
+
+    const result = await setWorktreeNote({ query: "feature/x", note: "  draft  ", cwd: worktree });
+    expect(result.note).toBe("draft");
+    await recordWorktreeOpened({ path: worktree, branch: "feature/x" }, worktree);
+
+    const entry = (await getWorktreeMetadata(repo)).get(worktree);
+    expect(entry).toMatchObject({ branch: "feature/x", note: "draft", created: expect.any(String) });
+    expect(Date.now() - Date.parse(entry.lastOpened)).toBeLessThan(60000);
+  });
+});
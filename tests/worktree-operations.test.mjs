@@ -0,0 +1,91 @@
+/**
+ * Tests for the worktree operations behind the OpenCode tools in worktree.js
+ *
+ * The tools call these in-process with the session's directory as `cwd`, so
+ * the tests run them from outside the repository and check that they return
+ * plain objects, report progress through the callback and throw instead of
+ * exiting.
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from "bun:test";
+import { join } from "node:path";
+import { createSandbox } from "./helpers/git-sandbox.mjs";
+import {
+  addWorktree,
+  removeWorktree,
+  getWorktrees,
+  getRepoRoot,
+  getWorktreeMetadata,
+  buildListReport,
+  UsageError,
+  MainWorktreeError,
+} from "../tools/worktree-common.mjs";
+
+let sandbox;
+let savedCwd;
+
+beforeEach(async () => {
+  sandbox = await createSandbox();
+  // Outside any repository, so an operation that ignored `cwd` would fail
+  savedCwd = process.cwd();
+  process.chdir(sandbox.root);
+});
+
+afterEach(async () => {
+  process.chdir(savedCwd);
+  await sandbox.cleanup();
+});
+
+describe("addWorktree", () => {
+  test("creates the worktree and reports progress", async () => {
+    const { repo } = await sandbox.createRepo();
+    const messages = [];
+
+    const result = await addWorktree({ branch: "feature/x", alias: "x", setup: false, cwd: repo, report: (level, message) => messages.push([level, message]) });
+    expect(result).toEqual({
+      created: true,
+      branch: "feature/x",
+      path: join(repo, ".opencode-wt", "feature+x"),
+      alias: "x",
+      source: "new",
+      base: "main",
+      setup: null,
+    });
+    expect(messages).toContainEqual(["info", "Creating branch 'feature/x' from current HEAD (main)..."]);
+
+    const again = await addWorktree({ branch: "feature/x", setup: false, cwd: repo });
+    expect(again).toMatchObject({ created: false, source: "existing", path: result.path });
+  });
+
+  test("returns the same report as the list tool from a linked worktree", async () => {
+    const { repo } = await sandbox.createRepo();
+    const { path } = await addWorktree({ branch: "feature/x", setup: false, cwd: repo });
+
+    const repoRoot = await getRepoRoot(path);
+    const report = buildListReport(repoRoot, await getWorktrees(repoRoot), path, await getWorktreeMetadata(repoRoot));
+    expect(report.repoRoot).toBe(repo);
+    expect(report.worktrees.find(wt => wt.isCurrent)).toMatchObject({ branch: "feature/x", isMain: false });
+  });
+
+  test("throws typed errors instead of exiting", async () => {
+    const { repo } = await sandbox.createRepo();
+    await expect(addWorktree({ branch: "bad..name", setup: false, cwd: repo })).rejects.toThrow("Invalid branch name");
+    await expect(addWorktree({ branch: "x", alias: "not valid", setup: false, cwd: repo })).rejects.toBeInstanceOf(UsageError);
+  });
+});
+
+describe("removeWorktree", () => {
+  test("removes the worktree and its branch", async () => {
+    const { repo } = await sandbox.createRepo();
+    const { path } = await addWorktree({ branch: "feature/x", setup: false, cwd: repo });
+
+    const result = await removeWorktree({ branch: "feature/x", deleteBranch: true, cwd: repo });
+    expect(result).toEqual({ removed: true, branch: "feature/x", path, branchDeleted: true, branchError: null });
+    expect((await getWorktrees(repo)).map(wt => wt.path)).toEqual([repo]);
+  });
+
+  test("refuses to remove the main worktree", async () => {
+    const { repo } = await sandbox.createRepo();
+    await expect(removeWorktree({ branch: "main", cwd: repo })).rejects.toBeInstanceOf(MainWorktreeError);
+  });
+});
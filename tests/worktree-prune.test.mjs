@@ -0,0 +1,118 @@
+/**
+ * Tests for /worktree-prune
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from "bun:test";
+import { $ } from "bun";
+import { utimesSync } from "node:fs";
+import { rm } from "node:fs/promises";
+import { join } from "node:path";
+import { createSandbox } from "./helpers/git-sandbox.mjs";
+
+let sandbox;
+
+beforeEach(async () => {
+  sandbox = await createSandbox();
+});
+
+afterEach(async () => {
+  await sandbox.cleanup();
+});
+
+/**
+ * Add a worktree for `branch` with one commit of its own
+ * @returns {Promise<string>} - The worktree's path
+ */
+async function addWorktreeWithCommit(repo, branch) {
+  const { code } = await sandbox.run("worktree-add", [branch, "--no-open", "--no-setup"], repo);
+  expect(code).toBe(0);
+  const worktree = join(repo, ".opencode-wt", branch.replace(/\//g, "+"));
+  await Bun.write(join(worktree, `${branch.replace(/\//g, "-")}.txt`), "work\n");
+  await $`git -C ${worktree} add -A`.env(sandbox.env);
+  await $`git -C ${worktree} commit -q -m ${`work on ${branch}`}`.env(sandbox.env);
+  return worktree;
+}
+
+describe("worktree-prune", () => {
+  test("finds merged and missing worktrees, checking merges against the remote base", async () => {
+    const { repo } = await sandbox.createRepo();
+    await addWorktreeWithCommit(repo, "merged");
+    await $`git -C ${repo} merge -q --no-edit merged`.env(sandbox.env);
+    await $`git -C ${repo} push -q origin main`.env(sandbox.env);
+    const missing = await addWorktreeWithCommit(repo, "missing");
+    await rm(missing, { recursive: true, force: true });
+    // Merged into the local main only; merges are checked against origin/main
+    await addWorktreeWithCommit(repo, "local");
+    await $`git -C ${repo} merge -q --no-edit local`.env(sandbox.env);
+    await addWorktreeWithCommit(repo, "active");
+
+    const { code, json } = await sandbox.runJson("worktree-prune", ["--dry-run", "--no-gh"], repo);
+    expect(code).toBe(0);
+    expect(json).toMatchObject({ repoRoot: repo, base: "origin/main", dryRun: true, removed: [], failed: [] });
+    expect(json.candidates.map(c => [c.branch, c.reasons, c.skip])).toEqual([
+      ["merged", ["merged"], null],
+      ["missing", ["missing"], null],
+    ]);
+  });
+
+  test("skips dirty and locked candidates", async () => {
+    const { repo } = await sandbox.createRepo();
+    const dirty = await addWorktreeWithCommit(repo, "dirty");
+    const locked = await addWorktreeWithCommit(repo, "locked");
+    await $`git -C ${repo} merge -q --no-edit dirty locked`.env(sandbox.env).quiet();
+    await $`git -C ${repo} push -q origin main`.env(sandbox.env);
+    await Bun.write(join(dirty, "wip.txt"), "wip\n");
+    await $`git -C ${repo} worktree lock ${locked}`.env(sandbox.env);
+
+    const { json } = await sandbox.runJson("worktree-prune", ["--yes", "--no-gh"], repo);
+    expect(json.candidates.map(c => [c.branch, c.skip])).toEqual([["dirty", "dirty"], ["locked", "locked"]]);
+    expect(json.removed).toEqual([]);
+  });
+
+  test("--yes --delete-branch removes the worktrees and their branches", async () => {
+    const { repo } = await sandbox.createRepo();
+    const merged = await addWorktreeWithCommit(repo, "feature/merged");
+    await $`git -C ${repo} merge -q --no-edit feature/merged`.env(sandbox.env);
+    await $`git -C ${repo} push -q origin main`.env(sandbox.env);
+    const missing = await addWorktreeWithCommit(repo, "missing");
+    await rm(missing, { recursive: true, force: true });
+
+    const { code, json } = await sandbox.runJson("worktree-prune", ["--yes", "--delete-branch", "--no-gh"], repo);
+    expect(code).toBe(0);
+    expect(json.dryRun).toBe(false);
+    expect(json.removed).toEqual([
+      { path: merged, branch: "feature/merged", branchDeleted: true, branchError: null },
+      // Not merged, so git keeps the branch
+      { path: missing, branch: "missing", branchDeleted: false, branchError: expect.stringContaining("not fully merged") },
+    ]);
+    const worktrees = await $`git -C ${repo} worktree list --porcelain`.env(sandbox.env).text();
+    expect(worktrees).not.toContain(".opencode-wt");
+  });
+
+  test("uses the newest merged PR of a branch", async () => {
+    const { repo } = await sandbox.createRepo();
+    const worktree = await addWorktreeWithCommit(repo, "feature/reused");
+    const head = (await $`git -C ${worktree} rev-parse HEAD`.env(sandbox.env).text()).trim();
+    // gh lists the newest first; the older PR merged an earlier head
+    await sandbox.ghResponse("pr-list", [
+      { number: 12, headRefName: "feature/reused", headRefOid: head },
+      { number: 3, headRefName: "feature/reused", headRefOid: "0".repeat(40) },
+    ]);
+
+    const { json } = await sandbox.runJson("worktree-prune", ["--dry-run"], repo);
+    expect(json.candidates.map(c => [c.branch, c.reasons])).toEqual([["feature/reused", ["pr-merged"]]]);
+  });
+
+  test("--stale finds worktrees without recent activity", async () => {
+    const { repo } = await sandbox.createRepo();
+    const worktree = await addWorktreeWithCommit(repo, "old");
+    const past = new Date(Date.now() - 40 * 86400000);
+    const date = `@${Math.floor(past / 1000)}`;
+    await $`git -C ${worktree} commit -q --amend --no-edit --date=${date}`.env({ ...sandbox.env, GIT_COMMITTER_DATE: date });
+    const index = await $`git -C ${worktree} rev-parse --path-format=absolute --git-path index`.env(sandbox.env).text();
+    utimesSync(index.trim(), past, past);
+
+    const { json } = await sandbox.runJson("worktree-prune", ["--dry-run", "--no-gh", "--stale", "30"], repo);
+    expect(json.candidates.map(c => [c.branch, c.reasons])).toEqual([["old", ["stale"]]]);
+  });
+});
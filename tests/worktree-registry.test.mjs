@@ -0,0 +1,74 @@
+/**
+ * Tests for worktree directory names, aliases and /worktree-migrate
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from "bun:test";
+import { $ } from "bun";
+import { existsSync } from "node:fs";
+import { join } from "node:path";
+import { createSandbox } from "./helpers/git-sandbox.mjs";
+import { encodeBranchPath, decodeBranchPath } from "../tools/worktree-common.mjs";
+import { loadRegistry } from "../tools/worktree-registry.mjs";
+
+let sandbox;
+
+beforeEach(async () => {
+  sandbox = await createSandbox();
+});
+
+afterEach(async () => {
+  await sandbox.cleanup();
+});
+
+describe("encodeBranchPath", () => {
+  test("gives every branch a distinct, reversible directory name", () => {
+    const branches = ["feature/auth", "feature+auth", "feature/auth/login", "100%", "plain"];
+    const names = branches.map(encodeBranchPath);
+
+    expect(names).toEqual(["feature+auth", "feature%2Bauth", "feature+auth+login", "100%25", "plain"]);
+    expect(names.map(decodeBranchPath)).toEqual(branches);
+  });
+});
+
+describe("aliases", () => {
+  test("resolve from the main and from linked worktrees", async () => {
+    const { repo } = await sandbox.createRepo();
+    expect((await sandbox.run("worktree-add", ["feature/auth", "--alias", "auth", "--no-open", "--no-setup"], repo)).code).toBe(0);
+    expect((await sandbox.run("worktree-add", ["feature/billing", "--no-open", "--no-setup"], repo)).code).toBe(0);
+    const auth = join(repo, ".opencode-wt", "feature+auth");
+    const billing = join(repo, ".opencode-wt", "feature+billing");
+
+    // Added from a linked worktree, looked up from the main one
+    expect((await sandbox.run("worktree-add", ["feature/billing", "--alias", "bill", "--no-open", "--no-setup"], auth)).code).toBe(0);
+
+    for (const cwd of [repo, auth, billing]) {
+      const { json } = await sandbox.runJson("worktree-list", [], cwd);
+      const aliases = Object.fromEntries(json.worktrees.map(wt => [wt.branch, wt.aliases]));
+      expect(aliases).toMatchObject({ "feature/auth": ["auth"], "feature/billing": ["bill"] });
+    }
+
+    const registry = await loadRegistry(repo);
+    expect(Object.keys(registry.worktrees).sort()).toEqual([".opencode-wt/feature+auth", ".opencode-wt/feature+billing"]);
+  });
+});
+
+describe("worktree-migrate", () => {
+  test("moves nested worktrees to their encoded directory and registers them", async () => {
+    const { repo } = await sandbox.createRepo();
+    const nested = join(repo, ".opencode-wt", "feature", "auth");
+    await $`git -C ${repo} worktree add -q -b feature/auth ${nested}`.env(sandbox.env).quiet();
+    expect((await sandbox.run("worktree-add", ["plain", "--no-open", "--no-setup"], repo)).code).toBe(0);
+
+    // Run from a linked worktree; the moves and keys are relative to the main one
+    const { code, json } = await sandbox.runJson("worktree-migrate", [], join(repo, ".opencode-wt", "plain"));
+    expect(code).toBe(0);
+    expect(json.moved).toEqual([{ branch: "feature/auth", from: nested, to: join(repo, ".opencode-wt", "feature+auth") }]);
+    expect(existsSync(join(repo, ".opencode-wt", "feature"))).toBe(false);
+
+    const registry = await loadRegistry(repo);
+    expect(registry.worktrees).toMatchObject({
+      ".opencode-wt/feature+auth": { branch: "feature/auth" },
+      ".opencode-wt/plain": { branch: "plain" },
+    });
+  });
+});
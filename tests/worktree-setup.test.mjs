@@ -0,0 +1,76 @@
+/**
+ * Tests for preparing new worktrees from .opencode-wt.json
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from "bun:test";
+import { existsSync, lstatSync } from "node:fs";
+import { join } from "node:path";
+import { createSandbox } from "./helpers/git-sandbox.mjs";
+import { EXIT_CODES } from "../tools/worktree-common.mjs";
+
+let sandbox;
+
+beforeEach(async () => {
+  sandbox = await createSandbox();
+});
+
+afterEach(async () => {
+  await sandbox.cleanup();
+});
+
+/**
+ * A repository with untracked files to copy and link, and a setup config
+ */
+async function createRepoWithConfig(config) {
+  const { repo } = await sandbox.createRepo();
+  await Bun.write(join(repo, ".gitignore"), ".opencode-wt/\n.env*\nnode_modules/\n");
+  await Bun.write(join(repo, ".env.local"), "SECRET=1\n");
+  await Bun.write(join(repo, "node_modules", "dep", "index.js"), "\n");
+  await Bun.write(join(repo, ".opencode-wt.json"), JSON.stringify(config));
+  return repo;
+}
+
+describe("worktree-add setup", () => {
+  test("copies, symlinks and runs the post-create hooks", async () => {
+    const repo = await createRepoWithConfig({
+      copy: [".env*"],
+      symlink: ["node_modules"],
+      postCreate: ['echo "$OPENCODE_WT_BRANCH $OPENCODE_WT_MAIN" > hook.txt'],
+    });
+
+    const { code, json } = await sandbox.runJson("worktree-add", ["feature/x", "--no-open"], repo);
+    expect(code).toBe(0);
+    expect(json.setup).toMatchObject({ copied: [".env.local"], symlinked: ["node_modules"], hooks: [{ exitCode: 0 }] });
+
+    const worktree = join(repo, ".opencode-wt", "feature+x");
+    expect(await Bun.file(join(worktree, ".env.local")).text()).toBe("SECRET=1\n");
+    expect(lstatSync(join(worktree, "node_modules")).isSymbolicLink()).toBe(true);
+    expect(await Bun.file(join(worktree, "hook.txt")).text()).toBe(`feature/x ${repo}\n`);
+  });
+
+  test("--no-setup skips the config", async () => {
+    const repo = await createRepoWithConfig({ copy: [".env*"] });
+
+    const { code } = await sandbox.run("worktree-add", ["feature/x", "--no-open", "--no-setup"], repo);
+    expect(code).toBe(0);
+    expect(existsSync(join(repo, ".opencode-wt", "feature+x", ".env.local"))).toBe(false);
+  });
+
+  test("removes the worktree and its new branch when a hook fails", async () => {
+    const repo = await createRepoWithConfig({ postCreate: ["echo broken >&2; exit 3"] });
+
+    const { code, stderr } = await sandbox.run("worktree-add", ["feature/x", "--no-open"], repo);
+    expect(code).toBe(EXIT_CODES.setup);
+    expect(stderr).toContain("Post-create hook failed (exit code 3)");
+    expect(existsSync(join(repo, ".opencode-wt", "feature+x"))).toBe(false);
+    expect((await Bun.$`git -C ${repo} branch --list feature/x`.env(sandbox.env).text()).trim()).toBe("");
+  });
+
+  test("exits 9 on an invalid config", async () => {
+    const repo = await createRepoWithConfig({ copy: ".env" });
+
+    const { code, stderr } = await sandbox.run("worktree-add", ["feature/x", "--no-open"], repo);
+    expect(code).toBe(EXIT_CODES.config);
+    expect(stderr).toContain("'copy' must be an array of strings");
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Tests for /worktree-sync
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from "bun:test";
+import { $ } from "bun";
+import { join } from "node:path";
+import { createSandbox } from "./helpers/git-sandbox.mjs";
+
+let sandbox;
+
+beforeEach(async () => {
+  sandbox = await createSandbox();
+});
+
+afterEach(async () => {
+  await sandbox.cleanup();
+});
+
+describe("worktree-sync", () => {
+  test("exits 0 when every worktree was updated", async () => {
+    const { origin, repo } = await sandbox.createRepo();
+    await sandbox.pushFromElsewhere(origin, "a.txt", "a\n");
+
+    const { code, stdout } = await sandbox.run("worktree-sync", ["--pull", "--json"], repo);
+    expect(code).toBe(0);
+    expect(JSON.parse(stdout).summary).toMatchObject({ updated: 1, errors: 0 });
+  });
+
+  test("exits 0 when a dirty worktree was skipped", async () => {
+    const { origin, repo } = await sandbox.createRepo();
+    await sandbox.pushFromElsewhere(origin, "a.txt", "a\n");
+    await Bun.write(join(repo, "README.md"), "# changed\n");
+
+    const { code, stdout } = await sandbox.run("worktree-sync", ["--pull", "--json"], repo);
+    expect(code).toBe(0);
+    expect(JSON.parse(stdout).summary).toMatchObject({ updated: 0, skipped: 1, errors: 0 });
+  });
+
+  test("exits 1 when a worktree could not be updated", async () => {
+    const { origin, repo } = await sandbox.createRepo();
+    await sandbox.pushFromElsewhere(origin, "a.txt", "a\n");
+    await Bun.write(join(repo, "b.txt"), "b\n");
+    await $`git -C ${repo} add -A`.env(sandbox.env);
+    await $`git -C ${repo} commit -q -m local`.env(sandbox.env);
+
+    const { code, stdout, stderr } = await sandbox.run("worktree-sync", ["--pull", "--json"], repo);
+    expect(code).toBe(1);
+    expect(JSON.parse(stdout).worktrees[0].action).toBe("pull-failed");
+    expect(JSON.parse(stdout).summary).toMatchObject({ updated: 0, skipped: 0, errors: 1 });
+    expect(stderr).toContain("1 worktree could not be updated");
+  });
+
+  test("aborts a merge that stopped without conflicts", async () => {
+    const { origin, repo } = await sandbox.createRepo();
+    await sandbox.pushFromElsewhere(origin, "a.txt", "a\n");
+    await Bun.write(join(repo, "b.txt"), "b\n");
+    await $`git -C ${repo} add -A`.env(sandbox.env);
+    await $`git -C ${repo} commit -q -m local`.env(sandbox.env);
+    // The hook rejects the merge commit, which leaves the merge in progress
+    await Bun.write(join(repo, ".git", "hooks", "pre-merge-commit"), "#!/bin/sh\nexit 1\n");
+    await $`chmod +x ${join(repo, ".git", "hooks", "pre-merge-commit")}`;
+
+    const { code, stdout } = await sandbox.run("worktree-sync", ["--merge", "--json"], repo);
+    expect(code).toBe(1);
+    const [worktree] = JSON.parse(stdout).worktrees;
+    expect(worktree).toMatchObject({ action: "pull-failed", conflicts: [] });
+    expect(worktree.error).toEndWith("merge aborted");
+    expect(await Bun.file(join(repo, ".git", "MERGE_HEAD")).exists()).toBe(false);
+    expect((await $`git -C ${repo} log -1 --format=%s`.env(sandbox.env).text()).trim()).toBe("local");
+  });
+
+  test("exits 1 on conflicts, leaving the worktree as it was", async () => {
+    const { origin, repo } = await sandbox.createRepo();
+    await sandbox.pushFromElsewhere(origin, "README.md", "# theirs\n");
+    await Bun.write(join(repo, "README.md"), "# ours\n");
+    await $`git -C ${repo} commit -q -am ours`.env(sandbox.env);
+
+    const { code, stdout, stderr } = await sandbox.run("worktree-sync", ["--rebase", "--json"], repo);
+    expect(code).toBe(1);
+    expect(JSON.parse(stdout).summary).toMatchObject({ conflicts: 1 });
+    expect(stderr).toContain("(1 with conflicts)");
+    expect(await Bun.file(join(repo, "README.md")).text()).toBe("# ours\n");
+  });
+});
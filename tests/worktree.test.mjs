@@ -0,0 +1,80 @@
+/**
+ * Tests for the worktree scripts' exit codes and typed errors
+ *
+ * Each test builds throwaway git repositories (see helpers/git-sandbox.mjs)
+ * and runs the scripts in them.
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from "bun:test";
+import { $ } from "bun";
+import { join } from "node:path";
+import { createSandbox } from "./helpers/git-sandbox.mjs";
+import { removeWorktree, DirtyWorktreeError, WorktreeLockedError, EXIT_CODES } from "../tools/worktree-common.mjs";
+
+let sandbox;
+
+beforeEach(async () => {
+  sandbox = await createSandbox();
+});
+
+afterEach(async () => {
+  await sandbox.cleanup();
+});
+
+describe("exit codes", () => {
+  test("3 outside a git repository", async () => {
+    const { code, stderr } = await sandbox.run("worktree-add", ["feature", "--no-open", "--no-setup"], sandbox.root);
+    expect(code).toBe(EXIT_CODES.notAGitRepo);
+    expect(stderr).toContain("Not in a git repository");
+  });
+
+  test("5 when the worktree directory already exists", async () => {
+    const { repo } = await sandbox.createRepo();
+    await Bun.write(join(repo, ".opencode-wt", "feature", "leftover.txt"), "x\n");
+
+    const { code, stderr } = await sandbox.run("worktree-add", ["feature", "--no-open", "--no-setup"], repo);
+    expect(code).toBe(EXIT_CODES.exists);
+    expect(stderr).toContain("Path already exists");
+  });
+
+  test("6 when removing a worktree with uncommitted changes", async () => {
+    const { repo } = await sandbox.createRepo();
+    expect((await sandbox.run("worktree-add", ["feature", "--no-open", "--no-setup"], repo)).code).toBe(0);
+    const worktree = join(repo, ".opencode-wt", "feature");
+    await Bun.write(join(worktree, "README.md"), "# changed\n");
+
+    const { code } = await sandbox.run("worktree-remove", ["feature"], repo);
+    expect(code).toBe(EXIT_CODES.dirty);
+    expect(await Bun.file(join(worktree, "README.md")).exists()).toBe(true);
+  });
+
+  test("12 when removing a locked worktree, unless forced", async () => {
+    const { repo } = await sandbox.createRepo();
+    expect((await sandbox.run("worktree-add", ["feature", "--no-open", "--no-setup"], repo)).code).toBe(0);
+    await $`git -C ${repo} worktree lock --reason ${"on a USB drive"} ${join(repo, ".opencode-wt", "feature")}`.env(sandbox.env);
+
+    const { code, stderr } = await sandbox.run("worktree-remove", ["feature"], repo);
+    expect(code).toBe(EXIT_CODES.locked);
+    expect(stderr).toContain("on a USB drive");
+    expect((await sandbox.run("worktree-remove", ["feature", "--force"], repo)).code).toBe(0);
+  });
+});
+
+describe("typed errors", () => {
+  test("removeWorktree throws DirtyWorktreeError and WorktreeLockedError", async () => {
+    const { repo } = await sandbox.createRepo();
+    await $`git -C ${repo} worktree add -q -b dirty ${join(repo, ".opencode-wt", "dirty")}`.env(sandbox.env).quiet();
+    await $`git -C ${repo} worktree add -q -b locked ${join(repo, ".opencode-wt", "locked")}`.env(sandbox.env).quiet();
+    await Bun.write(join(repo, ".opencode-wt", "dirty", "new.txt"), "x\n");
+    await $`git -C ${repo} worktree lock ${join(repo, ".opencode-wt", "locked")}`.env(sandbox.env);
+
+    const dirty = await removeWorktree({ branch: "dirty", cwd: repo }).catch(error => error);
+    expect(dirty).toBeInstanceOf(DirtyWorktreeError);
+    expect(dirty.exitCode).toBe(6);
+    expect(dirty.path).toBe(join(repo, ".opencode-wt", "dirty"));
+
+    const locked = await removeWorktree({ branch: "locked", cwd: repo }).catch(error => error);
+    expect(locked).toBeInstanceOf(WorktreeLockedError);
+    expect(locked.exitCode).toBe(12);
+  });
+});
@@ -0,0 +1,262 @@
+/**
+ * GitHub REST Client for Copilot Usage
+ *
+ * Calls the GitHub REST API directly with fetch(), so the Copilot usage
+ * tooling works without the `gh` CLI. The token comes from the environment
+ * as gh reads it (GITHUB_TOKEN or GH_TOKEN for github.com and ghe.com,
+ * GH_ENTERPRISE_TOKEN or GITHUB_ENTERPRISE_TOKEN for other hosts), or else
+ * from `gh auth token` if gh is installed. The API base URL
+ * is passed as the `apiUrl` option of each call, and defaults to
+ * $GITHUB_API_URL or https://api.github.com; for GitHub Enterprise Server use
+ * https://<host>/api/v3.
+ *
+ * Requests are retried with backoff on network errors, 5xx responses and
+ * rate limits that reset soon. Failures are thrown as GitHubApiError with a
+ * message and a hint saying what to do, e.g. which token scope is missing.
+ */
+
+import { $ } from "bun";
+import { createHash } from "node:crypto";
+
+export const DEFAULT_API_URL = "https://api.github.com";
+
+const MAX_ATTEMPTS = 4;
+const REQUEST_TIMEOUT_MS = 30 * 1000;
+// Wait for a rate limit to reset only if it does so within this long
+const MAX_RATE_LIMIT_WAIT_MS = 60 * 1000;
+
+// Tokens found per API host
+const tokens = new Map();
+
+/**
+ * An error response from (or failure to reach) the GitHub API
+ */
+export class GitHubApiError extends Error {
+  /**
+   * @param {string} message - What went wrong
+   * @param {{status?: number|null, path?: string|null, hint?: string|null}} details
+   */
+  constructor(message, { status = null, path = null, hint = null } = {}) {
+    super(message);
+    this.name = "GitHubApiError";
+    this.status = status;
+    this.path = path;
+    this.hint = hint;
+  }
+}
+
+/**
+ * Get the API base URL
+ * @param {string|null} [apiUrl] - e.g. https://github.example.com/api/v3;
+ *   defaults to $GITHUB_API_URL or https://api.github.com
+ */
+export function getApiUrl(apiUrl = null) {
+  return (apiUrl || process.env.GITHUB_API_URL || DEFAULT_API_URL).replace(/\/+$/, "");
+}
+
+/**
+ * Get the host gh knows the API by (github.com for the public API,
+ * <tenant>.ghe.com for api.<tenant>.ghe.com)
+ */
+function getHost(apiUrl) {
+  const host = new URL(getApiUrl(apiUrl)).host;
+  if (host === "api.github.com") return "github.com";
+  return host.endsWith(".ghe.com") ? host.replace(/^api\./, "") : host;
+}
+
+/**
+ * The environment variables holding a token for a host, in the order gh
+ * reads them; a github.com token is never sent to another host
+ */
+function tokenVariables(host) {
+  return host === "github.com" || host.endsWith(".ghe.com")
+    ? ["GITHUB_TOKEN", "GH_TOKEN"]
+    : ["GH_ENTERPRISE_TOKEN", "GITHUB_ENTERPRISE_TOKEN"];
+}
+
+/**
+ * Find a token for the API: from the environment (see tokenVariables()),
+ * or `gh auth token`
+ */
+async function getToken(apiUrl) {
+  const host = getHost(apiUrl);
+  if (tokens.has(host)) return tokens.get(host);
+  let token = tokenVariables(host).map((name) => process.env[name]).find(Boolean) || null;
+  if (!token) {
+    try {
+      const result = await $`gh auth token --hostname ${host}`.nothrow().quiet();
+      token = result.exitCode === 0 ? result.stdout.toString().trim() || null : null;
+    } catch {
+      // gh is not installed
+    }
+  }
+  if (!token) {
+    throw new GitHubApiError("No GitHub token found.", {
+      hint: `Set ${tokenVariables(host).join(" or ")}, or log in with: gh auth login -h ${host}`,
+    });
+  }
+  tokens.set(host, token);
+  return token;
+}
+
+/**
+ * Get a short hash of the token, to keep data that depends on who is logged
+ * in (such as the login) apart per token without storing the token
+ * @param {{apiUrl?: string|null}} [options]
+ */
+export async function getTokenFingerprint({ apiUrl = null } = {}) {
+  return createHash("sha256").update(await getToken(apiUrl)).digest("hex").slice(0, 16);
+}
+
+/**
+ * Describe a failed response precisely
+ */
+function toApiError(response, body, path, apiUrl) {
+  const status = response.status;
+  const message = body?.message || response.statusText;
+  const granted = (response.headers.get("x-oauth-scopes") || "").split(",").map((s) => s.trim()).filter(Boolean);
+  const accepted = (response.headers.get("x-accepted-oauth-scopes") || "").split(",").map((s) => s.trim()).filter(Boolean);
+  const missing = accepted.length > 0 && !accepted.some((scope) => granted.includes(scope)) ? accepted : [];
+  const scopeHint = missing.length > 0
+    ? `The token is missing the ${missing.join(" or ")} scope. Run: gh auth refresh -h ${getHost(apiUrl)} -s ${missing[0]}`
+    : null;
+
+  if (status === 401) {
+    return new GitHubApiError(`GitHub rejected the token (401 ${message}).`, {
+      status,
+      path,
+      hint: `Check ${tokenVariables(getHost(apiUrl)).join("/")}, or log in again with: gh auth login -h ${getHost(apiUrl)}`,
+    });
+  }
+  if (status === 403 || status === 429) {
+    if (response.headers.get("x-ratelimit-remaining") === "0" || status === 429 || /rate limit/i.test(message)) {
+      const reset = Number(response.headers.get("x-ratelimit-reset")) * 1000;
+      return new GitHubApiError(`GitHub API rate limit exceeded (${status}).`, {
+        status,
+        path,
+        hint: reset ? `It resets at ${new Date(reset).toLocaleTimeString()}; use --offline to work from the cache until then.` : "Try again later.",
+      });
+    }
+    return new GitHubApiError(`Access to ${path} was denied (403 ${message}).`, {
+      status,
+      path,
+      hint: scopeHint || "You may need to be an owner or billing manager of the organization.",
+    });
+  }
+  if (status === 404) {
+    return new GitHubApiError(`Not found: ${path} (404).`, {
+      status,
+      path,
+      hint: scopeHint || "The account may not exist, you may not have access to it, or the endpoint is not available for it.",
+    });
+  }
+  return new GitHubApiError(`GitHub API request to ${path} failed (${status} ${message}).`, { status, path });
+}
+
+/**
+ * How long to wait before retrying a response, or null not to retry
+ */
+function retryDelay(response, attempt) {
+  const backoff = 1000 * 2 ** (attempt - 1);
+  if (response.status >= 500) return backoff;
+  if (response.status === 403 || response.status === 429) {
+    const retryAfter = Number(response.headers.get("retry-after"));
+    if (retryAfter) {
+      // Secondary rate limit
+      return retryAfter * 1000 <= MAX_RATE_LIMIT_WAIT_MS ? retryAfter * 1000 : null;
+    }
+    if (response.headers.get("x-ratelimit-remaining") === "0") {
+      const wait = Number(response.headers.get("x-ratelimit-reset")) * 1000 - Date.now() + 1000;
+      return wait <= MAX_RATE_LIMIT_WAIT_MS ? Math.max(wait, 0) : null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Make one request, retrying where that can help
+ * @returns {Promise<{data: any, response: Response}>}
+ */
+async function request(url, path, apiUrl) {
+  const headers = {
+    Accept: "application/vnd.github+json",
+    Authorization: `Bearer ${await getToken(apiUrl)}`,
+    "X-GitHub-Api-Version": "2022-11-28",
+    "User-Agent": "opencode-copilot-usage",
+  };
+
+  for (let attempt = 1; ; attempt++) {
+    let response;
+    try {
+      response = await fetch(url, { headers, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+    } catch (error) {
+      if (attempt < MAX_ATTEMPTS) {
+        await Bun.sleep(1000 * 2 ** (attempt - 1));
+        continue;
+      }
+      throw new GitHubApiError(`Could not reach ${getApiUrl(apiUrl)}: ${error.message}`, {
+        path,
+        hint: "Check your network connection, or use --offline to work from the cache.",
+      });
+    }
+
+    const text = await response.text();
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch {
+      // Not JSON; the status decides
+    }
+
+    if (response.ok) {
+      return { data, response };
+    }
+
+    const delay = retryDelay(response, attempt);
+    if (delay !== null && attempt < MAX_ATTEMPTS) {
+      await Bun.sleep(delay);
+      continue;
+    }
+    throw toApiError(response, data, path, apiUrl);
+  }
+}
+
+/**
+ * GET an API path (e.g. "/user") and return the parsed JSON
+ * @param {string} path - Path below the API base URL, with any query string
+ * @param {{query?: Object<string, string|number>, apiUrl?: string|null}} [options] -
+ *   Extra query parameters, and the API base URL (see getApiUrl())
+ */
+export async function apiGet(path, { query = {}, apiUrl = null } = {}) {
+  const url = new URL(getApiUrl(apiUrl) + path);
+  for (const [key, value] of Object.entries(query)) {
+    if (value !== undefined && value !== null) url.searchParams.set(key, String(value));
+  }
+  const { data } = await request(url, path, apiUrl);
+  return data;
+}
+
+/**
+ * GET every page of a list endpoint, following the Link header
+ * @param {string} path - Path below the API base URL
+ * @param {{key?: string, query?: object, apiUrl?: string|null}} options - `key`
+ *   names the array in object responses (e.g. "seats"); without it the
+ *   response is the array
+ * @returns {Promise<any[]>}
+ */
+export async function apiGetAll(path, { key = null, query = {}, apiUrl = null } = {}) {
+  const url = new URL(getApiUrl(apiUrl) + path);
+  for (const [name, value] of Object.entries({ per_page: 100, ...query })) {
+    url.searchParams.set(name, String(value));
+  }
+
+  const items = [];
+  let next = url.toString();
+  while (next) {
+    const { data, response } = await request(next, path, apiUrl);
+    items.push(...((key ? data?.[key] : data) || []));
+    const link = response.headers.get("link") || "";
+    next = /<([^>]+)>;\s*rel="next"/.exec(link)?.[1] || null;
+  }
+  return items;
+}
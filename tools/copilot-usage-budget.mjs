@@ -0,0 +1,240 @@
+/**
+ * GitHub Copilot Usage Budgets
+ *
+ * Monthly budgets per account, read from copilot-budget.json in the OpenCode
+ * config directory (~/.config/opencode, or $XDG_CONFIG_HOME/opencode):
+ *
+ *   {
+ *     "warnAt": 80,                                       // warn at this % of a cap
+ *     "accounts": {
+ *       "personal": { "dollars": 10, "premiumRequests": 300 },
+ *       "my-org": { "dollars": 500 }
+ *     }
+ *   }
+ *
+ * "personal" stands for your own account; accounts can also be named by
+ * login. Both caps are optional.
+ */
+
+import { homedir } from "node:os";
+import { join } from "node:path";
+import { describeApiError, resolveAccount, loadPeriodUsage, summarizePeriod, formatMonth } from "./copilot-usage-common.mjs";
+
+export const BUDGET_FILE = "copilot-budget.json";
+
+const DEFAULT_WARN_AT = 80;
+const CAP_KEYS = ["dollars", "premiumRequests"];
+const CAP_LABELS = { dollars: "Net cost", premiumRequests: "Premium requests" };
+
+/**
+ * Get the path of the budget config
+ */
+export function getBudgetPath() {
+  return join(process.env.XDG_CONFIG_HOME || join(homedir(), ".config"), "opencode", BUDGET_FILE);
+}
+
+/**
+ * Load the budget config; without one, no account has a budget
+ * @returns {Promise<{warnAt: number, accounts: Object<string, {dollars?: number, premiumRequests?: number}>}>}
+ * @throws {Error} - If the file isn't valid
+ */
+export async function loadBudgetConfig() {
+  const configPath = getBudgetPath();
+  const file = Bun.file(configPath);
+  const config = { warnAt: DEFAULT_WARN_AT, accounts: {} };
+
+  if (!(await file.exists())) {
+    return config;
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(await file.text());
+  } catch (error) {
+    throw new Error(`Invalid ${configPath}: invalid JSON: ${error.message}`);
+  }
+
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error(`Invalid ${configPath}: expected a JSON object`);
+  }
+
+  if (raw.warnAt !== undefined) {
+    if (typeof raw.warnAt !== "number" || raw.warnAt <= 0 || raw.warnAt > 100) {
+      throw new Error(`Invalid ${configPath}: 'warnAt' must be a percentage between 1 and 100`);
+    }
+    config.warnAt = raw.warnAt;
+  }
+
+  for (const [account, caps] of Object.entries(raw.accounts || {})) {
+    if (!caps || typeof caps !== "object" || Array.isArray(caps)) {
+      throw new Error(`Invalid ${configPath}: budget of '${account}' must be an object`);
+    }
+    for (const key of CAP_KEYS) {
+      if (caps[key] !== undefined && (typeof caps[key] !== "number" || caps[key] <= 0)) {
+        throw new Error(`Invalid ${configPath}: '${account}.${key}' must be a positive number`);
+      }
+    }
+    config.accounts[account] = { dollars: caps.dollars ?? null, premiumRequests: caps.premiumRequests ?? null };
+  }
+
+  return config;
+}
+
+/**
+ * Find the budget of an account
+ * @returns {{dollars: number|null, premiumRequests: number|null}|null}
+ */
+export function getBudget(config, accountType, accountName) {
+  return config.accounts[accountName] || (accountType === "personal" ? config.accounts.personal : null) || null;
+}
+
+/**
+ * Compare a month's usage with a budget
+ *
+ * The month-end projection extrapolates from the days elapsed so far; for a
+ * past month it is the actual usage. Months are local, like the month the
+ * report defaults to. A cap is "over" once usage reaches it, "warning" from
+ * `warnAt` percent of it, and "projected" when only the projection exceeds
+ * it.
+ * @param {object} budget - Result of getBudget()
+ * @param {{netAmount: number, premiumRequests: number}} totals - Result of summarizePeriod()
+ * @param {{year: number, month: number}} period - The month
+ * @returns {{status: string, period: string, checks: object[]}}
+ */
+export function evaluateBudget(budget, totals, period, { warnAt = DEFAULT_WARN_AT, now = new Date() } = {}) {
+  const daysInMonth = new Date(period.year, period.month, 0).getDate();
+  const current = now.getFullYear() === period.year && now.getMonth() + 1 === period.month;
+  const daysElapsed = current ? now.getDate() : daysInMonth;
+  const used = { dollars: totals.netAmount, premiumRequests: totals.premiumRequests };
+
+  const checks = CAP_KEYS.filter((key) => budget[key]).map((key) => {
+    const cap = budget[key];
+    const projected = (used[key] / daysElapsed) * daysInMonth;
+    const percent = (used[key] / cap) * 100;
+    let status = "ok";
+    if (percent >= 100) status = "over";
+    else if (percent >= warnAt) status = "warning";
+    else if (projected >= cap) status = "projected";
+    return { kind: key, label: CAP_LABELS[key], used: used[key], cap, percent, projected, projectedPercent: (projected / cap) * 100, status };
+  });
+
+  const order = ["ok", "projected", "warning", "over"];
+  const status = checks.reduce((worst, check) => (order.indexOf(check.status) > order.indexOf(worst) ? check.status : worst), "ok");
+  return { status, period: formatMonth(period), daysElapsed, daysInMonth, checks };
+}
+
+/**
+ * Format an amount of a cap's kind
+ */
+function formatAmount(kind, value) {
+  return kind === "dollars" ? `$${value.toFixed(2)}` : String(Math.round(value));
+}
+
+/**
+ * Describe a check in one line, e.g. "Net cost: $12.00 of $20.00 (60%)"
+ */
+function describeCheck(check) {
+  return `${check.label}: ${formatAmount(check.kind, check.used)} of ${formatAmount(check.kind, check.cap)} (${Math.round(check.percent)}%)`;
+}
+
+/**
+ * Build the warning banner shown at the top of the report, if any cap was
+ * crossed
+ */
+export function formatBudgetBanner(evaluation) {
+  let output = "";
+  for (const check of evaluation.checks) {
+    if (check.status === "over") {
+      output += `🚨 Over budget - ${describeCheck(check)}\n`;
+    } else if (check.status === "warning") {
+      output += `⚠️  Budget warning - ${describeCheck(check)}\n`;
+    }
+  }
+  return output ? `\n${output}` : "";
+}
+
+/**
+ * Build the budget section of the report
+ */
+export function formatBudget(evaluation) {
+  let output = "\n━━━ Budget ━━━\n";
+  for (const check of evaluation.checks) {
+    output += `${describeCheck(check)}\n`;
+    if (evaluation.daysElapsed < evaluation.daysInMonth) {
+      const mark = check.projected >= check.cap ? " ⚠️" : "";
+      output += `  Projected month end: ${formatAmount(check.kind, check.projected)} (${Math.round(check.projectedPercent)}%)${mark}\n`;
+    }
+  }
+  if (evaluation.daysElapsed < evaluation.daysInMonth) {
+    output += `  (${evaluation.daysElapsed} of ${evaluation.daysInMonth} days elapsed)\n`;
+  }
+  return output;
+}
+
+/**
+ * Check the budget of the report's account for a month
+ * @returns {Promise<object|null>} - Result of evaluateBudget(), or null without a budget
+ */
+export async function checkReportBudget(accountType, accountName, period, usage) {
+  if (!period.month) return null;
+  const config = await loadBudgetConfig();
+  const budget = getBudget(config, accountType, accountName);
+  if (!budget) return null;
+  return evaluateBudget(budget, summarizePeriod(period, usage), period, config);
+}
+
+/**
+ * Check the current month of every account with a budget
+ *
+ * This is the entry point for alerts (`copilot-usage.mjs --check-budget`,
+ * used by the notifications plugin). Data comes through the cache, so
+ * frequent checks cost at most one fetch per account an hour. An account
+ * whose usage can't be loaded is listed in `errors`, and the others are
+ * still checked.
+ * @returns {Promise<{accounts: object[], alerts: object[], errors: Array<{account: string, message: string}>}>}
+ *   `alerts` lists the accounts over budget or past the warning threshold
+ */
+export async function checkBudgets({ refresh = false, offline = false, apiUrl = null, now = new Date() } = {}) {
+  const config = await loadBudgetConfig();
+  const names = Object.keys(config.accounts);
+  if (names.length === 0) {
+    return { accounts: [], alerts: [], errors: [] };
+  }
+
+  const period = { year: now.getFullYear(), month: now.getMonth() + 1 };
+  const accounts = [];
+  const errors = [];
+
+  // Your login, to tell your own account from organizations
+  let login = null;
+  let loginError = null;
+  try {
+    ({ accountName: login } = await resolveAccount("personal", { refresh, offline, apiUrl }));
+  } catch (error) {
+    loginError = error;
+  }
+
+  for (const name of names) {
+    try {
+      if (name === "personal" && loginError) throw loginError;
+      const accountType = name === "personal" || name === login ? "personal" : "org";
+      const accountName = name === "personal" ? login : name;
+      const usage = await loadPeriodUsage(accountType, accountName, period, { refresh, offline, apiUrl });
+      const evaluation = evaluateBudget(config.accounts[name], summarizePeriod(period, usage), period, { warnAt: config.warnAt, now });
+      accounts.push({ account: accountName, accountType, ...evaluation });
+    } catch (error) {
+      errors.push({ account: name, message: (describeApiError(error) || error.message).split("\n")[0] });
+    }
+  }
+
+  const alerts = accounts
+    .filter((account) => account.status === "over" || account.status === "warning")
+    .map((account) => ({
+      account: account.account,
+      period: account.period,
+      status: account.status,
+      message: `${account.account}: ${account.checks.filter((check) => check.status === account.status).map(describeCheck).join(", ")}`,
+    }));
+
+  return { accounts, alerts, errors };
+}
@@ -0,0 +1,768 @@
+/**
+ * GitHub Copilot Usage Common Utilities
+ *
+ * Shared by the copilot-usage tool and script: resolving the account,
+ * fetching a billing period of a user, organization or enterprise from the
+ * REST API (with an on-disk cache), telling
+ * Copilot and premium request items apart, the month-over-month history
+ * report and the JSON, CSV and Markdown exports of the line items.
+ */
+
+import { $ } from "bun";
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import { homedir } from "node:os";
+import { dirname, join, resolve } from "node:path";
+import { GitHubApiError, DEFAULT_API_URL, apiGet, apiGetAll, getApiUrl, getTokenFingerprint } from "./copilot-usage-api.mjs";
+
+const RULE = "━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━";
+const SPARK_CHARS = "▁▂▃▄▅▆▇█";
+
+// How long cached data of the current billing period stays fresh
+export const CACHE_TTL_MS = 60 * 60 * 1000;
+
+// How long the cached login and organization list stay fresh
+const IDENTITY_TTL_MS = 24 * 60 * 60 * 1000;
+
+// How each account type is named in reports
+const ACCOUNT_LABELS = { personal: "Personal", org: "Organization", enterprise: "Enterprise", orgs: "Organizations" };
+
+// Output formats; everything but text is an export of the line items
+export const OUTPUT_FORMATS = ["text", "json", "csv", "markdown"];
+
+// Usage item fields carried by the exports, in column order
+const EXPORT_FIELDS = ["product", "sku", "model", "unitType", "grossQuantity", "pricePerUnit", "grossAmount", "discountAmount", "netAmount"];
+
+// Usage can still be posted shortly after a period ends, so a period only
+// counts as closed (and its cache entry as permanent) this long after
+const PERIOD_GRACE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Turn a GitHub API failure into the message shown to the user
+ * @param {Error} error - The error thrown
+ * @returns {string|null} - The message, or null if the error isn't an API error
+ */
+export function describeApiError(error) {
+  if (!(error instanceof GitHubApiError)) {
+    return null;
+  }
+  return error.hint ? `${error.message}\n\n${error.hint}` : error.message;
+}
+
+/**
+ * Describe an account for a report header, e.g. "Organization (my-org)"
+ * @param {string} accountType - "personal", "org", "enterprise", or "orgs" for a rollup
+ * @param {string} accountName - Login or slug (for a rollup, the organizations joined)
+ */
+export function describeAccount(accountType, accountName) {
+  return `${ACCOUNT_LABELS[accountType]} (${accountName})`;
+}
+
+/**
+ * Check if a usage item belongs to Copilot
+ */
+export function isCopilotItem(item) {
+  return (
+    (item.product && item.product.toLowerCase().includes("copilot")) ||
+    (item.sku && item.sku.toLowerCase().includes("copilot"))
+  );
+}
+
+/**
+ * Check if a usage item is a premium request item
+ */
+export function isPremiumItem(item) {
+  return (
+    item.model ||
+    (item.sku && item.sku.toLowerCase().includes("premium")) ||
+    (item.sku && item.sku.toLowerCase().includes("request"))
+  );
+}
+
+/**
+ * Parse a YYYY-MM month
+ * @param {string} value - The month, e.g. "2025-03"
+ * @returns {{year: number, month: number}|null} - null if it isn't a valid month
+ */
+export function parseMonth(value) {
+  const match = /^(\d{4})-(\d{1,2})$/.exec(String(value));
+  if (!match) return null;
+  const year = Number(match[1]);
+  const month = Number(match[2]);
+  if (month < 1 || month > 12) return null;
+  return { year, month };
+}
+
+/**
+ * Format a period as YYYY-MM
+ */
+export function formatMonth({ year, month }) {
+  return `${year}-${String(month).padStart(2, "0")}`;
+}
+
+/**
+ * Format a billing period as YYYY-MM, or YYYY for a whole year
+ */
+export function formatPeriod(period) {
+  return period.month ? formatMonth(period) : String(period.year);
+}
+
+/**
+ * List the months of a history range, oldest first
+ *
+ * `from` and `to` are YYYY-MM strings; `to` defaults to the current month.
+ * `last` selects that many months up to and including `to` instead of `from`.
+ * @returns {Array<{year: number, month: number}>}
+ * @throws {Error} - If a month is invalid, in the future, or the range is empty
+ */
+export function resolveHistoryRange({ from, to, last, now = new Date() }) {
+  const current = { year: now.getFullYear(), month: now.getMonth() + 1 };
+  const index = ({ year, month }) => year * 12 + month - 1;
+
+  const hasLast = last !== undefined && last !== null;
+  if (from && hasLast) {
+    throw new Error("--from cannot be combined with --last");
+  }
+  if (!from && !hasLast) {
+    throw new Error("--to needs --from or --last");
+  }
+
+  const end = to ? parseMonth(to) : current;
+  if (!end) {
+    throw new Error(`--to must be a month like 2025-03, got '${to}'`);
+  }
+  if (index(end) > index(current)) {
+    throw new Error(`--to ${formatMonth(end)} is in the future`);
+  }
+
+  let start;
+  if (hasLast) {
+    if (!Number.isInteger(last) || last < 1) {
+      throw new Error("--last must be a positive number of months");
+    }
+    start = index(end) - last + 1;
+  } else {
+    const parsed = parseMonth(from);
+    if (!parsed) {
+      throw new Error(`--from must be a month like 2025-03, got '${from}'`);
+    }
+    start = index(parsed);
+  }
+
+  if (start > index(end)) {
+    throw new Error(`--from ${from} is after --to ${formatMonth(end)}`);
+  }
+
+  const months = [];
+  for (let i = start; i <= index(end); i++) {
+    months.push({ year: Math.floor(i / 12), month: (i % 12) + 1 });
+  }
+  return months;
+}
+
+/**
+ * Whether an account exists, to tell "endpoint not available for the
+ * account" from "no such account" when an endpoint answers 404
+ *
+ * Enterprises can't be looked up, so this is false for them.
+ */
+async function accountExists(accountType, accountName, apiUrl) {
+  const path = { personal: `/users/${accountName}`, org: `/orgs/${accountName}` }[accountType];
+  if (!path) return false;
+  try {
+    await apiGet(path, { apiUrl });
+    return true;
+  } catch (e) {
+    if (e instanceof GitHubApiError && e.status === 404) return false;
+    throw e;
+  }
+}
+
+/**
+ * GET an API path, or null if the endpoint is not available for an account
+ * that exists; `checkAccount()` says whether it does. Any other 404 is thrown.
+ */
+async function apiGetOptional(path, options, checkAccount) {
+  try {
+    return (await apiGet(path, options)) || {};
+  } catch (e) {
+    if (e instanceof GitHubApiError && e.status === 404 && (await checkAccount())) {
+      return null;
+    }
+    throw e;
+  }
+}
+
+/**
+ * Fetch the usage summary and premium request usage of one billing period
+ *
+ * `accountType` is "personal", "org" or "enterprise" (by slug). An endpoint
+ * that isn't available for the account comes back as null; other errors,
+ * including a 404 for an account that doesn't exist, are rethrown.
+ */
+export async function fetchPeriodUsage(accountType, accountName, { year, month }, { apiUrl = null } = {}) {
+  const base = {
+    personal: `/users/${accountName}`,
+    org: `/organizations/${accountName}`,
+    enterprise: `/enterprises/${accountName}`,
+  }[accountType];
+  // Look the account up at most once, and only after a 404
+  let exists = null;
+  const checkAccount = () => (exists ??= accountExists(accountType, accountName, apiUrl));
+  const fetchJson = (path) => apiGetOptional(`${base}/settings/billing/${path}`, { query: { year, month }, apiUrl }, checkAccount);
+
+  const [usageSummary, premiumUsage] = await Promise.all([
+    fetchJson("usage/summary"),
+    fetchJson("premium_request/usage"),
+  ]);
+  return { usageSummary, premiumUsage };
+}
+
+/**
+ * Fetch the seat breakdown of an organization, or null if it has none
+ */
+export async function fetchSeatInfo(accountName, { apiUrl = null } = {}) {
+  return apiGetOptional(`/orgs/${accountName}/copilot/billing`, { apiUrl }, () => accountExists("org", accountName, apiUrl));
+}
+
+/**
+ * Get the cache directory (~/.cache/opencode/copilot-usage, or under
+ * $XDG_CACHE_HOME when set)
+ */
+export function getCacheDir() {
+  return join(process.env.XDG_CACHE_HOME || join(homedir(), ".cache"), "opencode", "copilot-usage");
+}
+
+/**
+ * Get the file of a cache entry; data from other API hosts (GitHub
+ * Enterprise Server) is kept in a directory per host
+ */
+function cacheFile(key, apiUrl) {
+  const url = getApiUrl(apiUrl);
+  const host = url === DEFAULT_API_URL ? [] : [encodeURIComponent(new URL(url).host)];
+  return join(getCacheDir(), ...host, `${key}.json`);
+}
+
+/**
+ * Read a cache entry
+ * @returns {Promise<{fetchedAt: number, data: any}|null>} - null if there is none
+ */
+async function readCache(key, apiUrl) {
+  try {
+    return JSON.parse(await readFile(cacheFile(key, apiUrl), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Write a cache entry; the file is replaced atomically
+ */
+async function writeCache(key, data, apiUrl) {
+  const file = cacheFile(key, apiUrl);
+  const entry = { fetchedAt: Date.now(), data };
+  await mkdir(dirname(file), { recursive: true });
+  await writeFile(`${file}.tmp`, JSON.stringify(entry, null, 2) + "\n");
+  await rename(`${file}.tmp`, file);
+  return entry;
+}
+
+/**
+ * Return cached data if it is still fresh, or fetch and cache it
+ *
+ * `isFresh(entry)` decides whether an entry can be used, and `persist(data)`
+ * whether fetched data is written; data that is incomplete because of a
+ * failed request shouldn't outlive it. With `refresh` the cache is never
+ * read; with `offline` nothing is fetched and any cached entry is used,
+ * however old. Entries are kept per API host (`apiUrl`, see getApiUrl()).
+ * @returns {Promise<{data: any, fetchedAt: number, cached: boolean}>}
+ * @throws {Error} - If `offline` is set and nothing is cached
+ */
+export async function withCache(key, { isFresh, persist = () => true, refresh = false, offline = false, apiUrl = null }, fetcher) {
+  const entry = refresh ? null : await readCache(key, apiUrl);
+  if (entry && (offline || isFresh(entry))) {
+    return { data: entry.data, fetchedAt: entry.fetchedAt, cached: true };
+  }
+  if (offline) {
+    throw new Error(`No cached data for ${key}.\n\nRun once without --offline to fill the cache.`);
+  }
+  const data = await fetcher();
+  if (!persist(data)) {
+    return { data, fetchedAt: Date.now(), cached: false };
+  }
+  const written = await writeCache(key, data, apiUrl);
+  return { data: written.data, fetchedAt: written.fetchedAt, cached: false };
+}
+
+/**
+ * Get the end of a billing period (a month, or a whole year without `month`)
+ */
+export function periodEnd({ year, month }) {
+  return month ? Date.UTC(year, month, 1) : Date.UTC(year + 1, 0, 1);
+}
+
+/**
+ * Build the freshness check of a period's cache entries: an entry of a
+ * closed period is kept for good, one of the current period for
+ * CACHE_TTL_MS
+ */
+export function periodFreshness(period) {
+  const closedAt = periodEnd(period) + PERIOD_GRACE_MS;
+  return (entry) => entry.fetchedAt >= closedAt || Date.now() - entry.fetchedAt < CACHE_TTL_MS;
+}
+
+/**
+ * Build the cache key of an account's period
+ */
+function periodKey(accountType, accountName, period) {
+  return `${accountType}/${encodeURIComponent(accountName)}/${formatPeriod(period)}`;
+}
+
+/**
+ * Resolve which account to report on
+ *
+ * `account` is "personal", an organization name, or empty to use the owner
+ * of the origin remote if the user belongs to that organization. The login
+ * and organization list are cached for a day, per token.
+ * @returns {Promise<{accountType: "personal"|"org", accountName: string}>}
+ */
+export async function resolveAccount(account, { refresh = false, offline = false, apiUrl = null } = {}) {
+  if (account && account !== "personal") {
+    return { accountType: "org", accountName: account };
+  }
+
+  const { data: identity } = await withCache(
+    `identity/${await getTokenFingerprint({ apiUrl })}`,
+    { isFresh: (entry) => Date.now() - entry.fetchedAt < IDENTITY_TTL_MS, refresh, offline, apiUrl },
+    async () => {
+      const { login } = await apiGet("/user", { apiUrl });
+      let orgs = [];
+      try {
+        orgs = (await apiGetAll("/user/orgs", { apiUrl })).map((org) => org.login);
+      } catch (e) {
+        // Listing orgs needs the read:org scope; without it, fall back to personal
+        if (!(e instanceof GitHubApiError)) throw e;
+      }
+      return { login, orgs };
+    }
+  );
+
+  if (!account) {
+    // Auto-detect from git remote
+    try {
+      const remote = await $`git remote get-url origin 2>/dev/null`.quiet().text();
+      const match = remote.match(/[:/]([^/]+)\/[^/]+(?:\.git)?/);
+      if (match && identity.orgs.includes(match[1])) {
+        return { accountType: "org", accountName: match[1] };
+      }
+    } catch {
+      // Fall through to personal
+    }
+  }
+
+  return { accountType: "personal", accountName: identity.login };
+}
+
+/**
+ * Load the usage of one billing period, from the cache when possible
+ *
+ * Entries of a closed period are kept for good; those of the current period
+ * are refetched after CACHE_TTL_MS. An endpoint that isn't available for the
+ * account reads as empty, and leaves the data uncached. With `seats`, the
+ * organization's seat breakdown is included. `apiUrl` selects the API, as in
+ * apiGet().
+ * @returns {Promise<{usageSummary: object, premiumUsage: object, seatInfo: object, fetchedAt: number, cached: boolean}>}
+ */
+export async function loadPeriodUsage(accountType, accountName, period, { seats = false, refresh = false, offline = false, apiUrl = null } = {}) {
+  const usage = await withCache(
+    periodKey(accountType, accountName, period),
+    {
+      isFresh: periodFreshness(period),
+      persist: ({ usageSummary, premiumUsage }) => usageSummary !== null && premiumUsage !== null,
+      refresh,
+      offline,
+      apiUrl,
+    },
+    () => fetchPeriodUsage(accountType, accountName, period, { apiUrl })
+  );
+
+  let seatInfo = {};
+  let fetchedAt = usage.fetchedAt;
+  let cached = usage.cached;
+  if (seats && accountType === "org") {
+    const seatResult = await withCache(
+      `org/${encodeURIComponent(accountName)}/seats`,
+      { isFresh: (entry) => Date.now() - entry.fetchedAt < CACHE_TTL_MS, persist: (data) => data !== null, refresh, offline, apiUrl },
+      () => fetchSeatInfo(accountName, { apiUrl })
+    );
+    seatInfo = seatResult.data || {};
+    fetchedAt = Math.min(fetchedAt, seatResult.fetchedAt);
+    cached = cached || seatResult.cached;
+  }
+
+  return {
+    usageSummary: usage.data.usageSummary || {},
+    premiumUsage: usage.data.premiumUsage || {},
+    seatInfo,
+    fetchedAt,
+    cached,
+  };
+}
+
+/**
+ * Format how old a timestamp is, e.g. "5 min ago"
+ */
+function formatAge(ts) {
+  const seconds = Math.max(0, Math.round((Date.now() - ts) / 1000));
+  if (seconds < 60) return "just now";
+  if (seconds < 3600) return `${Math.floor(seconds / 60)} min ago`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)} hours ago`;
+  return `${Math.floor(seconds / 86400)} days ago`;
+}
+
+/**
+ * Describe where report data came from, for the report header
+ * @param {number} fetchedAt - When the oldest part of the data was fetched
+ * @param {boolean} cached - Whether any of it came from the cache
+ */
+export function describeDataAge(fetchedAt, cached) {
+  return cached ? `Data: cached, fetched ${formatAge(fetchedAt)}` : "Data: live";
+}
+
+/**
+ * Pick the Copilot items of a period's usage
+ *
+ * Premium requests are taken from the premium request report when it has
+ * any, so they aren't counted twice when the summary lists them as well.
+ */
+export function selectCopilotItems({ usageSummary = {}, premiumUsage = {} }) {
+  const summaryItems = (usageSummary.usageItems || []).filter(isCopilotItem);
+  const premiumReport = (premiumUsage.usageItems || []).filter(isCopilotItem);
+  return premiumReport.length > 0
+    ? [...summaryItems.filter((item) => !isPremiumItem(item)), ...premiumReport]
+    : summaryItems;
+}
+
+/**
+ * Aggregate the Copilot items of one period by SKU and model
+ */
+export function summarizePeriod(period, usage) {
+  const items = selectCopilotItems(usage);
+
+  const groups = new Map();
+  let premiumRequests = 0;
+  let netAmount = 0;
+
+  for (const item of items) {
+    const premium = Boolean(isPremiumItem(item));
+    const key = `${item.sku || item.product || "Copilot"}\u0000${item.model || ""}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        sku: item.sku || item.product || "Copilot",
+        model: item.model || null,
+        premium,
+        quantity: 0,
+        unitType: item.unitType || null,
+        netAmount: 0,
+      });
+    }
+    const group = groups.get(key);
+    group.quantity += item.grossQuantity || 0;
+    group.netAmount += item.netAmount || 0;
+    if (premium) premiumRequests += item.grossQuantity || 0;
+    netAmount += item.netAmount || 0;
+  }
+
+  return {
+    year: period.year,
+    month: period.month,
+    premiumRequests,
+    netAmount,
+    items: [...groups.values()],
+  };
+}
+
+/**
+ * Fetch and summarize every month of a range
+ *
+ * Months are loaded through the cache; `options` takes `refresh`, `offline`
+ * and `apiUrl` like loadPeriodUsage().
+ */
+export async function fetchUsageHistory(accountType, accountName, months, options = {}) {
+  const history = [];
+  for (const period of months) {
+    const usage = await loadPeriodUsage(accountType, accountName, period, options);
+    history.push({ ...summarizePeriod(period, usage), fetchedAt: usage.fetchedAt, cached: usage.cached });
+  }
+  return history;
+}
+
+/**
+ * Draw values as a text sparkline, scaled to the largest value
+ */
+export function sparkline(values) {
+  const max = Math.max(0, ...values);
+  return values
+    .map((value) => SPARK_CHARS[max > 0 ? Math.round((value / max) * (SPARK_CHARS.length - 1)) : 0])
+    .join("");
+}
+
+/**
+ * Format the change from the previous value, e.g. "+12 (+8%)"
+ */
+function formatDelta(current, previous, format) {
+  if (previous === undefined) return "—";
+  const diff = current - previous;
+  const sign = diff > 0 ? "+" : diff < 0 ? "-" : "±";
+  const percent = previous !== 0 ? ` (${sign}${Math.abs(Math.round((diff / previous) * 100))}%)` : "";
+  return `${sign}${format(Math.abs(diff))}${percent}`;
+}
+
+export const formatCount = (n) => String(Math.round(n * 100) / 100);
+export const formatCost = (n) => `$${n.toFixed(2)}`;
+
+/**
+ * Render rows as left-aligned columns
+ */
+export function renderTable(headers, rows) {
+  const widths = headers.map((header, i) => Math.max(header.length, ...rows.map((row) => row[i].length)));
+  const line = (cells) => cells.map((cell, i) => cell.padEnd(widths[i])).join("  ").trimEnd();
+  return [line(headers), line(widths.map((w) => "─".repeat(w))), ...rows.map(line)].join("\n") + "\n";
+}
+
+/**
+ * Total the items of several period summaries per SKU and model
+ *
+ * Each group's `trend` holds its quantity in each summary, in order. Premium
+ * request groups come first, then by quantity.
+ * @param {Array} summaries - Results of summarizePeriod()
+ */
+export function groupBySku(summaries) {
+  const groups = new Map();
+  summaries.forEach((summary, i) => {
+    for (const item of summary.items) {
+      const key = `${item.sku}\u0000${item.model || ""}`;
+      if (!groups.has(key)) {
+        groups.set(key, { ...item, quantity: 0, netAmount: 0, trend: summaries.map(() => 0) });
+      }
+      const group = groups.get(key);
+      group.quantity += item.quantity;
+      group.netAmount += item.netAmount;
+      group.trend[i] += item.quantity;
+    }
+  });
+  return [...groups.values()].sort((a, b) => b.premium - a.premium || b.quantity - a.quantity);
+}
+
+/**
+ * Label a group of groupBySku(), e.g. "gpt-4o (Copilot Premium Request)"
+ */
+export function describeSkuGroup(group) {
+  return group.model ? `${group.model} (${group.sku})` : group.sku;
+}
+
+/**
+ * Format the quantity of a group of groupBySku(), with its unit unless it
+ * counts premium requests
+ */
+export function formatGroupQuantity(group) {
+  return `${formatCount(group.quantity)}${group.unitType && !group.premium ? ` ${group.unitType}` : ""}`;
+}
+
+/**
+ * Build the month-over-month history report
+ * @param {string} accountType - "personal" or "org"
+ * @param {string} accountName - Login of the user or organization
+ * @param {Array} history - Result of fetchUsageHistory()
+ * @returns {string}
+ */
+export function formatHistory(accountType, accountName, history) {
+  let output = `${RULE}\n`;
+  output += "   GitHub Copilot Usage History\n";
+  output += `${RULE}\n\n`;
+
+  output += `Account: ${describeAccount(accountType, accountName)}\n`;
+  output += `Period: ${formatMonth(history[0])} to ${formatMonth(history[history.length - 1])} (${history.length} month${history.length !== 1 ? "s" : ""})\n`;
+  output += `${describeDataAge(Math.min(...history.map((period) => period.fetchedAt)), history.some((period) => period.cached))}\n\n`;
+
+  if (history.every((period) => period.items.length === 0)) {
+    output += "No Copilot usage for this period.\n";
+    return output;
+  }
+
+  output += "━━━ Month over Month ━━━\n\n";
+  output += renderTable(
+    ["MONTH", "PREMIUM REQUESTS", "CHANGE", "NET COST", "CHANGE"],
+    history.map((period, i) => [
+      formatMonth(period),
+      formatCount(period.premiumRequests),
+      formatDelta(period.premiumRequests, history[i - 1]?.premiumRequests, formatCount),
+      formatCost(period.netAmount),
+      formatDelta(period.netAmount, history[i - 1]?.netAmount, formatCost),
+    ])
+  );
+
+  const requests = history.map((period) => period.premiumRequests);
+  output += `\nPremium requests: ${sparkline(requests)}  (min ${formatCount(Math.min(...requests))}, max ${formatCount(Math.max(...requests))})\n`;
+
+  // Totals per SKU and model across the range, with a sparkline each
+  output += "\n━━━ By Model and SKU ━━━\n\n";
+  output += renderTable(
+    ["MODEL / SKU", "QUANTITY", "NET COST", "TREND"],
+    groupBySku(history).map((group) => [
+      describeSkuGroup(group),
+      formatGroupQuantity(group),
+      formatCost(group.netAmount),
+      sparkline(group.trend),
+    ])
+  );
+
+  const totalCost = history.reduce((sum, period) => sum + period.netAmount, 0);
+  const totalRequests = history.reduce((sum, period) => sum + period.premiumRequests, 0);
+  output += `\n${RULE}\n`;
+  output += `Total Premium Requests: ${formatCount(totalRequests)}\n`;
+  output += `Total Net Cost: ${formatCost(totalCost)}\n`;
+  output += `${RULE}\n`;
+  return output;
+}
+
+/**
+ * Fetch the Copilot line items of every period, for the exports
+ *
+ * `options` takes `refresh`, `offline` and `apiUrl` like loadPeriodUsage().
+ * @returns {Promise<{items: object[], fetchedAt: number, cached: boolean}>}
+ */
+export async function fetchLineItems(accountType, accountName, periods, options = {}) {
+  const items = [];
+  let fetchedAt = Date.now();
+  let cached = false;
+  for (const period of periods) {
+    const usage = await loadPeriodUsage(accountType, accountName, period, options);
+    fetchedAt = Math.min(fetchedAt, usage.fetchedAt);
+    cached = cached || usage.cached;
+    for (const item of selectCopilotItems(usage)) {
+      const row = {
+        account: accountName,
+        accountType,
+        period: formatPeriod(period),
+      };
+      for (const field of EXPORT_FIELDS) {
+        row[field] = item[field] ?? null;
+      }
+      items.push(row);
+    }
+  }
+  return { items, fetchedAt, cached };
+}
+
+/**
+ * Quote a CSV field if needed (RFC 4180)
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render objects as CSV with a header row
+ * @param {string[]} columns - Keys of the objects, in column order
+ * @param {object[]} rows - The objects
+ */
+export function toCsv(columns, rows) {
+  return [columns.join(","), ...rows.map((row) => columns.map((column) => csvField(row[column])).join(","))].join("\r\n") + "\r\n";
+}
+
+/**
+ * Escape a Markdown table cell
+ */
+export function markdownCell(value) {
+  if (value === null || value === undefined) return "";
+  return String(value).replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+}
+
+/**
+ * Render line items as JSON, CSV or Markdown
+ *
+ * A rollup passes its organizations as `accounts`; the JSON then includes
+ * the net cost per organization, and the Markdown table an account column
+ * with a subtotal row after each organization. A `metrics` summary (see
+ * copilot-usage-metrics.mjs) is included in the JSON.
+ * @param {string} format - "json", "csv" or "markdown"
+ * @param {object} report - `{accountType, accountName, accounts?, periods, items, fetchedAt, metrics?}`
+ * @returns {string}
+ */
+export function formatExport(format, { accountType, accountName, accounts = [accountName], periods, items, fetchedAt, metrics = null }) {
+  const periodNames = periods.map(formatPeriod);
+  const sumCost = (rows) => rows.reduce((sum, item) => sum + (item.netAmount || 0), 0);
+  const totalCost = sumCost(items);
+  const rollup = accounts.length > 1;
+
+  if (format === "json") {
+    return JSON.stringify({
+      account: accountName,
+      accountType,
+      ...(rollup ? { accounts } : {}),
+      periods: periodNames,
+      fetchedAt: new Date(fetchedAt).toISOString(),
+      items,
+      ...(rollup
+        ? { subtotals: accounts.map((account) => ({ account, netAmount: Math.round(sumCost(items.filter((item) => item.account === account)) * 100) / 100 })) }
+        : {}),
+      totalNetAmount: Math.round(totalCost * 100) / 100,
+      ...(metrics ? { metrics } : {}),
+    }, null, 2) + "\n";
+  }
+
+  const columns = ["account", "accountType", "period", ...EXPORT_FIELDS];
+  if (format === "csv") {
+    return toCsv(columns, items);
+  }
+
+  // Markdown
+  const headers = [...(rollup ? ["Account"] : []), "Period", "Product", "SKU", "Model", "Quantity", "Unit", "Price", "Gross", "Discount", "Net"];
+  const money = (n) => (n === null ? "" : `$${n.toFixed(2)}`);
+  const totalRow = (label, amount) => `| ${[`**${label}**`, ...headers.slice(2).map(() => ""), `**${money(amount)}**`].join(" | ")} |\n`;
+  let output = `## GitHub Copilot Usage: ${accountName}\n\n`;
+  output += `- Account: ${describeAccount(accountType, accountName)}\n`;
+  output += `- Period: ${periodNames.length > 1 ? `${periodNames[0]} to ${periodNames[periodNames.length - 1]}` : periodNames[0]}\n\n`;
+  if (items.length === 0) {
+    return output + "No Copilot usage for this period.\n";
+  }
+  output += `| ${headers.join(" | ")} |\n`;
+  output += `| ${headers.map((header) => (["Quantity", "Price", "Gross", "Discount", "Net"].includes(header) ? "---:" : "---")).join(" | ")} |\n`;
+  for (const account of accounts) {
+    const rows = items.filter((item) => item.account === account);
+    for (const item of rows) {
+      const cells = [
+        ...(rollup ? [item.account] : []),
+        item.period,
+        item.product,
+        item.sku,
+        item.model,
+        item.grossQuantity,
+        item.unitType,
+        item.pricePerUnit === null ? "" : `$${item.pricePerUnit.toFixed(4)}`,
+        money(item.grossAmount),
+        money(item.discountAmount),
+        money(item.netAmount),
+      ];
+      output += `| ${cells.map(markdownCell).join(" | ")} |\n`;
+    }
+    if (rollup && rows.length > 0) {
+      output += totalRow(`${markdownCell(account)} subtotal`, sumCost(rows));
+    }
+  }
+  output += totalRow("Total", totalCost);
+  return output;
+}
+
+/**
+ * Write an export to a file, creating its directory
+ * @returns {Promise<string>} - The absolute path written
+ */
+export async function writeExport(file, content) {
+  const path = resolve(file.replace(/^~(?=\/|$)/, homedir()));
+  await mkdir(dirname(path), { recursive: true });
+  await writeFile(path, content);
+  return path;
+}
@@ -0,0 +1,227 @@
+/**
+ * GitHub Copilot Usage Metrics
+ *
+ * Engagement next to the cost: daily active and engaged users, how often
+ * code suggestions are accepted (per language and editor) and how much chat
+ * is used, from the Copilot metrics API of an organization or enterprise.
+ * GitHub keeps these metrics for the last 100 days only, so older periods
+ * come back partial or empty.
+ */
+
+import { apiGetAll } from "./copilot-usage-api.mjs";
+import { withCache, periodEnd, periodFreshness, formatPeriod, formatCount, formatCost, renderTable } from "./copilot-usage-common.mjs";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Languages and editors listed in the report; the rest are left out
+const MAX_BREAKDOWN_ROWS = 10;
+
+/**
+ * Fetch the daily metrics of one period, up to today
+ */
+async function fetchPeriodMetrics(accountType, accountName, period, apiUrl) {
+  const since = new Date(Date.UTC(period.year, (period.month || 1) - 1, 1));
+  const until = new Date(Math.min(periodEnd(period) - DAY_MS, Date.now()));
+  if (since > until) return [];
+  const base = accountType === "enterprise" ? `/enterprises/${accountName}` : `/orgs/${accountName}`;
+  return apiGetAll(`${base}/copilot/metrics`, {
+    query: { since: since.toISOString().slice(0, 10), until: until.toISOString().slice(0, 10) },
+    apiUrl,
+  });
+}
+
+/**
+ * Load the daily metrics of every period, from the cache when possible
+ *
+ * Cache entries follow the same rules as the billing data of the period.
+ * @param {"org"|"enterprise"} accountType
+ * @param {string} accountName - Organization login or enterprise slug
+ * @param {Array<{year: number, month?: number}>} periods
+ * @returns {Promise<{days: object[], fetchedAt: number, cached: boolean}>}
+ */
+export async function loadMetrics(accountType, accountName, periods, { refresh = false, offline = false, apiUrl = null } = {}) {
+  const days = [];
+  let fetchedAt = Date.now();
+  let cached = false;
+  for (const period of periods) {
+    const result = await withCache(
+      `${accountType}/${encodeURIComponent(accountName)}/metrics/${formatPeriod(period)}`,
+      { isFresh: periodFreshness(period), refresh, offline, apiUrl },
+      () => fetchPeriodMetrics(accountType, accountName, period, apiUrl)
+    );
+    days.push(...result.data);
+    fetchedAt = Math.min(fetchedAt, result.fetchedAt);
+    cached = cached || result.cached;
+  }
+  return { days: days.sort((a, b) => a.date.localeCompare(b.date)), fetchedAt, cached };
+}
+
+/**
+ * Add up code completion counts per key (language or editor)
+ */
+function addCompletions(totals, name, language) {
+  if (!totals.has(name)) {
+    totals.set(name, { name, suggestions: 0, acceptances: 0, linesSuggested: 0, linesAccepted: 0 });
+  }
+  const total = totals.get(name);
+  total.suggestions += language.total_code_suggestions || 0;
+  total.acceptances += language.total_code_acceptances || 0;
+  total.linesSuggested += language.total_code_lines_suggested || 0;
+  total.linesAccepted += language.total_code_lines_accepted || 0;
+}
+
+/**
+ * Sort completion totals by suggestions and add their acceptance rate
+ */
+function rankCompletions(totals) {
+  return [...totals.values()]
+    .map((total) => ({ ...total, acceptanceRate: total.suggestions > 0 ? total.acceptances / total.suggestions : null }))
+    .sort((a, b) => b.suggestions - a.suggestions || a.name.localeCompare(b.name));
+}
+
+/**
+ * Average and peak of a daily value
+ */
+function dailyStats(days, value) {
+  const values = days.map(value);
+  return {
+    average: values.length > 0 ? values.reduce((sum, n) => sum + n, 0) / values.length : 0,
+    peak: Math.max(0, ...values),
+  };
+}
+
+/**
+ * Summarize daily metrics
+ *
+ * Users are counted per day, so they are given as the daily average and
+ * peak; suggestions, acceptances and chats are totals over the days.
+ * @param {object[]} days - Result of loadMetrics()
+ */
+export function summarizeMetrics(days) {
+  const byLanguage = new Map();
+  const byEditor = new Map();
+  const chat = { chats: 0, insertions: 0, copies: 0, dotcomChats: 0, pullRequestSummaries: 0 };
+
+  for (const day of days) {
+    for (const editor of day.copilot_ide_code_completions?.editors || []) {
+      for (const model of editor.models || []) {
+        for (const language of model.languages || []) {
+          addCompletions(byLanguage, language.name, language);
+          addCompletions(byEditor, editor.name, language);
+        }
+      }
+    }
+    for (const editor of day.copilot_ide_chat?.editors || []) {
+      for (const model of editor.models || []) {
+        chat.chats += model.total_chats || 0;
+        chat.insertions += model.total_chat_insertion_events || 0;
+        chat.copies += model.total_chat_copy_events || 0;
+      }
+    }
+    for (const model of day.copilot_dotcom_chat?.models || []) {
+      chat.dotcomChats += model.total_chats || 0;
+    }
+    for (const repository of day.copilot_dotcom_pull_requests?.repositories || []) {
+      for (const model of repository.models || []) {
+        chat.pullRequestSummaries += model.total_pr_summaries_created || 0;
+      }
+    }
+  }
+
+  const languages = rankCompletions(byLanguage);
+  const suggestions = languages.reduce((sum, language) => sum + language.suggestions, 0);
+  const acceptances = languages.reduce((sum, language) => sum + language.acceptances, 0);
+
+  return {
+    days: days.length,
+    firstDay: days[0]?.date || null,
+    lastDay: days[days.length - 1]?.date || null,
+    activeUsers: dailyStats(days, (day) => day.total_active_users || 0),
+    engagedUsers: dailyStats(days, (day) => day.total_engaged_users || 0),
+    completions: {
+      engagedUsers: dailyStats(days, (day) => day.copilot_ide_code_completions?.total_engaged_users || 0),
+      suggestions,
+      acceptances,
+      acceptanceRate: suggestions > 0 ? acceptances / suggestions : null,
+      byLanguage: languages,
+      byEditor: rankCompletions(byEditor),
+    },
+    chat: {
+      ...chat,
+      engagedUsers: dailyStats(days, (day) => day.copilot_ide_chat?.total_engaged_users || 0),
+      dotcomEngagedUsers: dailyStats(days, (day) => day.copilot_dotcom_chat?.total_engaged_users || 0),
+    },
+  };
+}
+
+/**
+ * Format a ratio as a percentage
+ */
+function formatRate(rate) {
+  return rate === null ? "—" : `${Math.round(rate * 1000) / 10}%`;
+}
+
+/**
+ * Format the average and peak of a daily value
+ */
+function formatDaily({ average, peak }) {
+  return `${formatCount(Math.round(average * 10) / 10)} average, ${peak} peak`;
+}
+
+/**
+ * Render completion totals as a table
+ */
+function completionTable(label, rows) {
+  let output = renderTable(
+    [label, "SUGGESTIONS", "ACCEPTED", "RATE", "LINES ACCEPTED"],
+    rows.slice(0, MAX_BREAKDOWN_ROWS).map((row) => [
+      row.name,
+      String(row.suggestions),
+      String(row.acceptances),
+      formatRate(row.acceptanceRate),
+      String(row.linesAccepted),
+    ])
+  );
+  if (rows.length > MAX_BREAKDOWN_ROWS) {
+    output += `(${rows.length - MAX_BREAKDOWN_ROWS} more not shown)\n`;
+  }
+  return output;
+}
+
+/**
+ * Build the metrics section of the report
+ * @param {object} summary - Result of summarizeMetrics()
+ * @param {number|null} netAmount - The report's total net cost of the same
+ *   period, for the cost per active user
+ * @returns {string}
+ */
+export function formatMetrics(summary, netAmount = null) {
+  let output = "\n━━━ Metrics ━━━\n\n";
+  if (summary.days === 0) {
+    return output + "No Copilot metrics for this period (GitHub keeps them for 100 days).\n";
+  }
+
+  output += `Days with data: ${summary.days} (${summary.firstDay} to ${summary.lastDay})\n`;
+  output += `Daily active users: ${formatDaily(summary.activeUsers)}\n`;
+  output += `Daily engaged users: ${formatDaily(summary.engagedUsers)}\n`;
+  if (netAmount !== null && summary.activeUsers.average > 0) {
+    output += `Cost per active user: ${formatCost(netAmount / summary.activeUsers.average)} (net cost / average daily active users)\n`;
+  }
+
+  const { completions, chat } = summary;
+  output += "\n━━━ Code Completions ━━━\n\n";
+  output += `Engaged users: ${formatDaily(completions.engagedUsers)}\n`;
+  output += `Acceptance rate: ${formatRate(completions.acceptanceRate)} (${completions.acceptances} of ${completions.suggestions} suggestions)\n`;
+  if (completions.byLanguage.length > 0) {
+    output += "\n" + completionTable("LANGUAGE", completions.byLanguage);
+    output += "\n" + completionTable("EDITOR", completions.byEditor);
+  }
+
+  output += "\n━━━ Chat ━━━\n\n";
+  output += `IDE chat: ${chat.chats} chats (${chat.insertions} insertions, ${chat.copies} copies); engaged users ${formatDaily(chat.engagedUsers)}\n`;
+  output += `GitHub.com chat: ${chat.dotcomChats} chats; engaged users ${formatDaily(chat.dotcomEngagedUsers)}\n`;
+  if (chat.pullRequestSummaries > 0) {
+    output += `Pull request summaries: ${chat.pullRequestSummaries}\n`;
+  }
+  return output;
+}
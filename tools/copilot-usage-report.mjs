@@ -0,0 +1,417 @@
+/**
+ * GitHub Copilot Usage Report
+ *
+ * The report pipeline shared by the copilot-usage tool and script, so the two
+ * only adapt their arguments and print or return the result:
+ *
+ *   normalizeReportOptions()  check the options and fill in their defaults
+ *   loadReport()              fetch the data of the selected report (through
+ *                             the cache) and normalize it
+ *   renderReport()            render it as text or an export
+ *
+ * buildReport() runs all three. Options use the names of the tool's
+ * arguments; errors in them are thrown as ReportOptionsError, with messages
+ * that name the script's flags.
+ */
+
+import {
+  OUTPUT_FORMATS,
+  resolveAccount,
+  resolveHistoryRange,
+  loadPeriodUsage,
+  selectCopilotItems,
+  summarizePeriod,
+  fetchUsageHistory,
+  fetchLineItems,
+  isPremiumItem,
+  describeAccount,
+  describeDataAge,
+  formatHistory,
+  formatExport,
+} from "./copilot-usage-common.mjs";
+import { checkReportBudget, checkBudgets, formatBudget, formatBudgetBanner } from "./copilot-usage-budget.mjs";
+import {
+  DEFAULT_INACTIVE_DAYS,
+  SEAT_SORT_KEYS,
+  loadSeatAssignments,
+  buildSeatRows,
+  sortSeatRows,
+  formatSeats,
+  formatSeatExport,
+} from "./copilot-usage-seats.mjs";
+import { parseOrgList, fetchRollup, formatRollup, fetchRollupLineItems } from "./copilot-usage-rollup.mjs";
+import { loadMetrics, summarizeMetrics, formatMetrics } from "./copilot-usage-metrics.mjs";
+
+const RULE = "━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━";
+
+/**
+ * Invalid or conflicting report options
+ */
+export class ReportOptionsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ReportOptionsError";
+  }
+}
+
+/**
+ * Check the report options and fill in their defaults
+ *
+ * Without a month or year the current month is reported; a year without a
+ * month reports the whole year.
+ * @param {object} options - account, enterprise, orgs (array or
+ *   comma-separated), month, year, from, to, last, verbose, format, seats,
+ *   inactiveDays, sort, metrics, checkBudget, refresh, offline, apiUrl
+ * @returns {object} - The options with `orgs` as an array, `months` (the
+ *   months of a range, or null) and `period` ({year, month} otherwise)
+ * @throws {ReportOptionsError}
+ */
+export function normalizeReportOptions(options = {}, now = new Date()) {
+  const {
+    account = null,
+    enterprise = null,
+    month = null,
+    year = null,
+    from = null,
+    to = null,
+    last = null,
+    format = "text",
+    seats = false,
+    inactiveDays = DEFAULT_INACTIVE_DAYS,
+    sort = "activity",
+    metrics = false,
+    refresh = false,
+    offline = false,
+  } = options;
+
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new ReportOptionsError(`--format must be one of ${OUTPUT_FORMATS.join(", ")}`);
+  }
+  if (month !== null && (!Number.isInteger(month) || month < 1 || month > 12)) {
+    throw new ReportOptionsError("--month must be a number from 1 to 12");
+  }
+  if (year !== null && !Number.isInteger(year)) {
+    throw new ReportOptionsError("--year must be a number");
+  }
+  if (!Number.isInteger(inactiveDays) || inactiveDays < 0) {
+    throw new ReportOptionsError("--inactive-days must be a number of days");
+  }
+  if (!SEAT_SORT_KEYS.includes(sort)) {
+    throw new ReportOptionsError(`--sort must be one of ${SEAT_SORT_KEYS.join(", ")}`);
+  }
+  if (refresh && offline) {
+    throw new ReportOptionsError("--refresh cannot be combined with --offline");
+  }
+
+  let orgs = null;
+  if (options.orgs) {
+    try {
+      orgs = Array.isArray(options.orgs) ? parseOrgList(options.orgs.join(",")) : parseOrgList(options.orgs);
+    } catch (error) {
+      throw new ReportOptionsError(error.message);
+    }
+  }
+  if ((enterprise || orgs) && account) {
+    throw new ReportOptionsError(`--${enterprise ? "enterprise" : "orgs"} cannot be combined with an account`);
+  }
+  if (enterprise && orgs) {
+    throw new ReportOptionsError("--enterprise cannot be combined with --orgs");
+  }
+  if (orgs && seats) {
+    throw new ReportOptionsError("--seats needs a single organization");
+  }
+  if (metrics && (orgs || seats)) {
+    throw new ReportOptionsError(`--metrics cannot be combined with --${orgs ? "orgs" : "seats"}`);
+  }
+  if (metrics && (format === "csv" || format === "markdown")) {
+    throw new ReportOptionsError("--metrics only works with the text report or --format json");
+  }
+
+  // A range of months gets the history report instead
+  let months = null;
+  if (from || to || last !== null) {
+    if (month || year) {
+      throw new ReportOptionsError("--month/--year cannot be combined with --from, --to or --last");
+    }
+    try {
+      months = resolveHistoryRange({ from, to, last, now });
+    } catch (error) {
+      throw new ReportOptionsError(error.message);
+    }
+  }
+
+  const period = {
+    year: year || now.getFullYear(),
+    month: month || (year ? null : now.getMonth() + 1),
+  };
+
+  return { ...options, account, enterprise, orgs, format, seats, inactiveDays, sort, metrics, refresh, offline, months, period };
+}
+
+/**
+ * Split a period's usage into the standard and premium request items of the
+ * usage report, with their total
+ *
+ * The items come from selectCopilotItems() and the total from
+ * summarizePeriod(), so premium requests listed in both reports are counted
+ * once, as in the history, budget and metrics figures.
+ * @returns {{timePeriod: object|null, seatInfo: object, standardItems: object[], premiumItems: object[], totalCost: number}}
+ */
+export function summarizeUsageReport(period, usage) {
+  const { usageSummary = {}, premiumUsage = {}, seatInfo = {} } = usage;
+  const copilotItems = selectCopilotItems(usage);
+  const premiumItems = copilotItems.filter(isPremiumItem);
+  const standardItems = copilotItems.filter((item) => !premiumItems.includes(item));
+  const totalCost = summarizePeriod(period, usage).netAmount;
+  return {
+    timePeriod: usageSummary.timePeriod || premiumUsage.timePeriod || null,
+    seatInfo,
+    standardItems,
+    premiumItems,
+    totalCost,
+  };
+}
+
+/**
+ * Fetch and normalize the data of the report the options select
+ * @param {object} options - Result of normalizeReportOptions()
+ * @returns {Promise<object>} - The report, with its `kind`: "budgets",
+ *   "rollup", "seats", "export", "history" or "usage"
+ */
+export async function loadReport(options) {
+  const { format, months, period, metrics } = options;
+  const cacheOptions = { refresh: options.refresh, offline: options.offline, apiUrl: options.apiUrl || null };
+
+  // Only check the budgets (used by the notifications plugin)
+  if (options.checkBudget) {
+    return { kind: "budgets", result: await checkBudgets(cacheOptions) };
+  }
+
+  // Several organizations get the rollup instead
+  if (options.orgs) {
+    const periods = months || [period];
+    if (format !== "text") {
+      const { items, fetchedAt } = await fetchRollupLineItems(options.orgs, periods, cacheOptions);
+      return { kind: "export", accountType: "orgs", accountName: options.orgs.join(", "), accounts: options.orgs, periods, items, fetchedAt };
+    }
+    return { kind: "rollup", periods, rollup: await fetchRollup(options.orgs, periods, cacheOptions) };
+  }
+
+  const { accountType, accountName } = options.enterprise
+    ? { accountType: "enterprise", accountName: options.enterprise }
+    : await resolveAccount(options.account, cacheOptions);
+
+  if (metrics && accountType === "personal") {
+    throw new ReportOptionsError("--metrics needs an organization or an enterprise");
+  }
+
+  // Per-seat breakdown
+  if (options.seats) {
+    if (accountType !== "org") {
+      throw new ReportOptionsError("--seats needs an organization");
+    }
+    const result = await loadSeatAssignments(accountName, cacheOptions);
+    const rows = sortSeatRows(buildSeatRows(result.seats, { inactiveDays: options.inactiveDays }), options.sort);
+    return { kind: "seats", accountType, accountName, rows, fetchedAt: result.fetchedAt, cached: result.cached };
+  }
+
+  // Export the line items
+  if (format !== "text") {
+    const periods = months || [period];
+    const { items, fetchedAt } = await fetchLineItems(accountType, accountName, periods, cacheOptions);
+    const summary = metrics ? summarizeMetrics((await loadMetrics(accountType, accountName, periods, cacheOptions)).days) : null;
+    return { kind: "export", accountType, accountName, periods, items, fetchedAt, metrics: summary };
+  }
+
+  if (months) {
+    const history = await fetchUsageHistory(accountType, accountName, months, cacheOptions);
+    const metricsData = metrics ? await loadMetrics(accountType, accountName, months, cacheOptions) : null;
+    return {
+      kind: "history",
+      accountType,
+      accountName,
+      history,
+      metrics: metricsData && summarizeMetrics(metricsData.days),
+      totalCost: history.reduce((sum, entry) => sum + entry.netAmount, 0),
+    };
+  }
+
+  const usage = await loadPeriodUsage(accountType, accountName, period, { seats: true, ...cacheOptions });
+  const metricsData = metrics ? await loadMetrics(accountType, accountName, [period], cacheOptions) : null;
+  return {
+    kind: "usage",
+    accountType,
+    accountName,
+    ...summarizeUsageReport(period, usage),
+    budget: await checkReportBudget(accountType, accountName, period, usage),
+    metrics: metricsData && summarizeMetrics(metricsData.days),
+    fetchedAt: metricsData ? Math.min(usage.fetchedAt, metricsData.fetchedAt) : usage.fetchedAt,
+    cached: usage.cached || Boolean(metricsData?.cached),
+  };
+}
+
+/**
+ * Build the title block every text report starts with
+ */
+function formatTitle(title) {
+  return `${RULE}\n   ${title}\n${RULE}\n\n`;
+}
+
+/**
+ * Render the result of checkBudgets(), one line per account, then the
+ * accounts that couldn't be checked
+ */
+function formatBudgetCheck(result) {
+  if (result.accounts.length === 0 && result.errors.length === 0) {
+    return "No budgets configured.\n";
+  }
+  const lines = result.accounts.map((account) => {
+    const mark = { over: "🚨", warning: "⚠️ ", projected: "📈", ok: "✓" }[account.status];
+    const checks = account.checks.map((check) => `${check.label} ${Math.round(check.percent)}% (projected ${Math.round(check.projectedPercent)}%)`);
+    return `${mark} ${account.account} ${account.period}: ${checks.join(", ")}\n`;
+  });
+  for (const error of result.errors) {
+    lines.push(`❌ ${error.account}: ${error.message}\n`);
+  }
+  return lines.join("");
+}
+
+/**
+ * Render the items of the usage report
+ */
+function formatUsageItems(report, verbose) {
+  const { standardItems, premiumItems, totalCost } = report;
+  if (standardItems.length === 0 && premiumItems.length === 0) {
+    return "No Copilot usage for this period.\n";
+  }
+
+  let output = "━━━ Copilot Usage ━━━\n";
+  for (const item of standardItems) {
+    output += `\n${item.product || "Copilot"}\n`;
+    if (item.sku) output += `  SKU: ${item.sku}\n`;
+    if (item.grossQuantity && item.unitType) {
+      output += `  Quantity: ${item.grossQuantity} ${item.unitType}\n`;
+    }
+    if (verbose && item.pricePerUnit) {
+      output += `  Price per unit: $${item.pricePerUnit.toFixed(4)}\n`;
+    }
+    if (verbose && item.grossAmount) {
+      output += `  Gross amount: $${item.grossAmount.toFixed(2)}\n`;
+    }
+    if (item.discountAmount && item.discountAmount > 0) {
+      output += `  Discount: -$${item.discountAmount.toFixed(2)}\n`;
+    }
+    if (item.netAmount !== undefined) {
+      output += `  Net cost: $${item.netAmount.toFixed(2)}\n`;
+    }
+  }
+
+  if (premiumItems.length > 0) {
+    output += "\n━━━ Premium Request Usage ━━━\n";
+    for (const item of premiumItems) {
+      output += `\n${item.model || item.product || "Premium Requests"}\n`;
+      if (item.model) output += `  Model: ${item.model}\n`;
+      if (item.grossQuantity) {
+        output += `  Requests: ${item.grossQuantity}\n`;
+      }
+      if (verbose && item.pricePerUnit) {
+        output += `  Price per request: $${item.pricePerUnit.toFixed(4)}\n`;
+      }
+      if (item.discountAmount && item.discountAmount > 0) {
+        output += `  Discount: -$${item.discountAmount.toFixed(2)}\n`;
+      }
+      if (item.netAmount !== undefined) {
+        output += `  Net cost: $${item.netAmount.toFixed(2)}\n`;
+      }
+    }
+  }
+
+  output += `\n${RULE}\n`;
+  output += `Total Net Cost: $${totalCost.toFixed(2)}\n`;
+  output += `${RULE}\n`;
+  return output;
+}
+
+/**
+ * Render the single-period usage report
+ */
+function formatUsageReport(report, verbose) {
+  const { accountType, accountName, timePeriod, seatInfo, budget } = report;
+
+  let output = formatTitle("GitHub Copilot Usage Report");
+  output += `Account: ${describeAccount(accountType, accountName)}\n`;
+  if (timePeriod) {
+    output += timePeriod.month ? `Period: ${timePeriod.month}/${timePeriod.year}\n` : `Period: ${timePeriod.year}\n`;
+  }
+  output += `${describeDataAge(report.fetchedAt, report.cached)}\n`;
+  if (budget) {
+    output += formatBudgetBanner(budget);
+  }
+  output += "\n";
+
+  // Seat information for orgs
+  if (accountType === "org" && seatInfo.seat_breakdown) {
+    const breakdown = seatInfo.seat_breakdown;
+    output += "━━━ Seat Information ━━━\n";
+    output += `Total seats: ${breakdown.total || 0}\n`;
+    output += `Active this cycle: ${breakdown.active_this_cycle || 0}\n`;
+    output += `Inactive this cycle: ${breakdown.inactive_this_cycle || 0}\n`;
+    if ((breakdown.pending_cancellation || 0) > 0) {
+      output += `Pending cancellation: ${breakdown.pending_cancellation}\n`;
+    }
+    if (seatInfo.plan_type) {
+      output += `Plan type: ${seatInfo.plan_type}\n`;
+    }
+    output += "\n";
+  }
+
+  output += formatUsageItems(report, verbose);
+  if (report.metrics) {
+    output += formatMetrics(report.metrics, report.totalCost);
+  }
+  if (budget) {
+    output += formatBudget(budget);
+  }
+  return output;
+}
+
+/**
+ * Render a report returned by loadReport()
+ * @param {object} report - Result of loadReport()
+ * @param {object} options - Result of normalizeReportOptions()
+ * @returns {string}
+ */
+export function renderReport(report, options) {
+  switch (report.kind) {
+    case "budgets":
+      return options.format === "json" ? JSON.stringify(report.result, null, 2) + "\n" : formatBudgetCheck(report.result);
+    case "rollup":
+      return formatRollup(report.rollup, report.periods);
+    case "seats":
+      if (options.format !== "text") {
+        return formatSeatExport(options.format, { org: report.accountName, rows: report.rows, inactiveDays: options.inactiveDays, fetchedAt: report.fetchedAt });
+      }
+      return formatTitle("GitHub Copilot Seat Report") +
+        `Account: ${describeAccount(report.accountType, report.accountName)}\n` +
+        `${describeDataAge(report.fetchedAt, report.cached)}\n\n` +
+        formatSeats(report.accountName, report.rows, options.inactiveDays);
+    case "export":
+      return formatExport(options.format, report);
+    case "history":
+      return formatHistory(report.accountType, report.accountName, report.history) +
+        (report.metrics ? formatMetrics(report.metrics, report.totalCost) : "");
+    default:
+      return formatUsageReport(report, options.verbose);
+  }
+}
+
+/**
+ * Build the report the options select
+ * @param {object} options - See normalizeReportOptions()
+ * @returns {Promise<string>}
+ * @throws {ReportOptionsError|GitHubApiError|Error}
+ */
+export async function buildReport(options) {
+  const normalized = normalizeReportOptions(options);
+  return renderReport(await loadReport(normalized), normalized);
+}
@@ -0,0 +1,152 @@
+/**
+ * GitHub Copilot Usage Rollup
+ *
+ * One report across several organizations (`--orgs a,b,c`): each
+ * organization's usage is fetched on its own, then shown as a subtotal per
+ * organization, the totals per model and SKU across all of them, and a grand
+ * total. An organization that can't be read is reported and left out of the
+ * totals rather than failing the whole rollup.
+ */
+
+import {
+  describeApiError,
+  describeAccount,
+  describeDataAge,
+  fetchUsageHistory,
+  fetchLineItems,
+  formatMonth,
+  formatPeriod,
+  formatCount,
+  formatCost,
+  groupBySku,
+  describeSkuGroup,
+  formatGroupQuantity,
+  renderTable,
+  sparkline,
+} from "./copilot-usage-common.mjs";
+
+const RULE = "━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━";
+
+/**
+ * Parse a comma-separated list of organizations, dropping duplicates
+ * @throws {Error} - If the list is empty
+ */
+export function parseOrgList(value) {
+  const orgs = [...new Set(String(value || "").split(",").map((org) => org.trim()).filter(Boolean))];
+  if (orgs.length === 0) {
+    throw new Error("--orgs needs a comma-separated list of organizations");
+  }
+  return orgs;
+}
+
+/**
+ * Fetch and summarize the usage of every organization over the periods
+ *
+ * Periods are loaded through the cache; `options` takes `refresh`, `offline`
+ * and `apiUrl` like loadPeriodUsage(). API errors of one organization are kept
+ * as its `error` instead of being thrown.
+ * @param {string[]} orgs - Organization logins
+ * @param {Array<{year: number, month?: number}>} periods - One month, or the months of a range
+ * @returns {Promise<Array<{org: string, periods: Array, premiumRequests: number, netAmount: number, error: string|null}>>}
+ */
+export async function fetchRollup(orgs, periods, options = {}) {
+  const rollup = [];
+  for (const org of orgs) {
+    try {
+      const history = await fetchUsageHistory("org", org, periods, options);
+      rollup.push({
+        org,
+        periods: history,
+        premiumRequests: history.reduce((sum, period) => sum + period.premiumRequests, 0),
+        netAmount: history.reduce((sum, period) => sum + period.netAmount, 0),
+        error: null,
+      });
+    } catch (error) {
+      const message = describeApiError(error);
+      if (!message) throw error;
+      rollup.push({ org, periods: [], premiumRequests: 0, netAmount: 0, error: message.split("\n")[0] });
+    }
+  }
+  return rollup;
+}
+
+/**
+ * Build the rollup report
+ * @param {Array} rollup - Result of fetchRollup()
+ * @param {Array<{year: number, month?: number}>} periods - The periods it covers
+ * @returns {string}
+ */
+export function formatRollup(rollup, periods) {
+  const loaded = rollup.filter((entry) => !entry.error);
+  const failed = rollup.filter((entry) => entry.error);
+  const history = loaded.flatMap((entry) => entry.periods);
+
+  let output = `${RULE}\n`;
+  output += "   GitHub Copilot Usage Rollup\n";
+  output += `${RULE}\n\n`;
+
+  output += `Account: ${describeAccount("orgs", rollup.map((entry) => entry.org).join(", "))}\n`;
+  output += periods.length > 1
+    ? `Period: ${formatMonth(periods[0])} to ${formatMonth(periods[periods.length - 1])} (${periods.length} months)\n`
+    : `Period: ${formatPeriod(periods[0])}\n`;
+  if (history.length > 0) {
+    output += `${describeDataAge(Math.min(...history.map((period) => period.fetchedAt)), history.some((period) => period.cached))}\n`;
+  }
+  for (const entry of failed) {
+    output += `⚠️  Skipped ${entry.org}: ${entry.error}\n`;
+  }
+  output += "\n";
+
+  if (history.every((period) => period.items.length === 0)) {
+    output += "No Copilot usage for this period.\n";
+    return output;
+  }
+
+  const totalCost = loaded.reduce((sum, entry) => sum + entry.netAmount, 0);
+  const totalRequests = loaded.reduce((sum, entry) => sum + entry.premiumRequests, 0);
+  const trend = periods.length > 1;
+
+  output += "━━━ By Organization ━━━\n\n";
+  output += renderTable(
+    ["ORGANIZATION", "PREMIUM REQUESTS", "NET COST", "SHARE", ...(trend ? ["TREND"] : [])],
+    [...loaded].sort((a, b) => b.netAmount - a.netAmount || a.org.localeCompare(b.org)).map((entry) => [
+      entry.org,
+      formatCount(entry.premiumRequests),
+      formatCost(entry.netAmount),
+      totalCost > 0 ? `${Math.round((entry.netAmount / totalCost) * 100)}%` : "—",
+      ...(trend ? [sparkline(entry.periods.map((period) => period.premiumRequests))] : []),
+    ])
+  );
+
+  output += "\n━━━ By Model and SKU ━━━\n\n";
+  output += renderTable(
+    ["MODEL / SKU", "QUANTITY", "NET COST"],
+    groupBySku(history).map((group) => [describeSkuGroup(group), formatGroupQuantity(group), formatCost(group.netAmount)])
+  );
+
+  output += `\n${RULE}\n`;
+  output += `Total Premium Requests: ${formatCount(totalRequests)}\n`;
+  output += `Total Net Cost: ${formatCost(totalCost)}\n`;
+  output += `${RULE}\n`;
+  return output;
+}
+
+/**
+ * Fetch the Copilot line items of every organization, for the exports
+ *
+ * Unlike the report, an organization that can't be read fails the export, so
+ * a file never silently lacks one.
+ * @returns {Promise<{items: object[], fetchedAt: number, cached: boolean}>}
+ */
+export async function fetchRollupLineItems(orgs, periods, options = {}) {
+  const items = [];
+  let fetchedAt = Date.now();
+  let cached = false;
+  for (const org of orgs) {
+    const result = await fetchLineItems("org", org, periods, options);
+    items.push(...result.items);
+    fetchedAt = Math.min(fetchedAt, result.fetchedAt);
+    cached = cached || result.cached;
+  }
+  return { items, fetchedAt, cached };
+}
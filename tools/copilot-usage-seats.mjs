@@ -0,0 +1,157 @@
+/**
+ * GitHub Copilot Usage Seats
+ *
+ * Per-seat breakdown of an organization: who has a Copilot seat, in which
+ * editor they last used it and when, and which seats have been idle long
+ * enough to be worth reclaiming.
+ */
+
+import { apiGetAll } from "./copilot-usage-api.mjs";
+import { CACHE_TTL_MS, withCache, renderTable, toCsv, markdownCell } from "./copilot-usage-common.mjs";
+
+// Seats idle for longer than this many days are reclaim candidates
+export const DEFAULT_INACTIVE_DAYS = 30;
+
+export const SEAT_SORT_KEYS = ["activity", "login", "editor", "team", "created"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EXPORT_COLUMNS = ["login", "team", "editor", "editorVersion", "lastActivityAt", "idleDays", "reclaim", "createdAt", "pendingCancellationDate", "planType"];
+
+/**
+ * Fetch every seat assignment of an organization, one page at a time
+ */
+function fetchSeatAssignments(org, apiUrl) {
+  return apiGetAll(`/orgs/${org}/copilot/billing/seats`, { key: "seats", apiUrl });
+}
+
+/**
+ * Load the seat assignments of an organization, from the cache when it was
+ * fetched less than CACHE_TTL_MS ago
+ * @returns {Promise<{seats: object[], fetchedAt: number, cached: boolean}>}
+ */
+export async function loadSeatAssignments(org, { refresh = false, offline = false, apiUrl = null } = {}) {
+  const { data, fetchedAt, cached } = await withCache(
+    `org/${encodeURIComponent(org)}/seat-assignments`,
+    { isFresh: (entry) => Date.now() - entry.fetchedAt < CACHE_TTL_MS, refresh, offline, apiUrl },
+    () => fetchSeatAssignments(org, apiUrl)
+  );
+  return { seats: data, fetchedAt, cached };
+}
+
+/**
+ * Turn seat assignments into rows, flagging reclaim candidates
+ *
+ * A seat's idle time counts from its last activity, or from when it was
+ * assigned if it was never used.
+ * @param {object[]} seats - Seat assignments from the API
+ * @param {{inactiveDays?: number, now?: Date}} options
+ */
+export function buildSeatRows(seats, { inactiveDays = DEFAULT_INACTIVE_DAYS, now = new Date() } = {}) {
+  return seats.map((seat) => {
+    const [editor, editorVersion] = (seat.last_activity_editor || "").split("/");
+    const since = seat.last_activity_at || seat.created_at;
+    const idleDays = since ? Math.floor((now - new Date(since)) / DAY_MS) : null;
+    return {
+      login: seat.assignee?.login || seat.assignee?.slug || "(unknown)",
+      team: seat.assigning_team?.slug || null,
+      editor: editor || null,
+      editorVersion: editorVersion || null,
+      lastActivityAt: seat.last_activity_at || null,
+      idleDays,
+      reclaim: idleDays !== null && idleDays > inactiveDays,
+      createdAt: seat.created_at || null,
+      pendingCancellationDate: seat.pending_cancellation_date || null,
+      planType: seat.plan_type || null,
+    };
+  });
+}
+
+/**
+ * Sort seat rows
+ *
+ * "activity" puts the longest idle seats first; the others sort
+ * alphabetically (or, for "created", oldest first), with ties by login.
+ */
+export function sortSeatRows(rows, key = "activity") {
+  const byLogin = (a, b) => a.login.localeCompare(b.login);
+  // Rows without the field go last
+  const byText = (field) => (a, b) => (a[field] === null) - (b[field] === null) || (a[field] || "").localeCompare(b[field] || "");
+  const compare = {
+    activity: (a, b) => (b.idleDays ?? -1) - (a.idleDays ?? -1),
+    login: () => 0,
+    editor: byText("editor"),
+    team: byText("team"),
+    created: byText("createdAt"),
+  }[key];
+  return [...rows].sort((a, b) => compare(a, b) || byLogin(a, b));
+}
+
+/**
+ * Format an ISO timestamp as a date
+ */
+function formatDate(value) {
+  return value ? value.slice(0, 10) : "never";
+}
+
+/**
+ * Build the seat report
+ * @param {string} org - Organization login
+ * @param {object[]} rows - Result of buildSeatRows(), sorted
+ * @param {number} inactiveDays - The reclaim threshold the rows were built with
+ */
+export function formatSeats(org, rows, inactiveDays) {
+  let output = "━━━ Copilot Seats ━━━\n\n";
+  if (rows.length === 0) {
+    return output + `No Copilot seats assigned in ${org}.\n`;
+  }
+
+  output += renderTable(
+    ["LOGIN", "TEAM", "EDITOR", "LAST ACTIVITY", "IDLE", ""],
+    rows.map((row) => [
+      row.login,
+      row.team || "",
+      row.editor || "",
+      formatDate(row.lastActivityAt),
+      row.idleDays === null ? "" : `${row.idleDays}d`,
+      [row.reclaim ? "⚠️ reclaim" : "", row.pendingCancellationDate ? `cancels ${formatDate(row.pendingCancellationDate)}` : ""].filter(Boolean).join(", "),
+    ])
+  );
+
+  const reclaim = rows.filter((row) => row.reclaim).length;
+  output += `\n${rows.length} seat${rows.length !== 1 ? "s" : ""}, ${reclaim} inactive for more than ${inactiveDays} days`;
+  output += reclaim > 0 ? " (reclaim candidates)\n" : "\n";
+  return output;
+}
+
+/**
+ * Render seat rows as JSON, CSV or Markdown
+ */
+export function formatSeatExport(format, { org, rows, inactiveDays, fetchedAt }) {
+  if (format === "json") {
+    return JSON.stringify({
+      account: org,
+      fetchedAt: new Date(fetchedAt).toISOString(),
+      inactiveDays,
+      seats: rows,
+      reclaimCandidates: rows.filter((row) => row.reclaim).length,
+    }, null, 2) + "\n";
+  }
+
+  if (format === "csv") {
+    return toCsv(EXPORT_COLUMNS, rows);
+  }
+
+  // Markdown
+  const headers = ["Login", "Team", "Editor", "Last activity", "Idle days", "Reclaim"];
+  let output = `## GitHub Copilot Seats: ${org}\n\n`;
+  if (rows.length === 0) {
+    return output + "No Copilot seats assigned.\n";
+  }
+  output += `| ${headers.join(" | ")} |\n`;
+  output += "| --- | --- | --- | --- | ---: | --- |\n";
+  for (const row of rows) {
+    const cells = [row.login, row.team, row.editor, formatDate(row.lastActivityAt), row.idleDays, row.reclaim ? "yes" : ""];
+    output += `| ${cells.map(markdownCell).join(" | ")} |\n`;
+  }
+  return output;
+}
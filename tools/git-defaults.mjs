@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+
+/**
+ * Git Defaults Script
+ * 
+ * Prints the repository's default remote and base branch, as detected by
+ * getRepoDefaults(), so commands can diff and open PRs against the right
+ * branch instead of assuming origin/main.
+ */
+
+import {
+  colors,
+  checkGitRepo,
+  getRepoDefaults,
+  parseOutputFormat,
+  printJson,
+  UsageError,
+  handleCliError,
+} from "./worktree-common.mjs";
+
+/**
+ * Print usage information
+ */
+function usage() {
+  console.log(`
+${colors.blue}Usage:${colors.reset} git-defaults.mjs [--remote | --branch | --json]
+
+${colors.blue}Prints the default remote and base branch of the current repository${colors.reset}
+
+${colors.blue}Options:${colors.reset}
+  (none)              Print the remote-tracking ref, e.g. upstream/main
+  --remote            Print only the remote name
+  --branch            Print only the branch name
+  --json              Print everything, including where each value came from
+  --help, -h          Show this help message
+
+${colors.blue}Overrides:${colors.reset}
+  git config opencode-wt.remote upstream        # this clone only
+  git config opencode-wt.baseBranch develop
+  "remote" / "baseBranch" in .opencode-wt.json  # whole repo
+`);
+  process.exit(0);
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const { format, args } = parseOutputFormat(process.argv.slice(2));
+  
+  let field = 'ref';
+  for (const arg of args) {
+    if (arg === '--remote') {
+      field = 'remote';
+    } else if (arg === '--branch') {
+      field = 'branch';
+    } else if (arg === '--help' || arg === '-h') {
+      usage();
+    } else {
+      throw new UsageError(`Unknown option '${arg}'`);
+    }
+  }
+  
+  await checkGitRepo();
+  const defaults = await getRepoDefaults();
+  
+  if (format === 'json') {
+    printJson(defaults);
+  } else {
+    console.log(defaults[field] ?? '');
+  }
+}
+
+main().catch(handleCliError);
@@ -3,24 +3,28 @@
 /**
  * Git Worktree Add Script
  * 
- * Creates a new git worktree in .opencode-wt/ directory
+ * Creates a new git worktree in .opencode-wt/ directory, for a branch, a pull
+ * request or an issue
  */
 
-import { $ } from "bun";
 import {
   WORKTREE_DIR,
+  CONFIG_FILE,
   colors,
-  getRepoRoot,
   checkGitRepo,
-  getWorktreeBase,
-  ensureGitignore,
   validateBranchName,
-  branchExists,
-  remoteBranchExists,
-  getCurrentBranch,
-  getWorktreeForBranch,
+  addWorktree,
+  addPullRequestWorktree,
+  addIssueWorktree,
   openOpenCodeSession,
+  recordWorktreeOpened,
+  parseOutputFormat,
+  log,
+  printJson,
   printHeader,
+  cliReporter,
+  UsageError,
+  handleCliError,
 } from "./worktree-common.mjs";
 
 /**
@@ -29,15 +33,24 @@ import {
 function usage() {
   console.log(`
 ${colors.blue}Usage:${colors.reset} /worktree-add <branch-name> [options]
+       /worktree-add --pr <number> [options]
+       /worktree-add --issue <number> [options]
 
 ${colors.blue}Creates a new git worktree in ${WORKTREE_DIR}/<branch-name>${colors.reset}
+${colors.gray}Slashes in branch names become '+' (feature/auth → ${WORKTREE_DIR}/feature+auth)${colors.reset}
 
 ${colors.blue}Arguments:${colors.reset}
   <branch-name>       Name of the branch to create/checkout
 
 ${colors.blue}Options:${colors.reset}
   --from <branch>     Create from specific branch (default: current HEAD)
+  --pr <number>       Check out a pull request (also from forks) into ${WORKTREE_DIR}/pr-<number>
+  --issue <number>    Create a branch named <number>-<issue-title> (default base:
+                      the default branch, e.g. origin/main)
+  --alias <name>      Register a short name to find the worktree by in other commands
   --no-open           Don't automatically open OpenCode session
+  --no-setup          Skip copying files and post-create hooks from .opencode-wt.json
+  --json              Print the result as JSON (progress goes to stderr)
   --help, -h          Show this help message
 
 ${colors.blue}Examples:${colors.reset}
@@ -45,6 +58,18 @@ ${colors.blue}Examples:${colors.reset}
   ${colors.cyan}/worktree-add feature-api --from main${colors.reset}
   ${colors.cyan}/worktree-add hotfix-123 --from production${colors.reset}
   ${colors.cyan}/worktree-add experiment --no-open${colors.reset}
+  ${colors.cyan}/worktree-add feature/auth/login --alias login${colors.reset}
+  ${colors.cyan}/worktree-add --pr 123${colors.reset}
+  ${colors.cyan}/worktree-add --issue 42${colors.reset}
+
+${colors.blue}Pull requests:${colors.reset}
+  PRs from this repository check out their branch. PRs from forks get a
+  pr-<number> branch that tracks and pushes to a remote for the fork;
+  ${colors.cyan}git push <remote> HEAD:<branch>${colors.reset} updates the contributor's branch. Requires the GitHub CLI (gh).
+
+${colors.blue}Setup:${colors.reset}
+  New worktrees are prepared from ${CONFIG_FILE} in the repository root:
+  ${colors.gray}{ "copy": [".env*"], "symlink": ["node_modules"], "postCreate": ["yarn install"] }${colors.reset}
 `);
   process.exit(0);
 }
@@ -53,117 +78,123 @@ ${colors.blue}Examples:${colors.reset}
  * Main function
  */
 async function main() {
-  const args = process.argv.slice(2);
+  const { format, args } = parseOutputFormat(process.argv.slice(2));
+  const json = format === 'json';
   
   // Parse arguments
   let branchName = null;
   let baseBranch = null;
   let shouldOpen = true;
+  let shouldSetup = true;
+  let prNumber = null;
+  let issueNumber = null;
+  let alias = null;
+  
+  const parseNumber = (flag, value) => {
+    if (!/^#?\d+$/.test(value)) {
+      throw new UsageError(`${flag} needs a number, got '${value}'`, 'worktree-add');
+    }
+    return Number(value.replace('#', ''));
+  };
   
   for (let i = 0; i < args.length; i++) {
     if (args[i] === '--from' && i + 1 < args.length) {
       baseBranch = args[i + 1];
       i++;
+    } else if (args[i] === '--pr' && i + 1 < args.length) {
+      prNumber = parseNumber('--pr', args[i + 1]);
+      i++;
+    } else if (args[i] === '--issue' && i + 1 < args.length) {
+      issueNumber = parseNumber('--issue', args[i + 1]);
+      i++;
+    } else if (args[i] === '--alias' && i + 1 < args.length) {
+      alias = args[i + 1];
+      i++;
     } else if (args[i] === '--no-open') {
       shouldOpen = false;
+    } else if (args[i] === '--no-setup') {
+      shouldSetup = false;
     } else if (args[i] === '--help' || args[i] === '-h') {
       usage();
     } else if (args[i].startsWith('-')) {
-      console.error(`${colors.red}❌ Error: Unknown option '${args[i]}'${colors.reset}`);
-      console.log(`\nRun ${colors.cyan}/worktree-add --help${colors.reset} for usage information`);
-      process.exit(1);
+      throw new UsageError(`Unknown option '${args[i]}'`, 'worktree-add');
     } else if (!branchName) {
       branchName = args[i];
     } else {
-      console.error(`${colors.red}❌ Error: Multiple branch names provided${colors.reset}`);
-      console.log(`\nRun ${colors.cyan}/worktree-add --help${colors.reset} for usage information`);
-      process.exit(1);
+      throw new UsageError('Multiple branch names provided', 'worktree-add');
     }
   }
   
   // Validate arguments
-  if (!branchName) {
-    console.error(`${colors.red}❌ Error: Branch name required${colors.reset}`);
-    console.log(`\nRun ${colors.cyan}/worktree-add --help${colors.reset} for usage information`);
-    process.exit(1);
+  const sources = [branchName, prNumber, issueNumber].filter(source => source !== null);
+  if (sources.length === 0) {
+    throw new UsageError('Branch name, --pr or --issue required', 'worktree-add');
+  }
+  if (sources.length > 1) {
+    throw new UsageError('Use only one of a branch name, --pr and --issue', 'worktree-add');
+  }
+  if (prNumber !== null && baseBranch) {
+    throw new UsageError('--from cannot be combined with --pr', 'worktree-add');
   }
   
   await checkGitRepo();
-  await validateBranchName(branchName);
-  
-  const repoRoot = await getRepoRoot();
-  const worktreeBase = getWorktreeBase(repoRoot);
-  const worktreePath = `${worktreeBase}/${branchName}`;
+  if (branchName) {
+    await validateBranchName(branchName);
+  }
   
   printHeader('Git Worktree Add');
   
-  // Check if worktree already exists
-  const existingWorktree = await getWorktreeForBranch(branchName, repoRoot);
-  if (existingWorktree) {
-    console.log(`${colors.yellow}⚠ Worktree already exists for branch '${branchName}'${colors.reset}`);
-    console.log(`  Path: ${colors.cyan}${existingWorktree.path}${colors.reset}\n`);
-    
-    if (shouldOpen) {
-      await openOpenCodeSession(existingWorktree.path);
-    }
-    return;
+  let result;
+  if (prNumber !== null) {
+    result = await addPullRequestWorktree({ number: prNumber, alias, setup: shouldSetup, report: cliReporter });
+  } else if (issueNumber !== null) {
+    result = await addIssueWorktree({ number: issueNumber, from: baseBranch, alias, setup: shouldSetup, report: cliReporter });
+  } else {
+    result = await addWorktree({
+      branch: branchName,
+      from: baseBranch,
+      alias,
+      setup: shouldSetup,
+      report: cliReporter,
+    });
   }
   
-  // Ensure .opencode-wt/ directory exists
-  await $`mkdir -p ${worktreeBase}`.quiet();
-  
-  // Ensure .gitignore is configured
-  await ensureGitignore(repoRoot);
-  
-  // Check if branch exists
-  const localExists = await branchExists(branchName);
-  const remoteExists = await remoteBranchExists(branchName);
-  
-  try {
-    if (localExists) {
-      // Branch exists locally - check it out
-      console.log(`${colors.blue}ℹ Branch '${branchName}' exists locally, checking out...${colors.reset}`);
-      await $`git worktree add ${worktreePath} ${branchName}`;
-    } else if (remoteExists) {
-      // Branch exists on remote - track it
-      console.log(`${colors.blue}ℹ Branch '${branchName}' exists on remote, creating tracking branch...${colors.reset}`);
-      await $`git worktree add ${worktreePath} -b ${branchName} origin/${branchName}`;
-    } else {
-      // Branch doesn't exist - create it
-      if (baseBranch) {
-        console.log(`${colors.blue}ℹ Creating branch '${branchName}' from '${baseBranch}'...${colors.reset}`);
-        await $`git worktree add ${worktreePath} -b ${branchName} ${baseBranch}`;
-      } else {
-        const currentBranch = await getCurrentBranch();
-        console.log(`${colors.blue}ℹ Creating branch '${branchName}' from current HEAD (${currentBranch})...${colors.reset}`);
-        await $`git worktree add ${worktreePath} -b ${branchName}`;
+  if (!result.created) {
+    log(`${colors.yellow}⚠ Worktree already exists for branch '${result.branch}'${colors.reset}`);
+    log(`  Path: ${colors.cyan}${result.path}${colors.reset}\n`);
+  } else {
+    log('');
+    log(`${colors.green}✅ Worktree created successfully!${colors.reset}\n`);
+    log(`  ${colors.blue}Path:${colors.reset}   ${colors.cyan}${result.path}${colors.reset}`);
+    log(`  ${colors.blue}Branch:${colors.reset} ${colors.cyan}${result.branch}${colors.reset}`);
+    if (result.alias) {
+      log(`  ${colors.blue}Alias:${colors.reset}  ${colors.cyan}${result.alias}${colors.reset}`);
+    }
+    if (result.pr) {
+      log(`  ${colors.blue}PR:${colors.reset}     ${colors.cyan}#${result.pr.number} ${result.pr.title}${colors.reset}`);
+      if (result.pr.fork && result.pr.canPush) {
+        log(`  ${colors.blue}Push:${colors.reset}   ${colors.cyan}git push ${result.pr.remote} HEAD:${result.pr.headRef}${colors.reset}`);
       }
     }
-    
-    // Success!
-    console.log('');
-    console.log(`${colors.green}✅ Worktree created successfully!${colors.reset}\n`);
-    console.log(`  ${colors.blue}Path:${colors.reset}   ${colors.cyan}${worktreePath}${colors.reset}`);
-    console.log(`  ${colors.blue}Branch:${colors.reset} ${colors.cyan}${branchName}${colors.reset}\n`);
-    
-    if (shouldOpen) {
-      await openOpenCodeSession(worktreePath);
-    } else {
-      console.log(`${colors.gray}To open this worktree:${colors.reset}`);
-      console.log(`  ${colors.cyan}cd ${worktreePath}${colors.reset}`);
-      console.log(`  ${colors.cyan}opencode ${worktreePath}${colors.reset}\n`);
+    if (result.issue) {
+      log(`  ${colors.blue}Issue:${colors.reset}  ${colors.cyan}#${result.issue.number} ${result.issue.title}${colors.reset}`);
     }
-  } catch (error) {
-    console.error(`${colors.red}❌ Error: Failed to create worktree${colors.reset}`);
-    if (error.stderr) {
-      console.error(`\n${error.stderr.toString()}`);
+    log('');
+  }
+  
+  if (shouldOpen) {
+    if (await openOpenCodeSession(result.path, cliReporter)) {
+      await recordWorktreeOpened(result);
     }
-    process.exit(1);
+  } else if (result.created) {
+    log(`${colors.gray}To open this worktree:${colors.reset}`);
+    log(`  ${colors.cyan}cd ${result.path}${colors.reset}`);
+    log(`  ${colors.cyan}opencode ${result.path}${colors.reset}\n`);
+  }
+  
+  if (json) {
+    printJson(result);
   }
 }
 
-main().catch((error) => {
-  console.error(`${colors.red}❌ Error: ${error.message || error}${colors.reset}`);
-  if (error.stderr) console.error(error.stderr);
-  process.exit(1);
-});
+main().catch(handleCliError);
@@ -3,48 +3,193 @@
 /**
  * Git Worktree Common Utilities
  * 
- * Shared functions and constants for worktree management
+ * Shared functions and constants for worktree management. Nothing outside
+ * handleCliError() exits the process: failures are thrown as the typed errors
+ * in worktree-errors.mjs. The operations near the end of this file
+ * (addWorktree, removeWorktree, ...) report progress through a callback and
+ * return plain objects, so both the /worktree-* scripts and the OpenCode
+ * tools in worktree.js use them. Functions that run git take an optional
+ * `cwd` (default: process.cwd()) to select the repository. The bigger
+ * commands keep their logic in worktree-<command>-lib.mjs modules built on
+ * this one.
  */
 
 import { $ } from "bun";
+import { existsSync } from "node:fs";
+import { rmdir } from "node:fs/promises";
+import { dirname, relative, resolve } from "node:path";
+import {
+  EXIT_CODES,
+  UsageError,
+  NotAGitRepoError,
+  InvalidBranchNameError,
+  WorktreeError,
+  WorktreeNotFoundError,
+  AmbiguousWorktreeError,
+  WorktreeExistsError,
+  DirtyWorktreeError,
+  MainWorktreeError,
+  WorktreeLockedError,
+  GitCommandError,
+} from "./worktree-errors.mjs";
+
+import { loadConfig } from "./worktree-config.mjs";
+import { setupWorktree } from "./worktree-setup.mjs";
+import { getPullRequest, getIssue, slugify } from "./worktree-github.mjs";
+import { loadRegistry, updateRegistry, registryKey } from "./worktree-registry.mjs";
+
+export * from "./worktree-errors.mjs";
+export { CONFIG_FILE, loadConfig } from "./worktree-config.mjs";
+export { getRegistryPath } from "./worktree-registry.mjs";
 
 // Constants
 export const WORKTREE_DIR = ".opencode-wt";
 
-// Colors
+export const OUTPUT_FORMATS = ["text", "table", "json"];
+
+// Colors are disabled when stdout is not a terminal or NO_COLOR is set
+// (see https://no-color.org)
+const useColor = Boolean(process.stdout.isTTY) && !process.env.NO_COLOR;
+
+const ansi = (code) => (useColor ? code : "");
+
 export const colors = {
-  reset: "\x1b[0m",
-  red: "\x1b[31m",
-  green: "\x1b[32m",
-  yellow: "\x1b[33m",
-  blue: "\x1b[34m",
-  cyan: "\x1b[36m",
-  gray: "\x1b[90m",
+  reset: ansi("\x1b[0m"),
+  red: ansi("\x1b[31m"),
+  green: ansi("\x1b[32m"),
+  yellow: ansi("\x1b[33m"),
+  blue: ansi("\x1b[34m"),
+  cyan: ansi("\x1b[36m"),
+  gray: ansi("\x1b[90m"),
 };
 
+// When emitting JSON, human-readable messages go to stderr so that stdout
+// only ever contains the JSON document
+let outputFormat = "text";
+
+/**
+ * Parse --json / --format=<fmt> / --format <fmt> out of an argument list
+ *
+ * Returns the selected format and the remaining arguments. The format is
+ * also remembered so log() knows where to send human-readable output.
+ */
+export function parseOutputFormat(args) {
+  let format = "text";
+  const rest = [];
+  
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--json') {
+      format = "json";
+    } else if (args[i].startsWith('--format=')) {
+      format = args[i].substring(9);
+    } else if (args[i] === '--format' && i + 1 < args.length) {
+      format = args[i + 1];
+      i++;
+    } else {
+      rest.push(args[i]);
+    }
+  }
+  
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new UsageError(`Unknown format '${format}' (expected one of: ${OUTPUT_FORMATS.join(', ')})`);
+  }
+  
+  outputFormat = format;
+  return { format, args: rest };
+}
+
+/**
+ * Print a human-readable line (to stderr when emitting JSON)
+ */
+export function log(...args) {
+  if (outputFormat === "json") {
+    console.error(...args);
+  } else {
+    console.log(...args);
+  }
+}
+
 /**
- * Get the git repository root directory
+ * Print a JSON document to stdout
  */
-export async function getRepoRoot() {
+export function printJson(data) {
+  console.log(JSON.stringify(data, null, 2));
+}
+
+/**
+ * Progress reporter for the CLI scripts
+ *
+ * Library operations call report(level, message) with level one of
+ * 'info', 'success', 'warning', 'hint' or 'output' (raw command output).
+ */
+export function cliReporter(level, message) {
+  if (level === 'output') {
+    (outputFormat === 'json' ? process.stderr : process.stdout).write(message);
+  } else if (level === 'success') {
+    log(`${colors.green}✓ ${message}${colors.reset}`);
+  } else if (level === 'warning') {
+    console.error(`${colors.yellow}⚠ Warning: ${message}${colors.reset}`);
+  } else if (level === 'hint') {
+    log(`${colors.cyan}${message}${colors.reset}`);
+  } else {
+    log(`${colors.blue}ℹ ${message}${colors.reset}`);
+  }
+}
+
+/**
+ * Print an error thrown by a script and exit with its exit code
+ *
+ * Used as `main().catch(handleCliError)` by every script.
+ */
+export function handleCliError(error) {
+  console.error(`${colors.red}❌ Error: ${error.message || error}${colors.reset}`);
+  if (error.stderr) console.error(`\n${error.stderr.toString().trim()}`);
+  if (error.details) console.error(`\n${error.details}`);
+  if (error.hint) log(`\n${error.hint}\n`);
+  process.exit(error.exitCode ?? 1);
+}
+
+/**
+ * Callback for callers that don't want progress reports
+ */
+export const noop = () => {};
+
+/**
+ * Get the root directory of the repository's main worktree
+ *
+ * This is the same from every worktree: the first entry of `git worktree
+ * list` is always the main worktree, while `--show-toplevel` would name the
+ * linked worktree a command runs in. A bare repository has no main
+ * worktree, so there the current worktree's root is used.
+ */
+export async function getRepoRoot(cwd = process.cwd()) {
+  let main;
+  try {
+    main = (await $`git -C ${cwd} worktree list --porcelain`.quiet().text()).split('\n\n')[0];
+  } catch {
+    throw new NotAGitRepoError(cwd);
+  }
+  
+  if (!main.split('\n').includes('bare')) {
+    return main.split('\n')[0].substring(9);
+  }
   try {
-    const root = await $`git rev-parse --show-toplevel`.text();
+    const root = await $`git -C ${cwd} rev-parse --show-toplevel`.quiet().text();
     return root.trim();
-  } catch (error) {
-    console.error(`${colors.red}❌ Error: Not in a git repository${colors.reset}`);
-    process.exit(1);
+  } catch {
+    throw new NotAGitRepoError(cwd);
   }
 }
 
 /**
  * Check if currently in a git repository
  */
-export async function checkGitRepo() {
+export async function checkGitRepo(cwd = process.cwd()) {
   try {
-    await $`git rev-parse --git-dir`.quiet();
+    await $`git -C ${cwd} rev-parse --git-dir`.quiet();
     return true;
   } catch {
-    console.error(`${colors.red}❌ Error: Not in a git repository${colors.reset}`);
-    process.exit(1);
+    throw new NotAGitRepoError(cwd);
   }
 }
 
@@ -55,10 +200,39 @@ export function getWorktreeBase(repoRoot) {
   return `${repoRoot}/${WORKTREE_DIR}`;
 }
 
+/**
+ * Directory name for a branch's worktree: one path segment, never nested
+ *
+ * '/' becomes '+', and the rare literal '+' and '%' are percent-encoded, so
+ * every branch gets a distinct name (feature/auth -> feature+auth, while
+ * feature+auth -> feature%2Bauth) and decodeBranchPath() can reverse it.
+ */
+export function encodeBranchPath(branch) {
+  return branch.replace(/%/g, '%25').replace(/\+/g, '%2B').replace(/\//g, '+');
+}
+
+/**
+ * Branch name for a directory name made by encodeBranchPath()
+ */
+export function decodeBranchPath(name) {
+  return name.replace(/\+/g, '/').replace(/%2B/gi, '+').replace(/%25/g, '%');
+}
+
+/**
+ * Whether a .gitignore line ignores the whole .opencode-wt/ directory
+ *
+ * Accepts the spellings people write by hand (`/.opencode-wt`,
+ * `.opencode-wt/*`, `.opencode-wt/**`), not just the one added here.
+ */
+export function isWorktreeDirPattern(line) {
+  const pattern = line.trim().replace(/^\//, '').replace(/\/(\*\*?)?$/, '');
+  return pattern === WORKTREE_DIR;
+}
+
 /**
  * Ensure .gitignore contains .opencode-wt/
  */
-export async function ensureGitignore(repoRoot) {
+export async function ensureGitignore(repoRoot, report = noop) {
   const gitignorePath = `${repoRoot}/.gitignore`;
   
   try {
@@ -69,7 +243,7 @@ export async function ensureGitignore(repoRoot) {
     if (!exists) {
       // Create .gitignore with entry
       await Bun.write(gitignorePath, `${WORKTREE_DIR}/\n`);
-      console.log(`${colors.green}✓ Created .gitignore with ${WORKTREE_DIR}/${colors.reset}`);
+      report('success', `Created .gitignore with ${WORKTREE_DIR}/`);
       return;
     }
     
@@ -77,8 +251,7 @@ export async function ensureGitignore(repoRoot) {
     const content = await file.text();
     const lines = content.split('\n');
     
-    // Check for exact match or with trailing slash
-    if (lines.includes(WORKTREE_DIR) || lines.includes(`${WORKTREE_DIR}/`)) {
+    if (lines.some(isWorktreeDirPattern)) {
       return; // Already exists
     }
     
@@ -89,9 +262,9 @@ export async function ensureGitignore(repoRoot) {
     }
     newContent += `${WORKTREE_DIR}/\n`;
     await Bun.write(gitignorePath, newContent);
-    console.log(`${colors.green}✓ Added ${WORKTREE_DIR}/ to .gitignore${colors.reset}`);
+    report('success', `Added ${WORKTREE_DIR}/ to .gitignore`);
   } catch (error) {
-    console.error(`${colors.yellow}⚠ Warning: Could not update .gitignore: ${error.message}${colors.reset}`);
+    report('warning', `Could not update .gitignore: ${error.message}`);
   }
 }
 
@@ -103,17 +276,16 @@ export async function validateBranchName(branchName) {
     await $`git check-ref-format --branch ${branchName}`.quiet();
     return true;
   } catch {
-    console.error(`${colors.red}❌ Error: Invalid branch name '${branchName}'${colors.reset}`);
-    process.exit(1);
+    throw new InvalidBranchNameError(branchName);
   }
 }
 
 /**
  * Check if a branch exists locally
  */
-export async function branchExists(branchName) {
+export async function branchExists(branchName, cwd = process.cwd()) {
   try {
-    await $`git rev-parse --verify ${branchName}`.quiet();
+    await $`git -C ${cwd} rev-parse --verify ${branchName}`.quiet();
     return true;
   } catch {
     return false;
@@ -121,23 +293,141 @@ export async function branchExists(branchName) {
 }
 
 /**
- * Check if a remote branch exists
+ * Check if any ref (branch, remote-tracking branch, tag, ...) exists
  */
-export async function remoteBranchExists(branchName) {
-  try {
-    await $`git rev-parse --verify origin/${branchName}`.quiet();
-    return true;
-  } catch {
-    return false;
+export async function refExists(ref, cwd) {
+  const result = await $`git -C ${cwd} rev-parse --verify --quiet ${ref}`.nothrow().quiet();
+  return result.exitCode === 0;
+}
+
+/**
+ * Names of the repository's remotes
+ */
+async function getRemotes(cwd) {
+  const output = await $`git -C ${cwd} remote`.nothrow().quiet().text();
+  return output.split('\n').map(r => r.trim()).filter(Boolean);
+}
+
+/**
+ * A per-clone override from `git config opencode-wt.<key>`
+ */
+async function getGitConfigOverride(key, cwd) {
+  const value = await $`git -C ${cwd} config --get opencode-wt.${key}`.nothrow().quiet().text();
+  return value.trim() || null;
+}
+
+/**
+ * Pick the default remote and branch for a repository (uncached)
+ */
+async function detectRepoDefaults(repoRoot) {
+  const config = await loadConfig(repoRoot);
+  const remotes = await getRemotes(repoRoot);
+  
+  let remote = await getGitConfigOverride('remote', repoRoot);
+  let remoteSource = 'git-config';
+  if (!remote && config.remote) {
+    remote = config.remote;
+    remoteSource = 'config';
+  }
+  if (!remote) {
+    // In a fork, `upstream` is the canonical repo that work is based on
+    remote = ['upstream', 'origin'].find(r => remotes.includes(r)) || remotes[0] || null;
+    remoteSource = 'detected';
+  }
+  
+  let branch = await getGitConfigOverride('baseBranch', repoRoot);
+  let branchSource = 'git-config';
+  if (!branch && config.baseBranch) {
+    branch = config.baseBranch;
+    branchSource = 'config';
+  }
+  if (!branch && remote) {
+    const head = await $`git -C ${repoRoot} symbolic-ref --quiet --short refs/remotes/${remote}/HEAD`.nothrow().quiet().text();
+    if (head.trim().startsWith(`${remote}/`)) {
+      branch = head.trim().slice(remote.length + 1);
+      branchSource = 'remote-head';
+    }
   }
+  if (!branch && remote) {
+    // Remotes added with `git remote add` have no HEAD; ask GitHub instead
+    const result = await $`gh repo view --json defaultBranchRef --jq .defaultBranchRef.name`.cwd(repoRoot).nothrow().quiet();
+    if (result.exitCode === 0 && result.stdout.toString().trim()) {
+      branch = result.stdout.toString().trim();
+      branchSource = 'gh';
+    }
+  }
+  if (!branch) {
+    for (const candidate of ['main', 'master', 'develop']) {
+      if (await refExists(remote ? `refs/remotes/${remote}/${candidate}` : `refs/heads/${candidate}`, repoRoot)) {
+        branch = candidate;
+        break;
+      }
+    }
+    branch = branch || 'main';
+    branchSource = 'guess';
+  }
+  
+  return {
+    remote,
+    branch,
+    ref: remote ? `${remote}/${branch}` : branch,
+    source: { remote: remote ? remoteSource : null, branch: branchSource },
+  };
+}
+
+const repoDefaults = new Map();
+
+/**
+ * Default remote and base branch of a repository
+ *
+ * Overrides win: `git config opencode-wt.remote` / `opencode-wt.baseBranch`
+ * (this clone only), then `remote` / `baseBranch` in .opencode-wt.json.
+ * Otherwise the remote is `upstream` if there is one (fork setups), else
+ * `origin`, else the only remote; the branch is what refs/remotes/<remote>/HEAD
+ * points to, or what `gh repo view` reports, or the first of main, master
+ * and develop that exists.
+ *
+ * Returns { remote, branch, ref, source }, where ref is `<remote>/<branch>`.
+ * Results are cached per repository for the life of the process.
+ */
+export async function getRepoDefaults(cwd = process.cwd()) {
+  const repoRoot = await getRepoRoot(cwd);
+  if (!repoDefaults.has(repoRoot)) {
+    repoDefaults.set(repoRoot, detectRepoDefaults(repoRoot));
+  }
+  return repoDefaults.get(repoRoot);
+}
+
+/**
+ * Find a remote-tracking branch, preferring the default remote
+ *
+ * Returns a ref such as `origin/feature` or null.
+ */
+export async function findRemoteBranch(branchName, cwd = process.cwd()) {
+  const { remote } = await getRepoDefaults(cwd);
+  const remotes = await getRemotes(cwd);
+  
+  for (const candidate of [remote, ...remotes.filter(r => r !== remote)]) {
+    if (candidate && await refExists(`refs/remotes/${candidate}/${branchName}`, cwd)) {
+      return `${candidate}/${branchName}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check if a remote branch exists
+ */
+export async function remoteBranchExists(branchName, cwd = process.cwd()) {
+  return Boolean(await findRemoteBranch(branchName, cwd));
 }
 
 /**
  * Get current branch name
  */
-export async function getCurrentBranch() {
+export async function getCurrentBranch(cwd = process.cwd()) {
   try {
-    const branch = await $`git rev-parse --abbrev-ref HEAD`.text();
+    const branch = await $`git -C ${cwd} rev-parse --abbrev-ref HEAD`.text();
     return branch.trim();
   } catch {
     return null;
@@ -147,9 +437,9 @@ export async function getCurrentBranch() {
 /**
  * Parse worktree list into structured data
  */
-export async function getWorktrees() {
+export async function getWorktrees(cwd = process.cwd()) {
   try {
-    const output = await $`git worktree list --porcelain`.text();
+    const output = await $`git -C ${cwd} worktree list --porcelain`.quiet().text();
     const worktrees = [];
     let current = {};
     
@@ -167,10 +457,11 @@ export async function getWorktrees() {
         current.bare = true;
       } else if (line === 'detached') {
         current.detached = true;
-      } else if (line.startsWith('locked ')) {
-        current.locked = line.substring(7);
-      } else if (line.startsWith('prunable ')) {
-        current.prunable = line.substring(9);
+      } else if (line === 'locked' || line.startsWith('locked ')) {
+        // A lock without a reason is still a lock
+        current.locked = line.substring(7) || true;
+      } else if (line === 'prunable' || line.startsWith('prunable ')) {
+        current.prunable = line.substring(9) || true;
       }
     }
     
@@ -180,35 +471,238 @@ export async function getWorktrees() {
     
     return worktrees;
   } catch (error) {
-    console.error(`${colors.red}❌ Error: Could not list worktrees: ${error.message}${colors.reset}`);
-    process.exit(1);
+    throw new GitCommandError('Could not list worktrees', error);
   }
 }
 
+/**
+ * Get git status for a worktree
+ */
+export async function getWorktreeStatus(worktreePath) {
+  try {
+    const statusOutput = await $`git -C ${worktreePath} status --porcelain`.text();
+    const lines = statusOutput.trim().split('\n').filter(l => l);
+    
+    const status = {
+      clean: lines.length === 0,
+      modified: 0,
+      added: 0,
+      deleted: 0,
+      untracked: 0,
+      total: lines.length,
+    };
+    
+    for (const line of lines) {
+      const code = line.substring(0, 2);
+      if (code.includes('M')) status.modified++;
+      if (code.includes('A')) status.added++;
+      if (code.includes('D')) status.deleted++;
+      if (code.includes('?')) status.untracked++;
+    }
+    
+    return status;
+  } catch {
+    return { error: true };
+  }
+}
+
+/**
+ * Get remote tracking info for a branch
+ */
+export async function getRemoteStatus(worktreePath, branch) {
+  if (!branch) return null;
+  
+  try {
+    // Check if branch has upstream
+    const upstream = await $`git -C ${worktreePath} rev-parse --abbrev-ref ${branch}@{upstream}`.quiet().text();
+    if (!upstream.trim()) return { noUpstream: true };
+    
+    // Get ahead/behind counts
+    const counts = await $`git -C ${worktreePath} rev-list --left-right --count ${branch}...${branch}@{upstream}`.text();
+    const [ahead, behind] = counts.trim().split('\t').map(Number);
+    
+    return {
+      upstream: upstream.trim(),
+      ahead: ahead || 0,
+      behind: behind || 0,
+      upToDate: ahead === 0 && behind === 0,
+    };
+  } catch {
+    return { noUpstream: true };
+  }
+}
+
+/**
+ * Get last commit info
+ */
+export async function getLastCommit(worktreePath) {
+  try {
+    const output = await $`git -C ${worktreePath} log -1 --pretty=format:%cr%n%s`.text();
+    const [time, ...message] = output.split('\n');
+    return {
+      message: message.join('\n').trim(),
+      time: time.trim(),
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Describe working directory status in a few words
+ */
+export function describeStatus(status) {
+  if (status.error) return 'error';
+  if (status.clean) return 'clean';
+  
+  const parts = [];
+  if (status.modified > 0) parts.push(`${status.modified} modified`);
+  if (status.added > 0) parts.push(`${status.added} added`);
+  if (status.deleted > 0) parts.push(`${status.deleted} deleted`);
+  if (status.untracked > 0) parts.push(`${status.untracked} untracked`);
+  return parts.join(', ');
+}
+
+/**
+ * Describe remote tracking status in a few words
+ */
+export function describeRemote(remote) {
+  if (!remote) return '';
+  if (remote.noUpstream) return 'no upstream';
+  if (remote.upToDate) return `up to date with ${remote.upstream}`;
+  
+  const parts = [];
+  if (remote.ahead > 0) parts.push(`${remote.ahead} ahead`);
+  if (remote.behind > 0) parts.push(`${remote.behind} behind`);
+  return parts.join(', ');
+}
+
+/**
+ * Convert a parsed worktree into the stable JSON schema used by --json output
+ */
+export function serializeWorktree(wt, repoRoot) {
+  return {
+    path: wt.path,
+    relativePath: wt.path === repoRoot ? '.' : formatPath(wt.path, repoRoot),
+    branch: wt.branch || null,
+    commit: wt.commit || null,
+    isMain: wt.path === repoRoot,
+    bare: Boolean(wt.bare),
+    detached: Boolean(wt.detached),
+    locked: Boolean(wt.locked),
+    lockReason: typeof wt.locked === 'string' ? wt.locked : null,
+    prunable: Boolean(wt.prunable),
+    prunableReason: typeof wt.prunable === 'string' ? wt.prunable : null,
+  };
+}
+
+/**
+ * Convert a registry entry (see getWorktreeMetadata()) into the stable JSON schema
+ */
+export function serializeMetadata(entry = {}) {
+  return {
+    aliases: entry.aliases || [],
+    metadata: {
+      created: entry.created || null,
+      base: entry.base || null,
+      pr: entry.pr || null,
+      issue: entry.issue || null,
+      note: entry.note || null,
+      lastOpened: entry.lastOpened || null,
+    },
+  };
+}
+
+/**
+ * Describe how long ago an ISO timestamp was, like git's relative dates
+ */
+export function formatAge(timestamp, now = Date.now()) {
+  const seconds = Math.max(0, Math.round((now - new Date(timestamp).getTime()) / 1000));
+  const units = [
+    ['year', 365 * 86400],
+    ['month', 30 * 86400],
+    ['week', 7 * 86400],
+    ['day', 86400],
+    ['hour', 3600],
+    ['minute', 60],
+  ];
+  for (const [unit, size] of units) {
+    const count = Math.floor(seconds / size);
+    if (count >= 1) return `${count} ${unit}${count !== 1 ? 's' : ''} ago`;
+  }
+  return 'just now';
+}
+
+/**
+ * Print the aliases, note and lifecycle metadata of a worktree under its
+ * entry in the text output of /worktree-list and /worktree-status
+ */
+export function printMetadata(entry) {
+  if (!entry) return;
+  
+  const line = (label, text) => console.log(`  ${colors.blue}${label}:${colors.reset} ${text}`);
+  if (entry.note) {
+    line('Note', `${colors.yellow}${entry.note}${colors.reset}`);
+  }
+  if (entry.aliases?.length) {
+    line('Aliases', entry.aliases.join(', '));
+  }
+  if (entry.pr) {
+    line('PR', `#${entry.pr.number} ${entry.pr.title} ${colors.gray}${entry.pr.url}${colors.reset}`);
+  }
+  if (entry.issue) {
+    line('Issue', `#${entry.issue.number} ${entry.issue.title} ${colors.gray}${entry.issue.url}${colors.reset}`);
+  }
+  if (entry.created) {
+    const base = entry.base ? ` from ${entry.base}` : '';
+    line('Created', `${colors.gray}${formatAge(entry.created)}${base}${colors.reset}`);
+  }
+  if (entry.lastOpened) {
+    line('Last opened', `${colors.gray}${formatAge(entry.lastOpened)}${colors.reset}`);
+  }
+}
+
+/**
+ * Convert getRemoteStatus() output into the stable JSON schema
+ */
+export function serializeRemoteStatus(remote) {
+  if (!remote || remote.noUpstream) return null;
+  return {
+    upstream: remote.upstream,
+    ahead: remote.ahead,
+    behind: remote.behind,
+    upToDate: remote.upToDate,
+  };
+}
+
 /**
  * Get worktree path for a branch
  */
 export async function getWorktreeForBranch(branchName, repoRoot) {
-  const worktrees = await getWorktrees();
+  const worktrees = await getWorktrees(repoRoot);
   return worktrees.find(wt => wt.branch === branchName);
 }
 
 /**
  * Open a new OpenCode session in the specified directory
+ *
+ * Returns true if the session was launched.
  */
-export async function openOpenCodeSession(path) {
+export async function openOpenCodeSession(path, report = noop) {
   try {
-    console.log(`${colors.blue}ℹ Opening new OpenCode session in ${path}...${colors.reset}`);
+    report('info', `Opening new OpenCode session in ${path}...`);
     // Spawn opencode in a new process, detached from current one
     const proc = Bun.spawn(['opencode', path], {
       detached: true,
       stdio: 'ignore',
     });
     proc.unref();
-    console.log(`${colors.green}✓ OpenCode session launched${colors.reset}`);
+    report('success', 'OpenCode session launched');
+    return true;
   } catch (error) {
-    console.error(`${colors.yellow}⚠ Warning: Could not open OpenCode session: ${error.message}${colors.reset}`);
-    console.log(`${colors.cyan}You can manually open it with: opencode ${path}${colors.reset}`);
+    report('warning', `Could not open OpenCode session: ${error.message}`);
+    report('hint', `You can manually open it with: opencode ${path}`);
+    return false;
   }
 }
 
@@ -226,7 +720,7 @@ export function formatPath(fullPath, repoRoot) {
  * Print a horizontal line separator
  */
 export function printSeparator(char = '━', width = 42) {
-  console.log(colors.blue + char.repeat(width) + colors.reset);
+  log(colors.blue + char.repeat(width) + colors.reset);
 }
 
 /**
@@ -234,7 +728,898 @@ export function printSeparator(char = '━', width = 42) {
  */
 export function printHeader(title) {
   printSeparator();
-  console.log(`${colors.blue}   ${title}${colors.reset}`);
+  log(`${colors.blue}   ${title}${colors.reset}`);
   printSeparator();
-  console.log('');
+  log('');
+}
+
+/**
+ * Visible width of a string, ignoring ANSI color codes
+ */
+function visibleLength(text) {
+  return text.replace(/\x1b\[[0-9;]*m/g, '').length;
+}
+
+/**
+ * Print rows as an aligned table
+ *
+ * columns: [{ key, label }], rows: array of objects keyed by column key
+ */
+export function printTable(columns, rows) {
+  const widths = columns.map(col =>
+    Math.max(col.label.length, ...rows.map(row => visibleLength(String(row[col.key] ?? ''))))
+  );
+  
+  const formatRow = (cells) => cells
+    .map((cell, i) => cell + ' '.repeat(widths[i] - visibleLength(cell)))
+    .join('  ')
+    .trimEnd();
+  
+  log(colors.blue + formatRow(columns.map(col => col.label)) + colors.reset);
+  log(colors.gray + formatRow(widths.map(w => '─'.repeat(w))) + colors.reset);
+  for (const row of rows) {
+    log(formatRow(columns.map(col => String(row[col.key] ?? ''))));
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Concurrency and timings
+// ---------------------------------------------------------------------------
+
+/**
+ * Maximum number of worktrees inspected at the same time
+ */
+export const DEFAULT_CONCURRENCY = 8;
+
+/**
+ * Run fn(item, index) for every item with at most `limit` calls in flight
+ *
+ * Results keep the input order. onResult(result, index) is called in input
+ * order as soon as a result and every result before it are ready, so output
+ * can be streamed without being shuffled.
+ */
+export async function mapConcurrent(items, limit, fn, onResult = noop) {
+  const results = new Array(items.length);
+  const done = new Array(items.length).fill(false);
+  let next = 0;
+  let emitted = 0;
+  
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+      done[index] = true;
+      while (emitted < items.length && done[emitted]) {
+        onResult(results[emitted], emitted);
+        emitted++;
+      }
+    }
+  };
+  
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return results;
+}
+
+/**
+ * Record how long named steps and individual worktrees take (for --timings)
+ */
+export function createTimings() {
+  const started = performance.now();
+  const steps = new Map();
+  const worktrees = [];
+  
+  return {
+    async measure(step, fn) {
+      const start = performance.now();
+      try {
+        return await fn();
+      } finally {
+        const ms = performance.now() - start;
+        const entry = steps.get(step) || { step, calls: 0, totalMs: 0, maxMs: 0 };
+        entry.calls++;
+        entry.totalMs += ms;
+        entry.maxMs = Math.max(entry.maxMs, ms);
+        steps.set(step, entry);
+      }
+    },
+    worktree(path, ms) {
+      worktrees.push({ path, durationMs: Math.round(ms) });
+    },
+    summary() {
+      return {
+        totalMs: Math.round(performance.now() - started),
+        steps: [...steps.values()].map(entry => ({
+          ...entry,
+          totalMs: Math.round(entry.totalMs),
+          maxMs: Math.round(entry.maxMs),
+        })),
+        worktrees: [...worktrees].sort((a, b) => b.durationMs - a.durationMs),
+      };
+    },
+  };
+}
+
+// Stand-in used when the caller doesn't want timings
+export const untimed = { measure: (step, fn) => fn(), worktree: noop };
+
+/**
+ * Print a createTimings() summary
+ */
+export function printTimings(summary, repoRoot, concurrency = DEFAULT_CONCURRENCY) {
+  log(`${colors.blue}Timings${colors.reset} ${colors.gray}(${summary.totalMs}ms wall clock, up to ${concurrency} worktrees in parallel)${colors.reset}\n`);
+  printTable(
+    [
+      { key: 'step', label: 'STEP' },
+      { key: 'calls', label: 'CALLS' },
+      { key: 'total', label: 'TOTAL' },
+      { key: 'max', label: 'SLOWEST' },
+    ],
+    summary.steps.map(({ step, calls, totalMs, maxMs }) => ({
+      step,
+      calls,
+      total: `${totalMs}ms`,
+      max: `${maxMs}ms`,
+    }))
+  );
+  
+  const slowest = summary.worktrees.slice(0, 5);
+  if (slowest.length > 0) {
+    log(`\n${colors.blue}Slowest worktrees${colors.reset}`);
+    for (const { path, durationMs } of slowest) {
+      log(`  ${colors.gray}${String(durationMs).padStart(6)}ms${colors.reset}  ${formatPath(path, repoRoot)}`);
+    }
+  }
+  log('');
+}
+
+// ---------------------------------------------------------------------------
+// Worktree operations
+// ---------------------------------------------------------------------------
+
+/**
+ * Create a worktree for a branch in .opencode-wt/<branch>
+ *
+ * Checks out an existing local branch, tracks a remote branch, or creates a
+ * new branch from `from` (default: current HEAD). If a worktree for the
+ * branch already exists it is returned with created: false.
+ *
+ * Unless `setup` is false, the new worktree is then prepared according to
+ * .opencode-wt.json. If that fails, the worktree (and any branch created for
+ * it) is removed again before the error is thrown.
+ *
+ * The directory is .opencode-wt/<encodeBranchPath(branch)>, or `dirName` if
+ * given. The worktree is recorded in the registry, with `alias` if given,
+ * so findWorktree() can look it up by that alias. A new worktree's entry
+ * also gets its creation time and base branch; `metadata` (e.g. the PR it
+ * was created for) is merged into the entry either way.
+ */
+export async function addWorktree({ branch, from = null, dirName = null, alias = null, metadata = {}, setup = true, cwd = process.cwd(), report = noop }) {
+  await checkGitRepo(cwd);
+  await validateBranchName(branch);
+  
+  const repoRoot = await getRepoRoot(cwd);
+  const worktreeBase = getWorktreeBase(repoRoot);
+  const worktreePath = `${worktreeBase}/${dirName || encodeBranchPath(branch)}`;
+  
+  const existing = await getWorktreeForBranch(branch, repoRoot);
+  if (alias) {
+    await checkAlias(alias, existing ? existing.path : worktreePath, repoRoot);
+  }
+  if (existing) {
+    await registerWorktree(repoRoot, existing.path, { branch, alias, metadata });
+    return { created: false, branch, path: existing.path, alias, source: 'existing', base: null, setup: null };
+  }
+  
+  const config = setup ? await loadConfig(repoRoot) : null;
+  
+  // A leftover directory (e.g. from a deleted worktree) would make git fail
+  if (existsSync(worktreePath)) {
+    throw new WorktreeExistsError(worktreePath);
+  }
+  
+  // Ensure .opencode-wt/ directory exists and is ignored
+  await $`mkdir -p ${worktreeBase}`.quiet();
+  await ensureGitignore(repoRoot, report);
+  
+  const localExists = await branchExists(branch, repoRoot);
+  const remoteRef = localExists ? null : await findRemoteBranch(branch, repoRoot);
+  
+  let source;
+  let base = null;
+  
+  try {
+    if (localExists) {
+      report('info', `Branch '${branch}' exists locally, checking out...`);
+      await $`git -C ${repoRoot} worktree add ${worktreePath} ${branch}`.quiet();
+      source = 'local';
+    } else if (remoteRef) {
+      report('info', `Branch '${branch}' exists on remote, creating tracking branch from ${remoteRef}...`);
+      await $`git -C ${repoRoot} worktree add --track ${worktreePath} -b ${branch} ${remoteRef}`.quiet();
+      source = 'remote';
+      base = remoteRef;
+    } else if (from) {
+      report('info', `Creating branch '${branch}' from '${from}'...`);
+      await $`git -C ${repoRoot} worktree add ${worktreePath} -b ${branch} ${from}`.quiet();
+      source = 'new';
+      base = from;
+    } else {
+      base = await getCurrentBranch(repoRoot);
+      report('info', `Creating branch '${branch}' from current HEAD (${base})...`);
+      await $`git -C ${repoRoot} worktree add ${worktreePath} -b ${branch}`.quiet();
+      source = 'new';
+    }
+  } catch (error) {
+    throw new GitCommandError('Failed to create worktree', error);
+  }
+  
+  let setupResult = null;
+  if (config) {
+    try {
+      setupResult = await setupWorktree({ repoRoot, worktreePath, branch, config, report });
+    } catch (error) {
+      report('warning', 'Setup failed, removing the new worktree...');
+      await $`git -C ${repoRoot} worktree remove --force ${worktreePath}`.nothrow().quiet();
+      if (source !== 'local') {
+        await $`git -C ${repoRoot} branch -D ${branch}`.nothrow().quiet();
+      }
+      throw error;
+    }
+  }
+  
+  await registerWorktree(repoRoot, worktreePath, {
+    branch,
+    alias,
+    metadata: { ...metadata, created: new Date().toISOString(), base },
+  });
+  return { created: true, branch, path: worktreePath, alias, source, base, setup: setupResult };
+}
+
+/**
+ * Remotes of a repository with their fetch URLs
+ */
+async function getRemoteUrls(cwd) {
+  const output = await $`git -C ${cwd} remote -v`.nothrow().quiet().text();
+  const urls = new Map();
+  for (const line of output.split('\n')) {
+    const [name, url, kind] = line.split(/\s+/);
+    if (kind === '(fetch)') urls.set(name, url);
+  }
+  return urls;
+}
+
+/**
+ * Find or add a remote for the fork a pull request comes from
+ *
+ * A remote that already points at the fork is reused. Otherwise one named
+ * after the fork's owner is added, using SSH if the default remote does.
+ */
+async function ensureForkRemote(pr, repoRoot, report) {
+  const owner = pr.headRepositoryOwner.login;
+  const name = pr.headRepository.name;
+  const urls = await getRemoteUrls(repoRoot);
+  
+  const forkPath = `/${owner}/${name}`.toLowerCase();
+  for (const [remote, url] of urls) {
+    const normalized = url.replace(/:/g, '/').replace(/\.git\/?$|\/$/, '').toLowerCase();
+    if (normalized.endsWith(forkPath)) return remote;
+  }
+  
+  const { remote: defaultRemote } = await getRepoDefaults(repoRoot);
+  const host = new URL(pr.url).host;
+  const url = /^(git@|ssh:\/\/)/.test(urls.get(defaultRemote) || '')
+    ? `git@${host}:${owner}/${name}.git`
+    : `https://${host}/${owner}/${name}.git`;
+  const remote = urls.has(owner) ? `${owner}-fork` : owner;
+  
+  try {
+    await $`git -C ${repoRoot} remote add ${remote} ${url}`.quiet();
+  } catch (error) {
+    throw new GitCommandError(`Failed to add remote '${remote}' for ${owner}/${name}`, error);
+  }
+  report('info', `Added remote '${remote}' for ${owner}/${name}`);
+  return remote;
+}
+
+/**
+ * Create a worktree in .opencode-wt/pr-<number> for a pull request
+ *
+ * A PR from the same repository checks out its head branch, tracking it on
+ * the default remote. A PR from a fork gets a local `pr-<number>` branch
+ * that tracks the contributor's branch through a remote for the fork, with
+ * the fork as the branch's push remote; `git push <remote> HEAD:<headRef>`
+ * updates their branch. The config is per branch, since the fork's remote
+ * may be shared with other branches (or be origin itself).
+ * If the fork was deleted, the PR head is checked out without a way to push.
+ *
+ * Returns addWorktree()'s result plus `pr` ({ number, title, url, headRef,
+ * fork, remote, canPush }).
+ */
+export async function addPullRequestWorktree({ number, alias = null, setup = true, cwd = process.cwd(), report = noop }) {
+  await checkGitRepo(cwd);
+  const repoRoot = await getRepoRoot(cwd);
+  const pr = await getPullRequest(number, repoRoot);
+  const { remote } = await getRepoDefaults(repoRoot);
+  const dirName = `pr-${pr.number}`;
+  
+  const info = {
+    number: pr.number,
+    title: pr.title,
+    url: pr.url,
+    headRef: pr.headRefName,
+    fork: pr.isCrossRepository,
+    remote,
+    canPush: true,
+  };
+  const metadata = { pr: { number: pr.number, title: pr.title, url: pr.url } };
+  
+  const fetchRef = async (from, refspec) => {
+    report('info', `Fetching ${refspec} from ${from}...`);
+    try {
+      await $`git -C ${repoRoot} fetch ${from} ${refspec}`.quiet();
+    } catch (error) {
+      throw new GitCommandError(`Failed to fetch pull request #${pr.number}`, error);
+    }
+  };
+  
+  if (!pr.isCrossRepository) {
+    await fetchRef(remote, pr.headRefName);
+    const result = await addWorktree({ branch: pr.headRefName, dirName, alias, metadata, setup, cwd: repoRoot, report });
+    return { ...result, pr: info };
+  }
+  
+  const branch = dirName;
+  
+  if (!pr.headRepository) {
+    report('warning', `The fork of pull request #${pr.number} was deleted; checking out its head without a way to push`);
+    info.canPush = false;
+    if (!(await branchExists(branch, repoRoot))) {
+      await fetchRef(remote, `pull/${pr.number}/head:refs/heads/${branch}`);
+    }
+    const result = await addWorktree({ branch, dirName, alias, metadata, setup, cwd: repoRoot, report });
+    return { ...result, pr: info };
+  }
+  
+  const forkRemote = await ensureForkRemote(pr, repoRoot, report);
+  info.remote = forkRemote;
+  await fetchRef(forkRemote, pr.headRefName);
+  
+  const result = await addWorktree({ branch, from: `${forkRemote}/${pr.headRefName}`, dirName, alias, metadata, setup, cwd: repoRoot, report });
+  
+  if (result.created) {
+    // Track the contributor's branch (branch.<b>.remote and .merge) and push to the fork
+    try {
+      await $`git -C ${repoRoot} branch --set-upstream-to=${forkRemote}/${pr.headRefName} ${branch}`.quiet();
+      await $`git -C ${repoRoot} config branch.${branch}.pushRemote ${forkRemote}`.quiet();
+    } catch (error) {
+      throw new GitCommandError(`Failed to set up '${branch}' to track ${forkRemote}/${pr.headRefName}`, error);
+    }
+  }
+  
+  if (!pr.maintainerCanModify) {
+    report('warning', `The author of #${pr.number} doesn't allow edits from maintainers; pushing will fail`);
+    info.canPush = false;
+  }
+  
+  return { ...result, pr: info };
+}
+
+/**
+ * Create a worktree for an issue, on a branch named after its number and title
+ *
+ * The branch is `<number>-<slugged title>` (e.g. 42-fix-login-redirect) and
+ * starts from `from`, or else the default branch on the default remote.
+ *
+ * Returns addWorktree()'s result plus `issue` ({ number, title, url }).
+ */
+export async function addIssueWorktree({ number, from = null, alias = null, setup = true, cwd = process.cwd(), report = noop }) {
+  await checkGitRepo(cwd);
+  const repoRoot = await getRepoRoot(cwd);
+  const issue = await getIssue(number, repoRoot);
+  
+  const slug = slugify(issue.title);
+  const branch = slug ? `${issue.number}-${slug}` : `issue-${issue.number}`;
+  
+  if (!from) {
+    const defaults = await getRepoDefaults(repoRoot);
+    from = await refExists(`refs/remotes/${defaults.ref}`, repoRoot) ? defaults.ref : null;
+  }
+  
+  const info = { number: issue.number, title: issue.title, url: issue.url };
+  const result = await addWorktree({ branch, from, alias, metadata: { issue: info }, setup, cwd: repoRoot, report });
+  return { ...result, issue: info };
+}
+
+/**
+ * Find a worktree by branch, path or alias, failing if there is none
+ *
+ * `query` is tried as an exact branch name, then as a path (absolute,
+ * relative to `cwd` or the repo root, or a directory name or branch name
+ * under .opencode-wt/), then as an alias: one registered with
+ * `/worktree-add --alias`, or the last part of a nested branch name
+ * (`login` for feature/auth/login).
+ */
+export async function findWorktree(query, cwd = process.cwd()) {
+  await checkGitRepo(cwd);
+  const repoRoot = await getRepoRoot(cwd);
+  const worktrees = await getWorktrees(repoRoot);
+  
+  const byBranch = worktrees.find(wt => wt.branch === query);
+  if (byBranch) {
+    return { worktree: byBranch, repoRoot };
+  }
+  
+  const base = getWorktreeBase(repoRoot);
+  const paths = new Set(
+    [resolve(cwd, query), resolve(repoRoot, query), `${base}/${query}`, `${base}/${encodeBranchPath(query)}`]
+      .map(path => path.replace(/\/+$/, ''))
+  );
+  const byPath = worktrees.find(wt => paths.has(wt.path));
+  if (byPath) {
+    return { worktree: byPath, repoRoot };
+  }
+  
+  const registry = await loadRegistry(repoRoot);
+  let matches = worktrees.filter(wt => registry.worktrees[registryKey(repoRoot, wt.path)]?.aliases?.includes(query));
+  if (matches.length === 0) {
+    matches = worktrees.filter(wt => wt.branch?.includes('/') && wt.branch.split('/').pop() === query);
+  }
+  
+  if (matches.length > 1) {
+    throw new AmbiguousWorktreeError(query, matches.map(wt => `${wt.branch || '(detached HEAD)'}  ${formatPath(wt.path, repoRoot)}`));
+  }
+  if (matches.length === 0) {
+    throw new WorktreeNotFoundError(query);
+  }
+  return { worktree: matches[0], repoRoot };
+}
+
+/**
+ * Registry entries of the worktrees, keyed by absolute path
+ *
+ * Each entry holds the worktree's `aliases` and the metadata recorded for
+ * it: `created` and `lastOpened` (ISO timestamps), `base` (the branch it was
+ * created from), `pr` / `issue` ({ number, title, url }) and `note`.
+ */
+export async function getWorktreeMetadata(repoRoot) {
+  const registry = await loadRegistry(repoRoot);
+  const metadata = new Map();
+  for (const [key, entry] of Object.entries(registry.worktrees)) {
+    metadata.set(resolve(repoRoot, key), entry);
+  }
+  return metadata;
+}
+
+/**
+ * Attach a note to a worktree, or clear it with an empty `note`
+ *
+ * `query` is anything findWorktree() accepts.
+ */
+export async function setWorktreeNote({ query, note, cwd = process.cwd() }) {
+  const { worktree, repoRoot } = await findWorktree(query, cwd);
+  const text = note?.trim() || null;
+  await registerWorktree(repoRoot, worktree.path, { branch: worktree.branch, metadata: { note: text } });
+  return { branch: worktree.branch || null, path: worktree.path, note: text };
+}
+
+/**
+ * Record that an OpenCode session was opened in a worktree
+ */
+export async function recordWorktreeOpened(worktree, cwd = process.cwd()) {
+  const repoRoot = await getRepoRoot(cwd);
+  await registerWorktree(repoRoot, worktree.path, { branch: worktree.branch, metadata: { lastOpened: new Date().toISOString() } });
+}
+
+/**
+ * Check that an alias is well-formed and not used by another worktree
+ */
+async function checkAlias(alias, worktreePath, repoRoot) {
+  if (!/^[A-Za-z0-9._-]+$/.test(alias)) {
+    throw new UsageError(`Alias '${alias}' may only contain letters, digits, '.', '_' and '-'`);
+  }
+  
+  const registry = await loadRegistry(repoRoot);
+  const ownKey = registryKey(repoRoot, worktreePath);
+  for (const [key, entry] of Object.entries(registry.worktrees)) {
+    if (key !== ownKey && entry.aliases?.includes(alias)) {
+      throw new WorktreeError(`Alias '${alias}' is already used by ${key}`, {
+        hint: 'Pick another alias',
+        exitCode: EXIT_CODES.exists,
+      });
+    }
+  }
+}
+
+/**
+ * Record a worktree's branch in the registry, adding `alias` if given and
+ * merging `metadata` into its entry
+ */
+async function registerWorktree(repoRoot, worktreePath, { branch, alias = null, metadata = {} }) {
+  await updateRegistry(repoRoot, (registry) => {
+    const key = registryKey(repoRoot, worktreePath);
+    const entry = { ...registry.worktrees[key], ...metadata };
+    entry.branch = branch || null;
+    entry.aliases = [...new Set([...(entry.aliases || []), ...(alias ? [alias] : [])])];
+    registry.worktrees[key] = entry;
+  });
+}
+
+/**
+ * Drop removed worktrees from the registry
+ */
+export async function unregisterWorktrees(repoRoot, worktreePaths) {
+  if (worktreePaths.length === 0) return;
+  await updateRegistry(repoRoot, (registry) => {
+    for (const path of worktreePaths) {
+      delete registry.worktrees[registryKey(repoRoot, path)];
+    }
+  });
+}
+
+/**
+ * Remove the worktree for a branch and optionally delete the branch
+ *
+ * `branch` may also be a path or alias (see findWorktree()).
+ * Refuses to remove the main worktree, and refuses to remove a locked
+ * worktree or one with uncommitted changes unless `force` is set. A failure to delete the branch
+ * does not undo the removal; it is returned as `branchError`.
+ */
+export async function removeWorktree({ branch: query, force = false, deleteBranch = false, cwd = process.cwd(), report = noop }) {
+  const { worktree, repoRoot } = await findWorktree(query, cwd);
+  const branch = worktree.branch;
+  
+  if (worktree.path === repoRoot) {
+    throw new MainWorktreeError(repoRoot, WORKTREE_DIR);
+  }
+  
+  if (worktree.locked && !force) {
+    throw new WorktreeLockedError(worktree.path, typeof worktree.locked === 'string' ? worktree.locked : null);
+  }
+  
+  if (!force) {
+    let status = '';
+    try {
+      status = await $`git -C ${worktree.path} status --porcelain`.text();
+    } catch {
+      report('warning', 'Could not check worktree status');
+    }
+    
+    if (status.trim()) {
+      throw new DirtyWorktreeError(worktree.path, status);
+    }
+  }
+  
+  report('info', 'Removing worktree...');
+  try {
+    if (force) {
+      // A locked worktree needs --force twice
+      const forceArgs = worktree.locked ? ['--force', '--force'] : ['--force'];
+      await $`git -C ${repoRoot} worktree remove ${worktree.path} ${forceArgs}`.quiet();
+    } else {
+      await $`git -C ${repoRoot} worktree remove ${worktree.path}`.quiet();
+    }
+  } catch (error) {
+    throw new GitCommandError('Failed to remove worktree', error);
+  }
+  report('success', 'Worktree removed');
+  await unregisterWorktrees(repoRoot, [worktree.path]);
+  
+  let branchDeleted = false;
+  let branchError = null;
+  
+  if (deleteBranch && branch) {
+    ({ branchDeleted, branchError } = await deleteLocalBranch(branch, { force, cwd: repoRoot, report }));
+  }
+  
+  return { removed: true, branch, path: worktree.path, branchDeleted, branchError };
+}
+
+/**
+ * Delete a local branch, reporting (not throwing) a failure
+ *
+ * Without `force` git refuses to delete branches that are not merged.
+ */
+export async function deleteLocalBranch(branch, { force = false, cwd = process.cwd(), report = noop } = {}) {
+  report('info', `Deleting branch '${branch}'...`);
+  try {
+    if (force) {
+      await $`git -C ${cwd} branch -D ${branch}`.quiet();
+    } else {
+      await $`git -C ${cwd} branch -d ${branch}`.quiet();
+    }
+    report('success', 'Branch deleted');
+    return { branchDeleted: true, branchError: null };
+  } catch (error) {
+    return { branchDeleted: false, branchError: error.stderr?.toString().trim() || error.message };
+  }
+}
+
+/**
+ * Lock a worktree so prune, remove, move and bulk updates leave it alone
+ *
+ * `query` is anything findWorktree() accepts. Locking an already locked
+ * worktree changes nothing and returns changed: false.
+ */
+export async function lockWorktree({ query, reason = null, cwd = process.cwd(), report = noop }) {
+  const { worktree, repoRoot } = await findWorktree(query, cwd);
+  if (worktree.path === repoRoot) {
+    throw new MainWorktreeError(repoRoot, WORKTREE_DIR, 'lock');
+  }
+  
+  const result = { branch: worktree.branch || null, path: worktree.path, locked: true, reason: reason || null, changed: false };
+  if (worktree.locked) {
+    result.reason = typeof worktree.locked === 'string' ? worktree.locked : null;
+    report('warning', `Already locked${result.reason ? `: ${result.reason}` : ''}`);
+    return result;
+  }
+  
+  try {
+    if (reason) {
+      await $`git -C ${repoRoot} worktree lock --reason ${reason} ${worktree.path}`.quiet();
+    } else {
+      await $`git -C ${repoRoot} worktree lock ${worktree.path}`.quiet();
+    }
+  } catch (error) {
+    throw new GitCommandError('Failed to lock worktree', error);
+  }
+  report('success', 'Worktree locked');
+  return { ...result, changed: true };
+}
+
+/**
+ * Unlock a worktree; unlocking one that isn't locked returns changed: false
+ */
+export async function unlockWorktree({ query, cwd = process.cwd(), report = noop }) {
+  const { worktree, repoRoot } = await findWorktree(query, cwd);
+  const result = { branch: worktree.branch || null, path: worktree.path, locked: false, changed: false };
+  if (!worktree.locked) {
+    report('warning', 'Not locked');
+    return result;
+  }
+  
+  try {
+    await $`git -C ${repoRoot} worktree unlock ${worktree.path}`.quiet();
+  } catch (error) {
+    throw new GitCommandError('Failed to unlock worktree', error);
+  }
+  report('success', 'Worktree unlocked');
+  return { ...result, changed: true };
+}
+
+/**
+ * Rename a worktree's branch and move its directory to match
+ *
+ * The directory goes to .opencode-wt/<encodeBranchPath(newBranch)> with `git
+ * worktree move`, then the branch is renamed with `git branch -m`; if the
+ * rename fails the directory is moved back. Locked worktrees are only moved
+ * with `force`. The registry entry (aliases, note, ...) moves along.
+ *
+ * Returns { branch, oldBranch, path, oldPath }.
+ */
+export async function moveWorktree({ query, newBranch, force = false, cwd = process.cwd(), report = noop }) {
+  const { worktree, repoRoot } = await findWorktree(query, cwd);
+  const oldBranch = worktree.branch;
+  
+  if (worktree.path === repoRoot) {
+    throw new MainWorktreeError(repoRoot, WORKTREE_DIR, 'move');
+  }
+  if (!oldBranch) {
+    throw new WorktreeError('Cannot move a worktree with a detached HEAD', {
+      hint: 'Check out a branch in it first',
+    });
+  }
+  if (worktree.locked && !force) {
+    throw new WorktreeLockedError(worktree.path, typeof worktree.locked === 'string' ? worktree.locked : null);
+  }
+  
+  await validateBranchName(newBranch);
+  if (newBranch !== oldBranch && await branchExists(newBranch, repoRoot)) {
+    throw new WorktreeError(`Branch '${newBranch}' already exists`, {
+      hint: 'Pick another name, or remove that branch first',
+      exitCode: EXIT_CODES.exists,
+    });
+  }
+  
+  const newPath = `${getWorktreeBase(repoRoot)}/${encodeBranchPath(newBranch)}`;
+  if (newPath !== worktree.path && existsSync(newPath)) {
+    throw new WorktreeExistsError(newPath);
+  }
+  
+  if (newPath !== worktree.path) {
+    report('info', `Moving ${formatPath(worktree.path, repoRoot)} to ${formatPath(newPath, repoRoot)}...`);
+    try {
+      // A locked worktree needs --force twice
+      const forceArgs = worktree.locked ? ['--force', '--force'] : [];
+      await $`git -C ${repoRoot} worktree move ${forceArgs} ${worktree.path} ${newPath}`.quiet();
+    } catch (error) {
+      throw new GitCommandError('Failed to move worktree', error);
+    }
+  }
+  
+  if (newBranch !== oldBranch) {
+    report('info', `Renaming branch '${oldBranch}' to '${newBranch}'...`);
+    try {
+      await $`git -C ${newPath} branch -m ${oldBranch} ${newBranch}`.quiet();
+    } catch (error) {
+      if (newPath !== worktree.path) {
+        const forceArgs = worktree.locked ? ['--force', '--force'] : [];
+        await $`git -C ${repoRoot} worktree move ${forceArgs} ${newPath} ${worktree.path}`.nothrow().quiet();
+      }
+      throw new GitCommandError(`Failed to rename branch '${oldBranch}'`, error);
+    }
+  }
+  
+  await updateRegistry(repoRoot, (registry) => {
+    const oldKey = registryKey(repoRoot, worktree.path);
+    const entry = registry.worktrees[oldKey] || { aliases: [] };
+    delete registry.worktrees[oldKey];
+    registry.worktrees[registryKey(repoRoot, newPath)] = { ...entry, branch: newBranch };
+  });
+  report('success', 'Worktree moved');
+  
+  return { branch: newBranch, oldBranch, path: newPath, oldPath: worktree.path };
+}
+
+/**
+ * Gather status, remote tracking info and last commit for each worktree
+ *
+ * Worktrees are inspected concurrently (at most `concurrency` at a time) and
+ * the records come back in the same order as `worktrees`.
+ */
+export async function collectWorktreeStatus(worktrees, { concurrency = DEFAULT_CONCURRENCY, timings = untimed } = {}) {
+  return mapConcurrent(worktrees, concurrency, async (wt) => {
+    const start = performance.now();
+    const [status, remote, commit] = await Promise.all([
+      timings.measure('status', () => getWorktreeStatus(wt.path)),
+      wt.branch ? timings.measure('remote', () => getRemoteStatus(wt.path, wt.branch)) : null,
+      timings.measure('last commit', () => getLastCommit(wt.path)),
+    ]);
+    timings.worktree(wt.path, performance.now() - start);
+    return { wt, status, remote, commit };
+  });
+}
+
+/**
+ * Local branches whose upstream branch was deleted on the remote
+ */
+export async function getGoneBranches(cwd) {
+  const format = '--format=%(refname:short)%09%(upstream:track)';
+  const output = await $`git -C ${cwd} for-each-ref ${format} refs/heads`.quiet().text();
+  return new Set(
+    output.split('\n')
+      .map(line => line.split('\t'))
+      .filter(([, track]) => track === '[gone]')
+      .map(([branch]) => branch)
+  );
+}
+
+/**
+ * Build the --json document for /worktree-list
+ */
+export function buildListReport(repoRoot, worktrees, currentPath = null, metadata = new Map()) {
+  return {
+    repoRoot,
+    worktrees: worktrees.map(wt => ({
+      ...serializeWorktree(wt, repoRoot),
+      isCurrent: wt.path === currentPath,
+      ...serializeMetadata(metadata.get(wt.path)),
+    })),
+    summary: {
+      total: worktrees.length,
+      linked: worktrees.filter(wt => wt.path !== repoRoot).length,
+    },
+  };
+}
+
+/**
+ * Build the --json document for /worktree-status
+ */
+export function buildStatusReport(repoRoot, records, metadata = new Map()) {
+  const clean = records.filter(r => r.status.clean).length;
+  return {
+    repoRoot,
+    worktrees: records.map(({ wt, status, remote, commit }) => ({
+      ...serializeWorktree(wt, repoRoot),
+      status: status.error ? null : status,
+      remote: serializeRemoteStatus(remote),
+      lastCommit: commit,
+      ...serializeMetadata(metadata.get(wt.path)),
+    })),
+    summary: {
+      total: records.length,
+      clean,
+      dirty: records.length - clean,
+    },
+  };
+}
+
+/**
+ * Move nested worktrees to their encoded directory and fill the registry
+ *
+ * Worktrees created before branch names were encoded live in nested
+ * directories (.opencode-wt/feature/auth/login). Each one is moved with
+ * `git worktree move` to .opencode-wt/<encodeBranchPath(branch)>, deepest
+ * first so worktrees nested inside other worktrees come out cleanly, and
+ * the empty parent directories are removed. Every linked worktree is then
+ * recorded in the registry, and entries for worktrees that no longer exist
+ * are dropped. With `dryRun`, only the planned moves are returned.
+ *
+ * Returns { moved: [{ branch, from, to }], skipped: [{ branch, path, reason }], registered }.
+ */
+export async function migrateWorktrees({ dryRun = false, cwd = process.cwd(), report = noop } = {}) {
+  await checkGitRepo(cwd);
+  const repoRoot = await getRepoRoot(cwd);
+  const base = getWorktreeBase(repoRoot);
+  const moved = [];
+  const skipped = [];
+  
+  const nested = (await getWorktrees(repoRoot))
+    .filter(wt => wt.path.startsWith(`${base}/`) && relative(base, wt.path).includes('/'))
+    .sort((a, b) => b.path.split('/').length - a.path.split('/').length);
+  
+  for (const wt of nested) {
+    const entry = { branch: wt.branch || null, path: wt.path };
+    
+    if (!wt.branch) {
+      skipped.push({ ...entry, reason: 'detached HEAD' });
+      continue;
+    }
+    if (wt.locked) {
+      skipped.push({ ...entry, reason: 'locked' });
+      continue;
+    }
+    if (wt.prunable) {
+      skipped.push({ ...entry, reason: 'directory is missing (run /worktree-prune)' });
+      continue;
+    }
+    
+    const target = `${base}/${encodeBranchPath(wt.branch)}`;
+    if (existsSync(target)) {
+      skipped.push({ ...entry, reason: `${formatPath(target, repoRoot)} already exists` });
+      continue;
+    }
+    
+    if (!dryRun) {
+      report('info', `Moving ${formatPath(wt.path, repoRoot)} to ${formatPath(target, repoRoot)}...`);
+      try {
+        await $`git -C ${repoRoot} worktree move ${wt.path} ${target}`.quiet();
+      } catch (error) {
+        skipped.push({ ...entry, reason: error.stderr?.toString().trim() || error.message });
+        continue;
+      }
+      
+      // Remove the directories that only existed to hold the nested path
+      for (let dir = dirname(wt.path); dir.startsWith(`${base}/`); dir = dirname(dir)) {
+        try {
+          await rmdir(dir);
+        } catch {
+          break;
+        }
+      }
+    }
+    moved.push({ branch: wt.branch, from: wt.path, to: target });
+  }
+  
+  if (dryRun) {
+    return { moved, skipped, registered: 0 };
+  }
+  
+  const current = await getWorktrees(repoRoot);
+  const registered = await updateRegistry(repoRoot, (registry) => {
+    const byBranch = new Map(Object.values(registry.worktrees).map(entry => [entry.branch, entry]));
+    const worktrees = {};
+    
+    for (const wt of current) {
+      // Entries of moved worktrees are found again by branch, keeping their aliases and notes
+      const key = registryKey(repoRoot, wt.path);
+      const previous = registry.worktrees[key] || (wt.branch && byBranch.get(wt.branch));
+      const linked = wt.path !== repoRoot && wt.branch;
+      if (previous || linked) {
+        worktrees[key] = { aliases: [], ...previous, branch: wt.branch || null };
+      }
+    }
+    registry.worktrees = worktrees;
+    return Object.keys(worktrees).length;
+  });
+  
+  return { moved, skipped, registered };
 }
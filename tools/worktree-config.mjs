@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+
+/**
+ * Git Worktree Config
+ * 
+ * Per-repo settings read from .opencode-wt.json in the main worktree:
+ * 
+ *   {
+ *     "copy": [".env*", ".opencode/"],   // copied into new worktrees
+ *     "symlink": ["node_modules"],       // symlinked into new worktrees
+ *     "postCreate": ["yarn install"],    // run in new worktrees, in order
+ *     "remote": "upstream",              // remote to fetch and compare with
+ *     "baseBranch": "develop"            // branch that work is based on
+ *   }
+ * 
+ * Patterns are globs relative to the repository root. `remote` and
+ * `baseBranch` are normally detected (see getRepoDefaults()).
+ */
+
+import { ConfigError } from "./worktree-errors.mjs";
+
+export const CONFIG_FILE = ".opencode-wt.json";
+
+const LIST_KEYS = ["copy", "symlink", "postCreate"];
+const STRING_KEYS = ["remote", "baseBranch"];
+
+/**
+ * Load the repo config, falling back to defaults when there is none
+ */
+export async function loadConfig(repoRoot) {
+  const configPath = `${repoRoot}/${CONFIG_FILE}`;
+  const file = Bun.file(configPath);
+  const config = { copy: [], symlink: [], postCreate: [], remote: null, baseBranch: null };
+  
+  if (!(await file.exists())) {
+    return config;
+  }
+  
+  let raw;
+  try {
+    raw = JSON.parse(await file.text());
+  } catch (error) {
+    throw new ConfigError(configPath, `invalid JSON: ${error.message}`);
+  }
+  
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new ConfigError(configPath, 'expected a JSON object');
+  }
+  
+  for (const key of LIST_KEYS) {
+    if (raw[key] === undefined) continue;
+    if (!Array.isArray(raw[key]) || !raw[key].every(item => typeof item === 'string')) {
+      throw new ConfigError(configPath, `'${key}' must be an array of strings`);
+    }
+    config[key] = raw[key];
+  }
+  
+  for (const key of STRING_KEYS) {
+    if (raw[key] === undefined) continue;
+    if (typeof raw[key] !== 'string' || !raw[key].trim()) {
+      throw new ConfigError(configPath, `'${key}' must be a non-empty string`);
+    }
+    config[key] = raw[key].trim();
+  }
+  
+  return config;
+}
@@ -0,0 +1,460 @@
+#!/usr/bin/env node
+
+/**
+ * Git Worktree Doctor
+ * 
+ * Health checks for /worktree-doctor: disk usage per worktree, worktrees
+ * that are missing, moved or no longer linked to the repository, stale
+ * locks, deleted upstreams, leftover directories and the .gitignore entry,
+ * plus the fixes that are safe to apply automatically.
+ */
+
+import { $ } from "bun";
+import { existsSync, statSync } from "node:fs";
+import { lstat, readdir, readFile } from "node:fs/promises";
+import { dirname, resolve } from "node:path";
+import {
+  WORKTREE_DIR,
+  DEFAULT_CONCURRENCY,
+  noop,
+  checkGitRepo,
+  getRepoRoot,
+  getWorktreeBase,
+  getWorktrees,
+  getGoneBranches,
+  isWorktreeDirPattern,
+  ensureGitignore,
+  unregisterWorktrees,
+  mapConcurrent,
+  formatPath,
+  serializeWorktree,
+} from "./worktree-common.mjs";
+import { updateRegistry, registryKey } from "./worktree-registry.mjs";
+
+/**
+ * Directories inside a worktree that usually hold most of its disk usage
+ */
+export const HEAVY_DIRS = ['node_modules', '.venv', 'venv', '.tox', 'target', 'build', 'dist', '.next'];
+
+/**
+ * Locks older than this many days are reported as stale
+ */
+export const DEFAULT_STALE_LOCK_DAYS = 30;
+
+/**
+ * Disk usage of a path in bytes (symlinks are not followed), or null
+ */
+async function getDiskUsage(path) {
+  const output = await $`du -sk ${path}`.nothrow().quiet().text();
+  const kilobytes = Number(output.split('\t')[0]);
+  return Number.isFinite(kilobytes) && output.trim() ? kilobytes * 1024 : null;
+}
+
+/**
+ * Total disk usage of a worktree plus its heavy directories
+ *
+ * Symlinked directories (e.g. a node_modules shared through the setup
+ * config) take no space of their own and are listed with `symlink: true`.
+ */
+async function measureWorktree(worktreePath) {
+  const dirs = [];
+  for (const name of HEAVY_DIRS) {
+    let stats;
+    try {
+      stats = await lstat(`${worktreePath}/${name}`);
+    } catch {
+      continue;
+    }
+    if (stats.isSymbolicLink()) {
+      dirs.push({ name, bytes: 0, symlink: true });
+    } else if (stats.isDirectory()) {
+      dirs.push({ name, bytes: await getDiskUsage(`${worktreePath}/${name}`), symlink: false });
+    }
+  }
+  return { bytes: await getDiskUsage(worktreePath), dirs };
+}
+
+/**
+ * The administrative directories in <git-common-dir>/worktrees, keyed by the
+ * worktree path each one points to
+ *
+ * With worktree.useRelativePaths (git 2.48+) the gitdir file holds a path
+ * relative to the admin directory.
+ */
+async function getWorktreeAdminDirs(repoRoot) {
+  const commonDir = (await $`git -C ${repoRoot} rev-parse --path-format=absolute --git-common-dir`.text()).trim();
+  const adminDirs = new Map();
+  let names = [];
+  try {
+    names = await readdir(`${commonDir}/worktrees`);
+  } catch {
+    return adminDirs;
+  }
+  
+  for (const name of names) {
+    const adminDir = `${commonDir}/worktrees/${name}`;
+    try {
+      const gitFile = (await readFile(`${adminDir}/gitdir`, 'utf8')).trim();
+      adminDirs.set(dirname(resolve(adminDir, gitFile)), adminDir);
+    } catch {
+      // Not a worktree entry
+    }
+  }
+  return adminDirs;
+}
+
+/**
+ * The admin directory a worktree's .git file points to, or null
+ */
+async function readGitFile(worktreePath) {
+  try {
+    const content = await readFile(`${worktreePath}/.git`, 'utf8');
+    const match = content.match(/^gitdir: (.+)$/m);
+    return match ? resolve(worktreePath, match[1].trim()) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Directories under .opencode-wt/ that contain a .git file, and the
+ * top-most directories that contain no worktree at all
+ */
+async function scanWorktreeBase(base, depth = 4) {
+  const found = { worktrees: [], leftovers: [] };
+  
+  const walk = async (dir, level) => {
+    let entries;
+    try {
+      entries = await readdir(dir, { withFileTypes: true });
+    } catch {
+      return false;
+    }
+    if (entries.some(entry => entry.name === '.git')) {
+      found.worktrees.push(dir);
+      return true;
+    }
+    
+    let hasWorktree = false;
+    const leftovers = [];
+    for (const entry of entries) {
+      if (!entry.isDirectory() || level >= depth) continue;
+      const child = `${dir}/${entry.name}`;
+      if (await walk(child, level + 1)) {
+        hasWorktree = true;
+      } else {
+        leftovers.push(child);
+      }
+    }
+    // Only report the highest directory that holds nothing useful
+    if (hasWorktree) found.leftovers.push(...leftovers);
+    return hasWorktree;
+  };
+  
+  let topLevel = [];
+  try {
+    topLevel = await readdir(base, { withFileTypes: true });
+  } catch {
+    return found;
+  }
+  for (const entry of topLevel) {
+    if (!entry.isDirectory()) continue;
+    const dir = `${base}/${entry.name}`;
+    if (!(await walk(dir, 1))) found.leftovers.push(dir);
+  }
+  return found;
+}
+
+/**
+ * Problems with how .opencode-wt/ is ignored
+ */
+async function checkGitignore(repoRoot) {
+  const issues = [];
+  const gitignorePath = `${repoRoot}/.gitignore`;
+  const lines = existsSync(gitignorePath) ? (await readFile(gitignorePath, 'utf8')).split('\n') : [];
+  
+  const ignored = await $`git -C ${repoRoot} check-ignore -q --no-index ${WORKTREE_DIR}/`.nothrow().quiet();
+  if (ignored.exitCode !== 0) {
+    const negated = lines.find(line => line.startsWith('!') && isWorktreeDirPattern(line.substring(1)));
+    issues.push({
+      kind: 'gitignore-missing',
+      severity: 'error',
+      message: negated
+        ? `${WORKTREE_DIR}/ is un-ignored by '${negated}' in .gitignore`
+        : `${WORKTREE_DIR}/ is not ignored, so worktrees show up as untracked files`,
+      fix: negated ? null : { action: 'gitignore', command: `echo '${WORKTREE_DIR}/' >> .gitignore` },
+      hint: negated ? `Remove '${negated}' from .gitignore` : null,
+    });
+  }
+  
+  const entries = lines.filter(isWorktreeDirPattern);
+  if (entries.length > 1) {
+    issues.push({
+      kind: 'gitignore-duplicate',
+      severity: 'info',
+      message: `.gitignore lists ${WORKTREE_DIR} ${entries.length} times (${entries.map(e => `'${e.trim()}'`).join(', ')})`,
+      fix: { action: 'gitignore', command: `keep only '${entries[0].trim()}' in .gitignore` },
+      hint: null,
+    });
+  }
+  
+  const tracked = (await $`git -C ${repoRoot} ls-files -- ${WORKTREE_DIR}`.nothrow().quiet().text()).trim();
+  if (tracked) {
+    issues.push({
+      kind: 'gitignore-tracked',
+      severity: 'error',
+      message: `${tracked.split('\n').length} file(s) under ${WORKTREE_DIR}/ are committed to the repository`,
+      fix: null,
+      hint: `Run git rm -r --cached ${WORKTREE_DIR} and commit`,
+    });
+  }
+  
+  return issues;
+}
+
+/**
+ * Check the health of all worktrees of a repository
+ *
+ * Finds missing worktree directories (prunable), directories that were moved
+ * by hand (git still points at the old path), broken links between a
+ * worktree and the repository, stale locks (left by a crashed `git worktree
+ * add`, which --fix unlocks, or older than `staleLockDays`, which are only
+ * reported), branches whose upstream was deleted,
+ * leftover directories in .opencode-wt/ that are not worktrees and problems
+ * with the .gitignore entry. With `sizes`, also measures the disk usage of
+ * every linked worktree.
+ *
+ * Each issue is { kind, severity, path, branch, message, fix, hint }; `fix`
+ * is { action, command } when applyDoctorFixes() can resolve it, else null.
+ * Returns { repoRoot, worktrees: [{ wt, size }], issues }.
+ */
+export async function diagnoseWorktrees({ sizes = true, staleLockDays = DEFAULT_STALE_LOCK_DAYS, concurrency = DEFAULT_CONCURRENCY, cwd = process.cwd(), report = noop } = {}) {
+  await checkGitRepo(cwd);
+  const repoRoot = await getRepoRoot(cwd);
+  const worktrees = await getWorktrees(repoRoot);
+  const linked = worktrees.filter(wt => wt.path !== repoRoot);
+  const adminDirs = await getWorktreeAdminDirs(repoRoot);
+  const issues = [];
+  const issue = (wt, fields) => issues.push({ path: wt.path, branch: wt.branch || null, hint: null, ...fields });
+  
+  // Worktree directories git doesn't know about: moved by hand, or orphaned
+  const known = new Set(worktrees.map(wt => wt.path));
+  const scan = await scanWorktreeBase(getWorktreeBase(repoRoot));
+  const movedFrom = new Map();
+  for (const dir of scan.worktrees.filter(dir => !known.has(dir))) {
+    const adminDir = await readGitFile(dir);
+    const original = [...adminDirs].find(([, admin]) => admin === adminDir)?.[0];
+    const wt = linked.find(w => w.path === original);
+    if (wt?.prunable) {
+      movedFrom.set(wt.path, dir);
+      issue({ path: dir, branch: wt.branch }, {
+        kind: 'moved',
+        severity: 'error',
+        from: wt.path,
+        message: `Moved from ${formatPath(wt.path, repoRoot)}; git still expects it there`,
+        fix: { action: 'repair', command: `git worktree repair ${dir}` },
+      });
+    } else if (!wt) {
+      issue({ path: dir }, {
+        kind: 'orphaned',
+        severity: 'warning',
+        message: 'Has a .git file but is not a worktree of this repository any more',
+        fix: null,
+        hint: 'Save any changes you need, then delete the directory',
+      });
+    }
+  }
+  for (const dir of scan.leftovers) {
+    issue({ path: dir }, {
+      kind: 'leftover',
+      severity: 'info',
+      message: 'Directory is not a worktree (left over from a removed worktree?)',
+      fix: null,
+      hint: `Delete it if it holds nothing you need; /worktree-add fails on existing directories`,
+    });
+  }
+  
+  const gone = await getGoneBranches(repoRoot);
+  const now = Date.now();
+  
+  for (const wt of linked) {
+    const adminDir = adminDirs.get(wt.path);
+    
+    if (wt.prunable && !movedFrom.has(wt.path)) {
+      issue(wt, {
+        kind: 'missing',
+        severity: 'warning',
+        message: `Directory is missing (${typeof wt.prunable === 'string' ? wt.prunable : 'prunable'})`,
+        fix: wt.locked ? null : { action: 'prune', command: 'git worktree prune' },
+        hint: wt.locked ? 'It is locked; unlock it first if the directory is gone for good' : null,
+      });
+    } else if (!wt.prunable) {
+      const gitFileTarget = await readGitFile(wt.path);
+      if (!gitFileTarget || gitFileTarget !== adminDir) {
+        issue(wt, {
+          kind: 'broken-link',
+          severity: 'error',
+          message: 'Its .git file does not point back to the repository (was the repository moved?)',
+          fix: { action: 'repair', command: `git worktree repair ${wt.path}` },
+        });
+      }
+    }
+    
+    if (wt.locked && adminDir) {
+      const reason = typeof wt.locked === 'string' ? wt.locked : '';
+      let lockedAt = null;
+      try {
+        lockedAt = statSync(`${adminDir}/locked`).mtimeMs;
+      } catch {
+        // Lock file vanished meanwhile
+      }
+      const days = lockedAt ? Math.floor((now - lockedAt) / 86400000) : 0;
+      // `git worktree add` locks with this reason while it runs
+      const crashed = reason === 'initializing';
+      if (crashed) {
+        issue(wt, {
+          kind: 'stale-lock',
+          severity: 'warning',
+          message: "Locked by a 'git worktree add' that never finished",
+          fix: { action: 'unlock', command: `git worktree unlock ${wt.path}` },
+        });
+      } else if (days >= staleLockDays) {
+        // Someone locked it on purpose: only they know whether it still matters
+        issue(wt, {
+          kind: 'stale-lock',
+          severity: 'info',
+          message: `Locked for ${days} days${reason ? ` (${reason})` : ''}`,
+          fix: null,
+          hint: `Unlock it with /worktree-unlock ${wt.branch || wt.path} (git worktree unlock ${wt.path}) if it is no longer needed`,
+        });
+      }
+    }
+    
+    if (wt.branch && gone.has(wt.branch)) {
+      issue(wt, {
+        kind: 'upstream-gone',
+        severity: 'info',
+        message: `The upstream of '${wt.branch}' was deleted on the remote`,
+        fix: null,
+        hint: `Run /worktree-prune to remove the worktree, or git branch --unset-upstream ${wt.branch} to keep it`,
+      });
+    }
+  }
+  
+  issues.push(...await checkGitignore(repoRoot));
+  
+  const measured = sizes ? linked.filter(wt => !wt.prunable) : [];
+  if (measured.length > 0) report('info', `Measuring disk usage of ${measured.length} worktree${measured.length !== 1 ? 's' : ''}...`);
+  const usage = await mapConcurrent(measured, concurrency, wt => measureWorktree(wt.path));
+  const sizeByPath = new Map(measured.map((wt, i) => [wt.path, usage[i]]));
+  
+  return {
+    repoRoot,
+    worktrees: worktrees.map(wt => ({ wt, size: sizeByPath.get(wt.path) || null })),
+    issues,
+  };
+}
+
+/**
+ * Apply the fixes of the issues that have one
+ *
+ * Repairs run first, so a worktree that was moved by hand is reconnected
+ * instead of being pruned. Returns { fixed: [issue], failed: [{ issue, error }] }.
+ */
+export async function applyDoctorFixes(repoRoot, issues, { report = noop } = {}) {
+  const fixed = [];
+  const failed = [];
+  const order = ['repair', 'unlock', 'prune', 'gitignore'];
+  const fixable = issues
+    .filter(i => i.fix)
+    .sort((a, b) => order.indexOf(a.fix.action) - order.indexOf(b.fix.action));
+  let pruned = false;
+  let gitignoreFixed = false;
+  
+  for (const item of fixable) {
+    try {
+      switch (item.fix.action) {
+        case 'repair':
+          report('info', `Repairing ${formatPath(item.path, repoRoot)}...`);
+          await $`git -C ${repoRoot} worktree repair ${item.path}`.quiet();
+          break;
+        case 'unlock':
+          report('info', `Unlocking ${formatPath(item.path, repoRoot)}...`);
+          await $`git -C ${repoRoot} worktree unlock ${item.path}`.quiet();
+          break;
+        case 'prune':
+          if (!pruned) {
+            report('info', 'Pruning missing worktrees...');
+            await $`git -C ${repoRoot} worktree prune`.quiet();
+            await unregisterWorktrees(repoRoot, issues.filter(i => i.kind === 'missing' && i.fix).map(i => i.path));
+            pruned = true;
+          }
+          break;
+        case 'gitignore':
+          if (!gitignoreFixed) {
+            await fixGitignore(repoRoot, report);
+            gitignoreFixed = true;
+          }
+          break;
+      }
+      fixed.push(item);
+    } catch (error) {
+      failed.push({ issue: item, error: error.stderr?.toString().trim() || error.message });
+    }
+  }
+  
+  // A repaired worktree keeps its registry entry at its new path
+  const moved = fixed.filter(i => i.kind === 'moved');
+  if (moved.length > 0) {
+    await updateRegistry(repoRoot, (registry) => {
+      for (const { from, path } of moved) {
+        const entry = registry.worktrees[registryKey(repoRoot, from)];
+        if (!entry) continue;
+        delete registry.worktrees[registryKey(repoRoot, from)];
+        registry.worktrees[registryKey(repoRoot, path)] = entry;
+      }
+    });
+  }
+  
+  return { fixed, failed };
+}
+
+/**
+ * Keep a single .opencode-wt/ line in .gitignore, adding it if needed
+ */
+async function fixGitignore(repoRoot, report = noop) {
+  const gitignorePath = `${repoRoot}/.gitignore`;
+  if (existsSync(gitignorePath)) {
+    const lines = (await readFile(gitignorePath, 'utf8')).split('\n');
+    const first = lines.findIndex(isWorktreeDirPattern);
+    const kept = lines.filter((line, i) => i === first || !isWorktreeDirPattern(line));
+    if (kept.length !== lines.length) {
+      await Bun.write(gitignorePath, kept.join('\n'));
+      report('success', `Removed ${lines.length - kept.length} duplicate ${WORKTREE_DIR} line(s) from .gitignore`);
+    }
+  }
+  await ensureGitignore(repoRoot, report);
+}
+
+/**
+ * Build the --json document for /worktree-doctor
+ */
+export function buildDoctorReport(repoRoot, worktrees, issues, result = null) {
+  const sized = worktrees.filter(({ size }) => size?.bytes != null);
+  return {
+    repoRoot,
+    worktrees: worktrees.map(({ wt, size }) => ({
+      ...serializeWorktree(wt, repoRoot),
+      size,
+    })),
+    issues,
+    fixed: result ? result.fixed : null,
+    failed: result ? result.failed.map(({ issue, error }) => ({ ...issue, error })) : null,
+    summary: {
+      totalBytes: sized.reduce((sum, { size }) => sum + size.bytes, 0),
+      errors: issues.filter(i => i.severity === 'error').length,
+      warnings: issues.filter(i => i.severity === 'warning').length,
+      fixable: issues.filter(i => i.fix).length,
+    },
+  };
+}
@@ -0,0 +1,231 @@
+#!/usr/bin/env node
+
+/**
+ * Git Worktree Doctor Script
+ * 
+ * Reports the disk usage of every worktree and checks for missing or moved
+ * worktree directories, stale locks, deleted upstream branches and problems
+ * with the .gitignore entry, optionally fixing what can be fixed safely
+ */
+
+import {
+  WORKTREE_DIR,
+  colors,
+  checkGitRepo,
+  formatPath,
+  parseOutputFormat,
+  log,
+  printJson,
+  printTable,
+  printHeader,
+  printSeparator,
+  cliReporter,
+  UsageError,
+  WorktreeError,
+  handleCliError,
+} from "./worktree-common.mjs";
+import {
+  DEFAULT_STALE_LOCK_DAYS,
+  diagnoseWorktrees,
+  applyDoctorFixes,
+  buildDoctorReport,
+} from "./worktree-doctor-lib.mjs";
+
+/**
+ * Print usage information
+ */
+function usage() {
+  console.log(`
+${colors.blue}Usage:${colors.reset} /worktree-doctor [options]
+
+${colors.blue}Checks the health and disk usage of all worktrees${colors.reset}
+
+${colors.blue}Checks:${colors.reset}
+  - disk usage of each worktree, and of node_modules, .venv, target, ... in it
+  - worktree directories that are missing, or were moved without git knowing
+  - worktrees whose .git file no longer points to the repository
+  - stale locks (from a crashed ${colors.cyan}git worktree add${colors.reset}, or older than --stale-lock days)
+  - branches whose upstream was deleted on the remote
+  - directories in ${WORKTREE_DIR}/ that are not worktrees
+  - ${WORKTREE_DIR}/ missing from, listed twice in or un-ignored by .gitignore
+
+${colors.blue}Options:${colors.reset}
+  --fix               Apply the fixes: git worktree repair, unlock (of crashed
+                      adds only), prune and a single ${WORKTREE_DIR}/ line in
+                      .gitignore
+  --no-size           Skip measuring disk usage (faster)
+  --stale-lock <days> Report locks older than this (default: ${DEFAULT_STALE_LOCK_DAYS})
+  --json              Output as JSON (same as --format=json)
+  --format <format>   Output format: text, table or json (default: text)
+  --help, -h          Show this help message
+
+${colors.blue}Examples:${colors.reset}
+  ${colors.cyan}/worktree-doctor${colors.reset}
+  ${colors.cyan}/worktree-doctor --fix${colors.reset}
+  ${colors.cyan}/worktree-doctor --no-size --json${colors.reset}
+`);
+  process.exit(0);
+}
+
+/**
+ * Format a byte count for humans
+ */
+function formatSize(bytes) {
+  if (bytes == null) return '?';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value >= 10 || unit === 0 ? Math.round(value) : value.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Describe the heavy directories of a worktree, biggest first
+ */
+function describeDirs(dirs) {
+  return [...dirs]
+    .sort((a, b) => (b.bytes || 0) - (a.bytes || 0))
+    .map(dir => dir.symlink ? `${dir.name} → shared` : `${dir.name} ${formatSize(dir.bytes)}`)
+    .join(', ');
+}
+
+/**
+ * Print disk usage per linked worktree, biggest first
+ */
+function printSizes(worktrees, repoRoot, format) {
+  const sized = worktrees
+    .filter(({ size }) => size)
+    .sort((a, b) => (b.size.bytes || 0) - (a.size.bytes || 0));
+  if (sized.length === 0) return;
+  
+  if (format === 'table') {
+    printTable(
+      [
+        { key: 'branch', label: 'BRANCH' },
+        { key: 'path', label: 'PATH' },
+        { key: 'size', label: 'SIZE' },
+        { key: 'dirs', label: 'LARGEST DIRECTORIES' },
+      ],
+      sized.map(({ wt, size }) => ({
+        branch: wt.branch || '(detached HEAD)',
+        path: formatPath(wt.path, repoRoot),
+        size: formatSize(size.bytes),
+        dirs: describeDirs(size.dirs),
+      }))
+    );
+  } else {
+    log(`${colors.blue}Disk usage:${colors.reset}`);
+    for (const { wt, size } of sized) {
+      const dirs = size.dirs.length > 0 ? ` ${colors.gray}(${describeDirs(size.dirs)})${colors.reset}` : '';
+      log(`  ${formatSize(size.bytes).padStart(7)}  ${colors.cyan}${wt.branch || '(detached HEAD)'}${colors.reset} ${colors.gray}${formatPath(wt.path, repoRoot)}${colors.reset}${dirs}`);
+    }
+  }
+  log('');
+}
+
+/**
+ * Print the issues found, with their fix or a hint
+ */
+function printIssues(issues, repoRoot) {
+  const markers = {
+    error: `${colors.red}✗`,
+    warning: `${colors.yellow}⚠`,
+    info: `${colors.gray}ℹ`,
+  };
+  
+  log(`${colors.blue}Issues:${colors.reset}`);
+  for (const item of issues) {
+    const where = item.path ? formatPath(item.path, repoRoot) : '.gitignore';
+    const branch = item.branch ? ` ${colors.cyan}${item.branch}${colors.reset}` : '';
+    log(`  ${markers[item.severity]}${colors.reset}${branch} ${colors.gray}${where}${colors.reset}`);
+    log(`    ${item.message}`);
+    if (item.fix) {
+      log(`    ${colors.green}fix:${colors.reset} ${item.fix.command}`);
+    } else if (item.hint) {
+      log(`    ${colors.gray}${item.hint}${colors.reset}`);
+    }
+  }
+  log('');
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const { format, args } = parseOutputFormat(process.argv.slice(2));
+  const json = format === 'json';
+  
+  // Parse arguments
+  let fix = false;
+  let sizes = true;
+  let staleLockDays = DEFAULT_STALE_LOCK_DAYS;
+  
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--fix') {
+      fix = true;
+    } else if (args[i] === '--no-size') {
+      sizes = false;
+    } else if (args[i] === '--stale-lock' && i + 1 < args.length) {
+      staleLockDays = Number(args[i + 1]);
+      if (!Number.isFinite(staleLockDays) || staleLockDays < 0) {
+        throw new UsageError('--stale-lock must be a number of days', 'worktree-doctor');
+      }
+      i++;
+    } else if (args[i] === '--help' || args[i] === '-h') {
+      usage();
+    } else {
+      throw new UsageError(`Unknown option '${args[i]}'`, 'worktree-doctor');
+    }
+  }
+  
+  await checkGitRepo();
+  
+  if (!json) {
+    printHeader('Git Worktree Doctor');
+  }
+  
+  const { repoRoot, worktrees, issues } = await diagnoseWorktrees({ sizes, staleLockDays, report: cliReporter });
+  const fixable = issues.filter(i => i.fix);
+  
+  if (!json) {
+    printSizes(worktrees, repoRoot, format);
+    if (issues.length === 0) {
+      log(`${colors.green}✅ No problems found${colors.reset}\n`);
+    } else {
+      printIssues(issues, repoRoot);
+    }
+  }
+  
+  let result = null;
+  if (fix && fixable.length > 0) {
+    result = await applyDoctorFixes(repoRoot, issues, { report: cliReporter });
+  }
+  
+  if (json) {
+    printJson(buildDoctorReport(repoRoot, worktrees, issues, result));
+  } else {
+    const report = buildDoctorReport(repoRoot, worktrees, issues, result);
+    if (result) {
+      for (const { issue, error } of result.failed) {
+        console.error(`${colors.red}✗ Could not fix ${issue.kind} (${issue.fix.command}): ${error}${colors.reset}`);
+      }
+      log('');
+    }
+    printSeparator();
+    const total = sizes ? `${formatSize(report.summary.totalBytes)} in linked worktrees, ` : '';
+    log(`${colors.gray}Summary: ${total}${report.summary.errors} error${report.summary.errors !== 1 ? 's' : ''}, ${report.summary.warnings} warning${report.summary.warnings !== 1 ? 's' : ''}${result ? `, ${result.fixed.length} fixed` : ''}${colors.reset}`);
+    if (!fix && fixable.length > 0) {
+      log(`Run ${colors.cyan}/worktree-doctor --fix${colors.reset} to apply ${fixable.length} fix${fixable.length !== 1 ? 'es' : ''}`);
+    }
+    log('');
+  }
+  
+  if (result?.failed.length > 0) {
+    throw new WorktreeError(`Could not apply ${result.failed.length} fix${result.failed.length !== 1 ? 'es' : ''}`);
+  }
+}
+
+main().catch(handleCliError);
@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+
+/**
+ * Git Worktree Errors
+ * 
+ * Typed errors thrown by the worktree library. Each carries the exit code
+ * the CLI scripts use for it, plus optional `hint` (what to run next),
+ * `details` (extra context) and `stderr` (output of a failed git command).
+ */
+
+export const EXIT_CODES = {
+  error: 1,
+  usage: 2,
+  notAGitRepo: 3,
+  notFound: 4,
+  exists: 5,
+  dirty: 6,
+  mainWorktree: 7,
+  invalidBranch: 8,
+  config: 9,
+  setup: 10,
+  github: 11,
+  locked: 12,
+};
+
+/**
+ * Base class for all worktree errors
+ */
+export class WorktreeError extends Error {
+  constructor(message, { hint, details, stderr, exitCode = EXIT_CODES.error } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.exitCode = exitCode;
+    if (hint) this.hint = hint;
+    if (details) this.details = details;
+    if (stderr) this.stderr = stderr.toString();
+  }
+}
+
+/**
+ * Bad command-line arguments
+ */
+export class UsageError extends WorktreeError {
+  constructor(message, command) {
+    super(message, {
+      hint: command ? `Run /${command} --help for usage information` : undefined,
+      exitCode: EXIT_CODES.usage,
+    });
+  }
+}
+
+/**
+ * The working directory is not inside a git repository
+ */
+export class NotAGitRepoError extends WorktreeError {
+  constructor(cwd) {
+    super('Not in a git repository', { exitCode: EXIT_CODES.notAGitRepo });
+    this.cwd = cwd;
+  }
+}
+
+/**
+ * A branch name rejected by `git check-ref-format`
+ */
+export class InvalidBranchNameError extends WorktreeError {
+  constructor(branch) {
+    super(`Invalid branch name '${branch}'`, { exitCode: EXIT_CODES.invalidBranch });
+    this.branch = branch;
+  }
+}
+
+/**
+ * No worktree is checked out on the requested branch
+ */
+export class WorktreeNotFoundError extends WorktreeError {
+  constructor(branch) {
+    super(`No worktree found for '${branch}'`, {
+      hint: `Run /worktree-list to see available worktrees\nOr run /worktree-add ${branch} to create a new worktree`,
+      exitCode: EXIT_CODES.notFound,
+    });
+    this.branch = branch;
+  }
+}
+
+/**
+ * A worktree lookup (by alias) matched more than one worktree
+ */
+export class AmbiguousWorktreeError extends WorktreeError {
+  constructor(query, matches) {
+    super(`'${query}' matches more than one worktree`, {
+      details: `Matches:\n${matches.map(m => `  ${m}`).join('\n')}`,
+      hint: 'Use the full branch name or the worktree path',
+      exitCode: EXIT_CODES.notFound,
+    });
+    this.query = query;
+  }
+}
+
+/**
+ * A remote-tracking branch that an operation needs does not exist
+ */
+export class RemoteBranchNotFoundError extends WorktreeError {
+  constructor(ref) {
+    super(`Remote branch '${ref}' not found`, {
+      hint: 'Run git branch -r to see the fetched remote branches',
+      exitCode: EXIT_CODES.notFound,
+    });
+    this.ref = ref;
+  }
+}
+
+/**
+ * The target directory for a new worktree is already taken
+ */
+export class WorktreeExistsError extends WorktreeError {
+  constructor(path) {
+    super(`Path already exists: ${path}`, {
+      hint: 'Remove the directory or run /worktree-list to see registered worktrees',
+      exitCode: EXIT_CODES.exists,
+    });
+    this.path = path;
+  }
+}
+
+/**
+ * The worktree has uncommitted changes
+ */
+export class DirtyWorktreeError extends WorktreeError {
+  constructor(path, status) {
+    super('Worktree has uncommitted changes', {
+      details: `Uncommitted changes:\n${status.trimEnd()}`,
+      hint: 'Use --force to remove anyway',
+      exitCode: EXIT_CODES.dirty,
+    });
+    this.path = path;
+  }
+}
+
+/**
+ * The worktree is locked (git worktree lock) and the operation wasn't forced
+ */
+export class WorktreeLockedError extends WorktreeError {
+  constructor(path, reason = null) {
+    super(`Worktree is locked${reason ? `: ${reason}` : ''}`, {
+      hint: 'Unlock it with /worktree-unlock, or use --force',
+      exitCode: EXIT_CODES.locked,
+    });
+    this.path = path;
+  }
+}
+
+/**
+ * An operation that only applies to linked worktrees targeted the main one
+ */
+export class MainWorktreeError extends WorktreeError {
+  constructor(repoRoot, worktreeDir, action = 'remove') {
+    super(`Cannot ${action} the main worktree`, {
+      hint: `The main worktree is at ${repoRoot}\nYou can only ${action} linked worktrees in ${worktreeDir}/`,
+      exitCode: EXIT_CODES.mainWorktree,
+    });
+  }
+}
+
+/**
+ * The repo's .opencode-wt.json could not be used
+ */
+export class ConfigError extends WorktreeError {
+  constructor(configPath, reason) {
+    super(`Invalid config ${configPath}: ${reason}`, { exitCode: EXIT_CODES.config });
+    this.configPath = configPath;
+  }
+}
+
+/**
+ * Copying files or a post-create hook failed while setting up a worktree
+ */
+export class SetupError extends WorktreeError {
+  constructor(message, output) {
+    super(message, {
+      details: output ? output.trimEnd() : undefined,
+      hint: 'The new worktree was removed. Fix the problem or rerun with --no-setup',
+      exitCode: EXIT_CODES.setup,
+    });
+  }
+}
+
+/**
+ * Looking something up with the GitHub CLI (gh) failed
+ */
+export class GitHubError extends WorktreeError {
+  constructor(message, { hint, stderr } = {}) {
+    super(message, { hint, stderr, exitCode: EXIT_CODES.github });
+  }
+}
+
+/**
+ * A git command failed
+ */
+export class GitCommandError extends WorktreeError {
+  constructor(message, cause) {
+    super(message, { stderr: cause?.stderr });
+  }
+}
@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+
+/**
+ * Git Worktree Exec
+ * 
+ * Runs a shell command in several worktrees at once for /worktree-exec:
+ * picks the worktrees by branch, dirty and behind filters, streams each
+ * command's output line by line and builds the pass/fail report.
+ */
+
+import {
+  DEFAULT_CONCURRENCY,
+  noop,
+  mapConcurrent,
+  collectWorktreeStatus,
+  serializeWorktree,
+} from "./worktree-common.mjs";
+
+/**
+ * Number of worktrees a command runs in at the same time by default
+ */
+export const DEFAULT_EXEC_CONCURRENCY = 4;
+
+// Only the end of each command's output is kept for the result
+const EXEC_OUTPUT_TAIL = 64 * 1024;
+
+/**
+ * Pick the worktrees to run a command in
+ *
+ * Missing (prunable) and bare worktrees are always left out. `branches` are
+ * glob patterns (e.g. feature/*) matched against the branch name, `dirty`
+ * keeps worktrees with uncommitted changes, `behind` those behind their
+ * upstream, and `main: false` drops the main worktree. A worktree has to
+ * pass every filter that is set. Locked worktrees that pass are set apart
+ * in `locked` unless `includeLocked` is set.
+ *
+ * Returns { worktrees, locked }.
+ */
+export async function selectWorktrees(worktrees, repoRoot, { branches = [], dirty = false, behind = false, main = true, includeLocked = false, concurrency = DEFAULT_CONCURRENCY } = {}) {
+  const globs = branches.map(pattern => new Bun.Glob(pattern));
+  let selected = worktrees.filter(wt =>
+    !wt.prunable && !wt.bare &&
+    (main || wt.path !== repoRoot) &&
+    (globs.length === 0 || (wt.branch && globs.some(glob => glob.match(wt.branch))))
+  );
+  
+  if (dirty || behind) {
+    const records = await collectWorktreeStatus(selected, { concurrency });
+    selected = records
+      .filter(({ status, remote }) =>
+        (!dirty || (!status.error && !status.clean)) &&
+        (!behind || (remote && !remote.noUpstream && remote.behind > 0))
+      )
+      .map(({ wt }) => wt);
+  }
+  
+  return {
+    worktrees: selected.filter(wt => includeLocked || !wt.locked),
+    locked: selected.filter(wt => !includeLocked && wt.locked),
+  };
+}
+
+/**
+ * Run a shell command in one worktree, passing each output line to onLine
+ */
+async function execInWorktree(wt, command, { repoRoot, onLine }) {
+  const started = Date.now();
+  let proc;
+  try {
+    proc = Bun.spawn(['sh', '-c', command], {
+      cwd: wt.path,
+      env: {
+        ...process.env,
+        OPENCODE_WT_MAIN: repoRoot,
+        OPENCODE_WT_PATH: wt.path,
+        OPENCODE_WT_BRANCH: wt.branch || '',
+      },
+      stdin: 'ignore',
+      stdout: 'pipe',
+      stderr: 'pipe',
+    });
+  } catch (error) {
+    return { wt, exitCode: null, error: error.message, durationMs: 0, output: '' };
+  }
+  
+  let output = '';
+  const pump = async (stream, name) => {
+    const decoder = new TextDecoder();
+    let pending = '';
+    for await (const chunk of stream) {
+      const text = decoder.decode(chunk, { stream: true });
+      output = (output + text).slice(-EXEC_OUTPUT_TAIL);
+      const lines = (pending + text).split('\n');
+      pending = lines.pop();
+      for (const line of lines) onLine(line, name);
+    }
+    if (pending) onLine(pending, name);
+  };
+  
+  const [exitCode] = await Promise.all([proc.exited, pump(proc.stdout, 'stdout'), pump(proc.stderr, 'stderr')]);
+  return { wt, exitCode, error: null, durationMs: Date.now() - started, output };
+}
+
+/**
+ * Run a shell command in each worktree, at most `concurrency` at a time
+ *
+ * The command runs with `sh -c` in the worktree directory, with
+ * OPENCODE_WT_MAIN, OPENCODE_WT_PATH and OPENCODE_WT_BRANCH set like for
+ * post-create hooks. onLine(wt, line, stream) receives the output as it
+ * arrives; onResult(result) is called in worktree order as results are ready.
+ *
+ * Returns [{ wt, exitCode, error, durationMs, output }] in worktree order.
+ */
+export async function execInWorktrees(worktrees, command, { repoRoot, concurrency = DEFAULT_EXEC_CONCURRENCY, onLine = noop, onResult = noop } = {}) {
+  return mapConcurrent(
+    worktrees,
+    concurrency,
+    wt => execInWorktree(wt, command, { repoRoot, onLine: (line, stream) => onLine(wt, line, stream) }),
+    onResult
+  );
+}
+
+/**
+ * Build the --json document for /worktree-exec
+ */
+export function buildExecReport(repoRoot, command, results) {
+  const passed = results.filter(r => r.exitCode === 0).length;
+  return {
+    repoRoot,
+    command,
+    worktrees: results.map(({ wt, exitCode, error, durationMs, output }) => ({
+      ...serializeWorktree(wt, repoRoot),
+      exitCode,
+      error,
+      durationMs,
+      output,
+    })),
+    summary: {
+      total: results.length,
+      passed,
+      failed: results.length - passed,
+    },
+  };
+}
@@ -0,0 +1,241 @@
+#!/usr/bin/env node
+
+/**
+ * Git Worktree Exec Script
+ * 
+ * Runs a shell command in every worktree, or in the ones matching a filter,
+ * and ends with a pass/fail matrix
+ */
+
+import {
+  colors,
+  checkGitRepo,
+  getRepoRoot,
+  getWorktrees,
+  formatPath,
+  parseOutputFormat,
+  log,
+  printJson,
+  printTable,
+  printHeader,
+  printSeparator,
+  UsageError,
+  WorktreeError,
+  handleCliError,
+} from "./worktree-common.mjs";
+import {
+  DEFAULT_EXEC_CONCURRENCY,
+  selectWorktrees,
+  execInWorktrees,
+  buildExecReport,
+} from "./worktree-exec-lib.mjs";
+
+// Options that take a value, so the command can be told apart from them
+const VALUE_OPTIONS = ['--branch', '-b', '--parallel', '-j', '--format'];
+
+// Prefix colors, cycled per worktree
+const PREFIX_COLORS = [colors.cyan, colors.yellow, colors.green, colors.blue];
+
+/**
+ * Print usage information
+ */
+function usage() {
+  console.log(`
+${colors.blue}Usage:${colors.reset} /worktree-exec [options] [--] <command...>
+
+${colors.blue}Runs a command in every worktree${colors.reset}
+
+${colors.blue}Filters:${colors.reset}
+  --branch, -b <glob> Only worktrees whose branch matches (e.g. 'feature/*'); repeatable
+  --dirty             Only worktrees with uncommitted changes
+  --behind            Only worktrees behind their upstream
+  --no-main           Leave out the main worktree
+  --include-locked    Also run in locked worktrees (skipped by default)
+
+${colors.blue}Options:${colors.reset}
+  --parallel, -j <n>  Run in at most n worktrees at once (default: ${DEFAULT_EXEC_CONCURRENCY})
+  --group             Print each worktree's output as one block instead of
+                      streaming prefixed lines
+  --json              Print the results (exit code, output, duration) as JSON
+  --format <format>   Output format: text, table or json (default: text)
+  --help, -h          Show this help message
+
+Options end at the first argument that isn't one, or at ${colors.cyan}--${colors.reset}. A command
+given as one quoted argument is passed to the shell as-is, so it may use
+${colors.cyan}&&${colors.reset}, pipes and variables (OPENCODE_WT_MAIN, OPENCODE_WT_PATH and
+OPENCODE_WT_BRANCH are set). Exits with 1 if the command failed anywhere.
+
+${colors.blue}Examples:${colors.reset}
+  ${colors.cyan}/worktree-exec yarn test${colors.reset}
+  ${colors.cyan}/worktree-exec --dirty ruff check${colors.reset}
+  ${colors.cyan}/worktree-exec -b 'feature/*' -j 2 -- git log -1 --oneline${colors.reset}
+  ${colors.cyan}/worktree-exec --behind --no-main 'git pull --ff-only && yarn install'${colors.reset}
+`);
+  process.exit(0);
+}
+
+/**
+ * Quote an argument for sh unless it is plainly safe
+ */
+function shellQuote(arg) {
+  return /^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Split the arguments into options and the command
+ */
+function splitArgs(argv) {
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--') {
+      return { options: argv.slice(0, i), command: argv.slice(i + 1) };
+    }
+    if (VALUE_OPTIONS.includes(argv[i])) {
+      i++;
+    } else if (!argv[i].startsWith('-')) {
+      return { options: argv.slice(0, i), command: argv.slice(i) };
+    }
+  }
+  return { options: argv, command: [] };
+}
+
+/**
+ * Format a duration in milliseconds
+ */
+function formatDuration(ms) {
+  return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+/**
+ * Print the pass/fail matrix
+ */
+function printMatrix(results, repoRoot) {
+  printTable(
+    [
+      { key: 'branch', label: 'BRANCH' },
+      { key: 'path', label: 'PATH' },
+      { key: 'result', label: 'RESULT' },
+      { key: 'time', label: 'TIME' },
+    ],
+    results.map(({ wt, exitCode, error, durationMs }) => ({
+      branch: wt.branch || '(detached HEAD)',
+      path: formatPath(wt.path, repoRoot),
+      result: exitCode === 0
+        ? `${colors.green}✓ pass${colors.reset}`
+        : `${colors.red}✗ ${error ? 'could not start' : `exit ${exitCode}`}${colors.reset}`,
+      time: formatDuration(durationMs),
+    }))
+  );
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const { options, command: commandArgs } = splitArgs(process.argv.slice(2));
+  const { format, args } = parseOutputFormat(options);
+  const json = format === 'json';
+  
+  // Parse arguments
+  const branches = [];
+  let dirty = false;
+  let behind = false;
+  let main = true;
+  let concurrency = DEFAULT_EXEC_CONCURRENCY;
+  let group = false;
+  let includeLocked = false;
+  
+  for (let i = 0; i < args.length; i++) {
+    if ((args[i] === '--branch' || args[i] === '-b') && i + 1 < args.length) {
+      branches.push(args[i + 1]);
+      i++;
+    } else if (args[i] === '--dirty') {
+      dirty = true;
+    } else if (args[i] === '--behind') {
+      behind = true;
+    } else if (args[i] === '--no-main') {
+      main = false;
+    } else if ((args[i] === '--parallel' || args[i] === '-j') && i + 1 < args.length) {
+      concurrency = Number(args[i + 1]);
+      if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new UsageError(`${args[i]} needs a positive number`, 'worktree-exec');
+      }
+      i++;
+    } else if (args[i] === '--group') {
+      group = true;
+    } else if (args[i] === '--include-locked') {
+      includeLocked = true;
+    } else if (args[i] === '--help' || args[i] === '-h') {
+      usage();
+    } else {
+      throw new UsageError(`Unknown option '${args[i]}'`, 'worktree-exec');
+    }
+  }
+  
+  if (commandArgs.length === 0) {
+    throw new UsageError('No command given', 'worktree-exec');
+  }
+  const command = commandArgs.length === 1 ? commandArgs[0] : commandArgs.map(shellQuote).join(' ');
+  
+  await checkGitRepo();
+  const repoRoot = await getRepoRoot();
+  const { worktrees, locked } = await selectWorktrees(await getWorktrees(repoRoot), repoRoot, { branches, dirty, behind, main, includeLocked });
+  
+  if (!json) {
+    printHeader('Git Worktree Exec');
+  }
+  
+  if (locked.length > 0) {
+    log(`${colors.yellow}⚠ Skipping ${locked.length} locked worktree${locked.length !== 1 ? 's' : ''} (${locked.map(wt => wt.branch || formatPath(wt.path, repoRoot)).join(', ')}); use --include-locked to run there too${colors.reset}\n`);
+  }
+  
+  if (worktrees.length === 0) {
+    if (json) {
+      printJson(buildExecReport(repoRoot, command, []));
+    } else {
+      log(`${colors.yellow}No worktrees match the filters${colors.reset}\n`);
+    }
+    return;
+  }
+  
+  log(`${colors.gray}Running ${colors.reset}${command}${colors.gray} in ${worktrees.length} worktree${worktrees.length !== 1 ? 's' : ''}${colors.reset}\n`);
+  
+  const labels = new Map(worktrees.map(wt => [wt.path, wt.branch || formatPath(wt.path, repoRoot)]));
+  const width = Math.max(...[...labels.values()].map(label => label.length));
+  const prefix = (wt, index) => `${PREFIX_COLORS[index % PREFIX_COLORS.length]}${labels.get(wt.path).padEnd(width)} │${colors.reset}`;
+  const indexOf = new Map(worktrees.map((wt, i) => [wt.path, i]));
+  
+  const results = await execInWorktrees(worktrees, command, {
+    repoRoot,
+    concurrency,
+    onLine: (wt, line) => {
+      if (!group) log(`${prefix(wt, indexOf.get(wt.path))} ${line}`);
+    },
+    onResult: ({ wt, exitCode, error, output }) => {
+      if (!group) return;
+      const mark = exitCode === 0 ? `${colors.green}✓` : `${colors.red}✗`;
+      log(`${mark} ${labels.get(wt.path)}${colors.reset} ${colors.gray}${formatPath(wt.path, repoRoot)}${colors.reset}`);
+      const text = error || output.trimEnd();
+      if (text) log(text);
+      log('');
+    },
+  });
+  
+  const report = buildExecReport(repoRoot, command, results);
+  
+  if (json) {
+    printJson(report);
+  } else {
+    if (!group) log('');
+    printSeparator();
+    printMatrix(results, repoRoot);
+    log('');
+    const { passed, failed } = report.summary;
+    log(`${colors.gray}Summary: ${passed} passed, ${failed} failed${colors.reset}\n`);
+  }
+  
+  if (report.summary.failed > 0) {
+    throw new WorktreeError(`Command failed in ${report.summary.failed} of ${results.length} worktrees`);
+  }
+}
+
+main().catch(handleCliError);
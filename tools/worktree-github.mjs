@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+
+/**
+ * Git Worktree GitHub Helpers
+ * 
+ * Looks up pull requests and issues with the GitHub CLI (gh), for
+ * /worktree-add --pr and --issue.
+ */
+
+import { $ } from "bun";
+import { GitHubError } from "./worktree-errors.mjs";
+
+const PR_FIELDS = [
+  "number",
+  "title",
+  "url",
+  "state",
+  "headRefName",
+  "headRepository",
+  "headRepositoryOwner",
+  "isCrossRepository",
+  "maintainerCanModify",
+].join(",");
+
+const ISSUE_FIELDS = "number,title,url,state";
+
+/**
+ * Run a gh command in `cwd` and parse its JSON output
+ */
+async function ghJson(args, cwd, what) {
+  const result = await $`gh ${args}`.cwd(cwd).nothrow().quiet();
+  const stderr = result.stderr.toString().trim();
+  
+  if (result.exitCode === 0) {
+    return JSON.parse(result.stdout.toString());
+  }
+  if (/command not found/.test(stderr)) {
+    throw new GitHubError('The GitHub CLI (gh) is not installed', {
+      hint: 'Install it from https://cli.github.com and run: gh auth login',
+    });
+  }
+  if (/gh auth login|not logged in|authentication/i.test(stderr)) {
+    throw new GitHubError('The GitHub CLI (gh) is not logged in', { hint: 'Run: gh auth login' });
+  }
+  if (/could not resolve to/i.test(stderr)) {
+    throw new GitHubError(`${what} not found`, { stderr });
+  }
+  throw new GitHubError(`Could not look up ${what}`, { stderr });
+}
+
+/**
+ * Fetch a pull request's head branch and fork details
+ */
+export async function getPullRequest(number, cwd = process.cwd()) {
+  return ghJson(['pr', 'view', String(number), '--json', PR_FIELDS], cwd, `Pull request #${number}`);
+}
+
+/**
+ * Fetch an issue's number, title and URL
+ */
+export async function getIssue(number, cwd = process.cwd()) {
+  return ghJson(['issue', 'view', String(number), '--json', ISSUE_FIELDS], cwd, `Issue #${number}`);
+}
+
+/**
+ * Turn a title into a short branch-name-safe slug
+ *
+ * "Fix: login redirect loops (Safari)" -> "fix-login-redirect-loops-safari"
+ */
+export function slugify(text, maxLength = 40) {
+  const slug = text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  
+  if (slug.length <= maxLength) return slug;
+  
+  // Cut at a word boundary when there is one reasonably close
+  const cut = slug.slice(0, maxLength + 1);
+  const boundary = cut.lastIndexOf('-');
+  return (boundary > maxLength / 2 ? cut.slice(0, boundary) : slug.slice(0, maxLength)).replace(/-+$/, '');
+}
@@ -12,8 +12,15 @@ import {
   checkGitRepo,
   getRepoRoot,
   getWorktrees,
+  getWorktreeMetadata,
+  printMetadata,
   formatPath,
+  parseOutputFormat,
+  buildListReport,
+  printJson,
+  printTable,
   printHeader,
+  handleCliError,
 } from "./worktree-common.mjs";
 
 /**
@@ -26,10 +33,14 @@ ${colors.blue}Usage:${colors.reset} /worktree-list [options]
 ${colors.blue}Lists all git worktrees with their status${colors.reset}
 
 ${colors.blue}Options:${colors.reset}
+  --json              Output as JSON (same as --format=json)
+  --format <format>   Output format: text, table or json (default: text)
   --help, -h          Show this help message
 
-${colors.blue}Example:${colors.reset}
+${colors.blue}Examples:${colors.reset}
   ${colors.cyan}/worktree-list${colors.reset}
+  ${colors.cyan}/worktree-list --format table${colors.reset}
+  ${colors.cyan}/worktree-list --json${colors.reset}
 `);
   process.exit(0);
 }
@@ -38,7 +49,7 @@ ${colors.blue}Example:${colors.reset}
  * Main function
  */
 async function main() {
-  const args = process.argv.slice(2);
+  const { format, args } = parseOutputFormat(process.argv.slice(2));
   
   // Check for help flag
   if (args.includes('--help') || args.includes('-h')) {
@@ -49,13 +60,6 @@ async function main() {
   const repoRoot = await getRepoRoot();
   const worktrees = await getWorktrees();
   
-  printHeader('Git Worktrees');
-  
-  if (worktrees.length === 0) {
-    console.log(`${colors.gray}No worktrees found${colors.reset}\n`);
-    return;
-  }
-  
   // Get current worktree path
   let currentPath = null;
   try {
@@ -65,6 +69,51 @@ async function main() {
     // Ignore
   }
   
+  const linkedCount = worktrees.filter(wt => wt.path !== repoRoot).length;
+  const metadata = await getWorktreeMetadata(repoRoot);
+  
+  if (format === 'json') {
+    printJson(buildListReport(repoRoot, worktrees, currentPath, metadata));
+    return;
+  }
+  
+  printHeader('Git Worktrees');
+  
+  if (worktrees.length === 0) {
+    console.log(`${colors.gray}No worktrees found${colors.reset}\n`);
+    return;
+  }
+  
+  if (format === 'table') {
+    printTable(
+      [
+        { key: 'branch', label: 'BRANCH' },
+        { key: 'path', label: 'PATH' },
+        { key: 'commit', label: 'COMMIT' },
+        { key: 'aliases', label: 'ALIASES' },
+        { key: 'flags', label: 'FLAGS' },
+        { key: 'note', label: 'NOTE' },
+      ],
+      worktrees.map(wt => {
+        const flags = [];
+        if (wt.path === currentPath) flags.push('current');
+        if (wt.path === repoRoot) flags.push('main');
+        if (wt.locked) flags.push('locked');
+        if (wt.prunable) flags.push('prunable');
+        return {
+          branch: wt.branch || '(detached HEAD)',
+          path: formatPath(wt.path, repoRoot),
+          commit: wt.commit ? wt.commit.substring(0, 7) : '',
+          aliases: (metadata.get(wt.path)?.aliases || []).join(','),
+          flags: flags.join(','),
+          note: metadata.get(wt.path)?.note || '',
+        };
+      })
+    );
+    console.log(`\n${colors.gray}Total: ${worktrees.length} worktree${worktrees.length !== 1 ? 's' : ''} (${linkedCount} linked)${colors.reset}\n`);
+    return;
+  }
+  
   for (const wt of worktrees) {
     const isMain = wt.path === repoRoot;
     const isCurrent = wt.path === currentPath;
@@ -74,7 +123,7 @@ async function main() {
     const indicators = [];
     if (isCurrent) indicators.push(`${colors.green}current${colors.reset}`);
     if (isMain) indicators.push(`${colors.blue}main worktree${colors.reset}`);
-    if (wt.locked) indicators.push(`${colors.yellow}locked${colors.reset}`);
+    if (wt.locked) indicators.push(`${colors.yellow}locked${typeof wt.locked === 'string' ? `: ${wt.locked}` : ''}${colors.reset}`);
     if (wt.prunable) indicators.push(`${colors.red}prunable${colors.reset}`);
     if (wt.detached) indicators.push(`${colors.gray}detached HEAD${colors.reset}`);
     
@@ -91,17 +140,13 @@ async function main() {
       console.log(`  ${colors.blue}Branch:${colors.reset} ${wt.branch}`);
     }
     console.log(`  ${colors.blue}Commit:${colors.reset} ${wt.commit.substring(0, 7)}`);
+    printMetadata(metadata.get(wt.path));
     
     console.log('');
   }
   
   // Summary
-  const linkedCount = worktrees.filter(wt => wt.path !== repoRoot).length;
   console.log(`${colors.gray}Total: ${worktrees.length} worktree${worktrees.length !== 1 ? 's' : ''} (${linkedCount} linked)${colors.reset}\n`);
 }
 
-main().catch((error) => {
-  console.error(`${colors.red}❌ Error: ${error.message || error}${colors.reset}`);
-  if (error.stderr) console.error(error.stderr);
-  process.exit(1);
-});
+main().catch(handleCliError);
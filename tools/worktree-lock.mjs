@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+
+/**
+ * Git Worktree Lock Script
+ * 
+ * Locks a worktree so that prune, remove, move and bulk updates leave it
+ * alone, e.g. while it lives on a drive that isn't always mounted
+ */
+
+import {
+  colors,
+  checkGitRepo,
+  lockWorktree,
+  formatPath,
+  getRepoRoot,
+  parseOutputFormat,
+  log,
+  printJson,
+  printHeader,
+  cliReporter,
+  UsageError,
+  handleCliError,
+} from "./worktree-common.mjs";
+
+/**
+ * Print usage information
+ */
+function usage() {
+  console.log(`
+${colors.blue}Usage:${colors.reset} /worktree-lock <branch|path|alias> [reason...] [options]
+
+${colors.blue}Locks a worktree${colors.reset}
+
+Locked worktrees are never pruned, and are skipped by /worktree-remove,
+/worktree-move, /worktree-sync and /worktree-exec unless forced.
+
+${colors.blue}Arguments:${colors.reset}
+  <branch|path|alias> Worktree to lock
+  [reason...]         Why it is locked (shown by /worktree-list)
+
+${colors.blue}Options:${colors.reset}
+  --json              Print the result as JSON (progress goes to stderr)
+  --help, -h          Show this help message
+
+${colors.blue}Examples:${colors.reset}
+  ${colors.cyan}/worktree-lock feature-auth${colors.reset}
+  ${colors.cyan}/worktree-lock release-2.0 keep until the release is out${colors.reset}
+`);
+  process.exit(0);
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const { format, args } = parseOutputFormat(process.argv.slice(2));
+  const json = format === 'json';
+  
+  // Parse arguments
+  let query = null;
+  const words = [];
+  
+  for (const arg of args) {
+    if (arg === '--help' || arg === '-h') {
+      usage();
+    } else if (arg.startsWith('-')) {
+      throw new UsageError(`Unknown option '${arg}'`, 'worktree-lock');
+    } else if (!query) {
+      query = arg;
+    } else {
+      words.push(arg);
+    }
+  }
+  
+  if (!query) {
+    throw new UsageError('Which worktree? Pass a branch, path or alias', 'worktree-lock');
+  }
+  
+  await checkGitRepo();
+  const repoRoot = await getRepoRoot();
+  
+  if (!json) {
+    printHeader('Git Worktree Lock');
+  }
+  
+  const result = await lockWorktree({ query, reason: words.join(' ') || null, report: cliReporter });
+  log(`\n  ${colors.blue}Path:${colors.reset}   ${colors.cyan}${formatPath(result.path, repoRoot)}${colors.reset}`);
+  if (result.reason) {
+    log(`  ${colors.blue}Reason:${colors.reset} ${result.reason}`);
+  }
+  log('');
+  
+  if (json) {
+    printJson(result);
+  }
+}
+
+main().catch(handleCliError);
@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+
+/**
+ * Git Worktree Migrate Script
+ * 
+ * Moves worktrees of branches with slashes out of nested directories
+ * (.opencode-wt/feature/auth) to their flat path (.opencode-wt/feature+auth)
+ * and records every worktree in the registry.
+ */
+
+import {
+  WORKTREE_DIR,
+  colors,
+  checkGitRepo,
+  getRepoRoot,
+  migrateWorktrees,
+  formatPath,
+  parseOutputFormat,
+  log,
+  printJson,
+  printHeader,
+  printSeparator,
+  cliReporter,
+  UsageError,
+  handleCliError,
+} from "./worktree-common.mjs";
+
+/**
+ * Print usage information
+ */
+function usage() {
+  console.log(`
+${colors.blue}Usage:${colors.reset} /worktree-migrate [options]
+
+${colors.blue}Moves nested worktrees to their flat ${WORKTREE_DIR}/ path${colors.reset}
+
+Worktrees are stored in ${WORKTREE_DIR}/<branch> with '/' in the branch name
+written as '+', so ${colors.cyan}feature/auth${colors.reset} and ${colors.cyan}feature/auth/login${colors.reset} no longer nest
+inside each other. Worktrees created before that are moved with
+${colors.cyan}git worktree move${colors.reset}, and every worktree is recorded in the registry that
+holds their aliases. Detached and locked worktrees are left where they are.
+
+${colors.blue}Options:${colors.reset}
+  --dry-run           Only show what would be moved
+  --json              Output as JSON (same as --format=json)
+  --help, -h          Show this help message
+
+${colors.blue}Examples:${colors.reset}
+  ${colors.cyan}/worktree-migrate --dry-run${colors.reset}
+  ${colors.cyan}/worktree-migrate${colors.reset}
+`);
+  process.exit(0);
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const { format, args } = parseOutputFormat(process.argv.slice(2));
+  const json = format === 'json';
+  
+  // Parse arguments
+  let dryRun = false;
+  
+  for (const arg of args) {
+    if (arg === '--dry-run') {
+      dryRun = true;
+    } else if (arg === '--help' || arg === '-h') {
+      usage();
+    } else {
+      throw new UsageError(`Unknown option '${arg}'`, 'worktree-migrate');
+    }
+  }
+  
+  await checkGitRepo();
+  const repoRoot = await getRepoRoot();
+  
+  if (!json) {
+    printHeader('Git Worktree Migrate');
+  }
+  
+  const result = await migrateWorktrees({ dryRun, report: cliReporter });
+  
+  if (json) {
+    printJson({ repoRoot, dryRun, ...result });
+    return;
+  }
+  
+  if (result.moved.length === 0 && result.skipped.length === 0) {
+    log(`${colors.green}No nested worktrees to move${colors.reset}`);
+  }
+  
+  if (result.moved.length > 0) {
+    log(`${dryRun ? 'Would move' : 'Moved'}:`);
+    for (const { branch, from, to } of result.moved) {
+      log(`  ${colors.green}→${colors.reset} ${colors.cyan}${branch}${colors.reset} ${colors.gray}${formatPath(from, repoRoot)} → ${formatPath(to, repoRoot)}${colors.reset}`);
+    }
+    log('');
+  }
+  
+  if (result.skipped.length > 0) {
+    log('Skipped:');
+    for (const { branch, path, reason } of result.skipped) {
+      log(`  ${colors.gray}- ${branch || '(detached HEAD)'} ${formatPath(path, repoRoot)} (${reason})${colors.reset}`);
+    }
+    log('');
+  }
+  
+  printSeparator();
+  if (dryRun) {
+    log(`${colors.gray}Dry run - nothing was moved.${colors.reset}`);
+    if (result.moved.length > 0) {
+      log(`Run ${colors.cyan}/worktree-migrate${colors.reset} to move ${result.moved.length} worktree${result.moved.length !== 1 ? 's' : ''}\n`);
+    }
+  } else {
+    log(`${colors.gray}Summary: ${result.moved.length} moved, ${result.skipped.length} skipped, ${result.registered} registered${colors.reset}\n`);
+  }
+}
+
+main().catch(handleCliError);
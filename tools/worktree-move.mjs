@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+
+/**
+ * Git Worktree Move Script
+ * 
+ * Renames a worktree's branch and moves its directory to match
+ */
+
+import {
+  WORKTREE_DIR,
+  colors,
+  checkGitRepo,
+  getRepoRoot,
+  moveWorktree,
+  formatPath,
+  parseOutputFormat,
+  log,
+  printJson,
+  printHeader,
+  cliReporter,
+  UsageError,
+  handleCliError,
+} from "./worktree-common.mjs";
+
+/**
+ * Print usage information
+ */
+function usage() {
+  console.log(`
+${colors.blue}Usage:${colors.reset} /worktree-move <branch|path|alias> <new-branch> [options]
+
+${colors.blue}Renames a worktree's branch and moves it to ${WORKTREE_DIR}/<new-branch>${colors.reset}
+
+${colors.blue}Arguments:${colors.reset}
+  <branch|path|alias> Worktree to move
+  <new-branch>        New name for its branch
+
+${colors.blue}Options:${colors.reset}
+  --force             Move even if the worktree is locked
+  --json              Print the result as JSON (progress goes to stderr)
+  --help, -h          Show this help message
+
+The branch keeps its upstream; aliases and notes move along with the worktree.
+
+${colors.blue}Examples:${colors.reset}
+  ${colors.cyan}/worktree-move feature-auth feature/oauth-login${colors.reset}
+  ${colors.cyan}/worktree-move wip fix/cache-invalidation --force${colors.reset}
+`);
+  process.exit(0);
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const { format, args } = parseOutputFormat(process.argv.slice(2));
+  const json = format === 'json';
+  
+  // Parse arguments
+  const positional = [];
+  let force = false;
+  
+  for (const arg of args) {
+    if (arg === '--force') {
+      force = true;
+    } else if (arg === '--help' || arg === '-h') {
+      usage();
+    } else if (arg.startsWith('-')) {
+      throw new UsageError(`Unknown option '${arg}'`, 'worktree-move');
+    } else {
+      positional.push(arg);
+    }
+  }
+  
+  if (positional.length !== 2) {
+    throw new UsageError('Pass the worktree and the new branch name', 'worktree-move');
+  }
+  const [query, newBranch] = positional;
+  
+  await checkGitRepo();
+  const repoRoot = await getRepoRoot();
+  
+  if (!json) {
+    printHeader('Git Worktree Move');
+  }
+  
+  const result = await moveWorktree({ query, newBranch, force, report: cliReporter });
+  
+  log('');
+  log(`  ${colors.blue}Branch:${colors.reset} ${result.oldBranch} → ${colors.cyan}${result.branch}${colors.reset}`);
+  log(`  ${colors.blue}Path:${colors.reset}   ${formatPath(result.oldPath, repoRoot)} → ${colors.cyan}${formatPath(result.path, repoRoot)}${colors.reset}\n`);
+  
+  if (json) {
+    printJson(result);
+  }
+}
+
+main().catch(handleCliError);
@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+
+/**
+ * Git Worktree Note Script
+ * 
+ * Attaches a note to a worktree (what it is for, what is left to do), shown
+ * by /worktree-list and /worktree-status
+ */
+
+import {
+  colors,
+  checkGitRepo,
+  getRepoRoot,
+  getWorktrees,
+  getWorktreeMetadata,
+  findWorktree,
+  setWorktreeNote,
+  formatPath,
+  parseOutputFormat,
+  log,
+  printJson,
+  printHeader,
+  UsageError,
+  handleCliError,
+} from "./worktree-common.mjs";
+
+/**
+ * Print usage information
+ */
+function usage() {
+  console.log(`
+${colors.blue}Usage:${colors.reset} /worktree-note [branch|path|alias] [note...] [options]
+
+${colors.blue}Attaches a note to a worktree${colors.reset}
+
+${colors.blue}Arguments:${colors.reset}
+  [branch|path|alias] Worktree to annotate (omit to show the notes of all worktrees)
+  [note...]           Note text (omit to show the current note)
+
+${colors.blue}Options:${colors.reset}
+  --clear             Remove the note
+  --json              Print the result as JSON
+  --help, -h          Show this help message
+
+${colors.blue}Examples:${colors.reset}
+  ${colors.cyan}/worktree-note${colors.reset}
+  ${colors.cyan}/worktree-note feature-auth waiting for review from the API team${colors.reset}
+  ${colors.cyan}/worktree-note feature-auth${colors.reset}
+  ${colors.cyan}/worktree-note feature-auth --clear${colors.reset}
+
+Notes are shown by ${colors.cyan}/worktree-list${colors.reset} and ${colors.cyan}/worktree-status${colors.reset}.
+`);
+  process.exit(0);
+}
+
+/**
+ * Print the notes of all worktrees that have one
+ */
+async function printNotes(json) {
+  const repoRoot = await getRepoRoot();
+  const metadata = await getWorktreeMetadata(repoRoot);
+  const notes = (await getWorktrees(repoRoot))
+    .filter(wt => metadata.get(wt.path)?.note)
+    .map(wt => ({ branch: wt.branch || null, path: wt.path, note: metadata.get(wt.path).note }));
+  
+  if (json) {
+    printJson({ repoRoot, notes });
+    return;
+  }
+  
+  printHeader('Git Worktree Notes');
+  if (notes.length === 0) {
+    log(`${colors.gray}No notes yet${colors.reset}`);
+    log(`Run ${colors.cyan}/worktree-note <branch> <note>${colors.reset} to add one\n`);
+    return;
+  }
+  for (const { branch, path, note } of notes) {
+    log(`${colors.cyan}${branch || '(detached HEAD)'}${colors.reset} ${colors.gray}${formatPath(path, repoRoot)}${colors.reset}`);
+    log(`  ${colors.yellow}${note}${colors.reset}`);
+  }
+  log('');
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const { format, args } = parseOutputFormat(process.argv.slice(2));
+  const json = format === 'json';
+  
+  // Parse arguments
+  let query = null;
+  let clear = false;
+  const words = [];
+  
+  for (const arg of args) {
+    if (arg === '--clear') {
+      clear = true;
+    } else if (arg === '--help' || arg === '-h') {
+      usage();
+    } else if (arg.startsWith('-')) {
+      throw new UsageError(`Unknown option '${arg}'`, 'worktree-note');
+    } else if (!query) {
+      query = arg;
+    } else {
+      words.push(arg);
+    }
+  }
+  
+  if (clear && words.length > 0) {
+    throw new UsageError('--clear cannot be combined with a note', 'worktree-note');
+  }
+  if (clear && !query) {
+    throw new UsageError('Which worktree? Pass a branch, path or alias', 'worktree-note');
+  }
+  
+  await checkGitRepo();
+  
+  if (!query) {
+    await printNotes(json);
+    return;
+  }
+  
+  // Show the current note
+  if (!clear && words.length === 0) {
+    const { worktree, repoRoot } = await findWorktree(query);
+    const metadata = await getWorktreeMetadata(repoRoot);
+    const note = metadata.get(worktree.path)?.note || null;
+    if (json) {
+      printJson({ branch: worktree.branch || null, path: worktree.path, note });
+    } else if (note) {
+      log(note);
+    } else {
+      log(`${colors.gray}No note for ${worktree.branch || formatPath(worktree.path, repoRoot)}${colors.reset}`);
+    }
+    return;
+  }
+  
+  const result = await setWorktreeNote({ query, note: words.join(' ') });
+  
+  if (json) {
+    printJson(result);
+  } else if (result.note) {
+    log(`${colors.green}✓${colors.reset} Note saved for ${colors.cyan}${result.branch || result.path}${colors.reset}`);
+  } else {
+    log(`${colors.green}✓${colors.reset} Note cleared for ${colors.cyan}${result.branch || result.path}${colors.reset}`);
+  }
+}
+
+main().catch(handleCliError);
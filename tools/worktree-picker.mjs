@@ -0,0 +1,223 @@
+#!/usr/bin/env node
+
+/**
+ * Git Worktree Picker
+ * 
+ * Minimal interactive terminal picker used by /worktree-switch and
+ * /worktree-remove when no branch is given: arrow keys to move,
+ * type to filter, space to toggle (multi-select), enter to accept.
+ */
+
+import { colors, describeStatus, formatPath } from "./worktree-common.mjs";
+
+// Rows shown at once; the list scrolls beyond this
+const MAX_VISIBLE = 10;
+
+const KEYS = {
+  up: ['\x1b[A', '\x1bOA', '\x10'],       // arrow up, ctrl-p
+  down: ['\x1b[B', '\x1bOB', '\x0e'],     // arrow down, ctrl-n
+  accept: ['\r', '\n'],
+  cancel: ['\x03', '\x1b'],              // ctrl-c, escape
+  backspace: ['\x7f', '\b'],
+  toggle: [' ', '\t'],
+  toggleAll: ['\x01'],                    // ctrl-a
+};
+
+/**
+ * Whether an interactive picker can be shown
+ */
+export function canPrompt() {
+  return Boolean(process.stdin.isTTY && process.stdout.isTTY);
+}
+
+/**
+ * Score how well `query` fuzzy-matches `text`
+ *
+ * Every query character must appear in order. Consecutive characters and
+ * matches at the start of a word score higher. Returns null for no match.
+ */
+export function fuzzyScore(query, text) {
+  if (!query) return 0;
+  
+  const q = query.toLowerCase();
+  const t = text.toLowerCase();
+  let score = 0;
+  let last = -1;
+  
+  for (const char of q) {
+    const index = t.indexOf(char, last + 1);
+    if (index === -1) return null;
+    
+    score += 1;
+    if (index === last + 1) score += 2;
+    if (index === 0 || '/-_. '.includes(t[index - 1])) score += 3;
+    last = index;
+  }
+  
+  // Prefer shorter candidates for equal matches
+  return score - t.length / 100;
+}
+
+/**
+ * Read raw keypresses from stdin until the handler returns a value
+ */
+function readKeys(onKey) {
+  return new Promise((resolve) => {
+    const stdin = process.stdin;
+    stdin.setRawMode(true);
+    stdin.resume();
+    
+    const onData = (data) => {
+      const result = onKey(data.toString());
+      if (result !== undefined) {
+        stdin.off('data', onData);
+        stdin.setRawMode(false);
+        stdin.pause();
+        resolve(result);
+      }
+    };
+    stdin.on('data', onData);
+  });
+}
+
+/**
+ * Let the user pick one or more items
+ *
+ * items: [{ label, detail, value }] — `label` is matched against the filter.
+ * Resolves to the selected value (or array of values when `multi`), or null
+ * if the picker was cancelled.
+ */
+export async function pick(items, { message = 'Select an item', multi = false } = {}) {
+  const out = process.stdout;
+  let query = '';
+  let cursor = 0;
+  let offset = 0;
+  let renderedLines = 0;
+  const selected = new Set();
+  
+  const filtered = () => items
+    .map(item => ({ item, score: fuzzyScore(query, item.label) }))
+    .filter(entry => entry.score !== null)
+    .sort((a, b) => b.score - a.score)
+    .map(entry => entry.item);
+  
+  const render = () => {
+    const matches = filtered();
+    cursor = Math.min(cursor, Math.max(matches.length - 1, 0));
+    if (cursor < offset) offset = cursor;
+    if (cursor >= offset + MAX_VISIBLE) offset = cursor - MAX_VISIBLE + 1;
+    
+    const help = multi
+      ? 'type to filter, ↑/↓ move, space toggle, ctrl-a all, enter accept, esc cancel'
+      : 'type to filter, ↑/↓ move, enter accept, esc cancel';
+    
+    const lines = [
+      `${colors.blue}?${colors.reset} ${message} ${colors.gray}(${help})${colors.reset}`,
+      `${colors.cyan}›${colors.reset} ${query}`,
+    ];
+    
+    if (matches.length === 0) {
+      lines.push(`  ${colors.gray}No matches${colors.reset}`);
+    }
+    
+    for (const [i, item] of matches.slice(offset, offset + MAX_VISIBLE).entries()) {
+      const isCursor = offset + i === cursor;
+      const pointer = isCursor ? `${colors.cyan}❯${colors.reset}` : ' ';
+      const box = multi ? (selected.has(item) ? `${colors.green}◉${colors.reset} ` : '◯ ') : '';
+      const label = isCursor ? `${colors.cyan}${item.label}${colors.reset}` : item.label;
+      const detail = item.detail ? `  ${colors.gray}${item.detail}${colors.reset}` : '';
+      lines.push(`${pointer} ${box}${label}${detail}`);
+    }
+    
+    if (matches.length > MAX_VISIBLE) {
+      lines.push(`  ${colors.gray}${matches.length} matches${colors.reset}`);
+    }
+    
+    // Redraw in place: move up over the previous frame and clear it
+    if (renderedLines > 0) out.write(`\x1b[${renderedLines}A\r`);
+    out.write('\x1b[0J' + lines.join('\n') + '\n');
+    renderedLines = lines.length;
+    return matches;
+  };
+  
+  out.write('\x1b[?25l');
+  let matches = render();
+  
+  const result = await readKeys((key) => {
+    if (KEYS.cancel.includes(key)) return null;
+    
+    if (KEYS.accept.includes(key)) {
+      if (multi) {
+        // With nothing toggled, accept the highlighted item
+        if (selected.size > 0) return items.filter(item => selected.has(item)).map(item => item.value);
+        return matches[cursor] ? [matches[cursor].value] : null;
+      }
+      return matches[cursor] ? matches[cursor].value : null;
+    }
+    
+    if (KEYS.up.includes(key)) {
+      cursor = Math.max(cursor - 1, 0);
+    } else if (KEYS.down.includes(key)) {
+      cursor = Math.min(cursor + 1, Math.max(matches.length - 1, 0));
+    } else if (multi && KEYS.toggle.includes(key)) {
+      const item = matches[cursor];
+      if (item && selected.has(item)) selected.delete(item);
+      else if (item) selected.add(item);
+    } else if (multi && KEYS.toggleAll.includes(key)) {
+      const allSelected = matches.every(item => selected.has(item));
+      for (const item of matches) {
+        if (allSelected) selected.delete(item);
+        else selected.add(item);
+      }
+    } else if (KEYS.backspace.includes(key)) {
+      query = query.slice(0, -1);
+      cursor = 0;
+    } else if (!key.startsWith('\x1b') && [...key].every(char => char >= ' ')) {
+      // Typed (or pasted) text extends the filter
+      query += key;
+      cursor = 0;
+    }
+    
+    matches = render();
+    return undefined;
+  });
+  
+  out.write('\x1b[?25h');
+  return result;
+}
+
+/**
+ * Build a picker item for a worktree from a collectWorktreeStatus() record
+ *
+ * The detail shows path, dirty state and ahead/behind counts.
+ */
+export function worktreeItem(record, repoRoot, currentPath = null) {
+  const { wt, status, remote } = record;
+  const details = [formatPath(wt.path, repoRoot), describeStatus(status)];
+  
+  if (remote && !remote.noUpstream) {
+    details.push(`↑${remote.ahead} ↓${remote.behind}`);
+  }
+  if (wt.path === currentPath) {
+    details.push('current');
+  } else if (wt.path === repoRoot) {
+    details.push('main');
+  }
+  
+  return {
+    label: wt.branch || '(detached HEAD)',
+    detail: details.join(' · '),
+    value: record,
+  };
+}
+
+/**
+ * Ask a yes/no question; anything but y/Y counts as no
+ */
+export async function confirm(message) {
+  process.stdout.write(`${colors.yellow}?${colors.reset} ${message} ${colors.gray}[y/N]${colors.reset} `);
+  const answer = await readKeys((key) => key);
+  const yes = answer === 'y' || answer === 'Y';
+  process.stdout.write(`${yes ? 'yes' : 'no'}\n`);
+  return yes;
+}
@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+
+/**
+ * Git Worktree Prune
+ * 
+ * Finds the linked worktrees /worktree-prune can clean up (missing, merged
+ * locally or on GitHub, upstream deleted, or idle for too long) and removes
+ * them, optionally with their branches.
+ */
+
+import { $ } from "bun";
+import { statSync } from "node:fs";
+import { GitCommandError } from "./worktree-errors.mjs";
+import {
+  noop,
+  checkGitRepo,
+  getRepoRoot,
+  getRepoDefaults,
+  refExists,
+  getWorktrees,
+  getWorktreeStatus,
+  getGoneBranches,
+  deleteLocalBranch,
+  unregisterWorktrees,
+  formatPath,
+  serializeWorktree,
+} from "./worktree-common.mjs";
+
+/**
+ * Local branches merged into `baseRef` that have commits of their own
+ *
+ * A branch that was just created from base is technically merged; its
+ * reflog has a single entry, so it is left out. So is `base` itself.
+ */
+async function getMergedBranches(baseRef, base, cwd) {
+  // Passed as a value: Bun's shell would parse the parentheses
+  const format = '--format=%(refname:short)';
+  const output = await $`git -C ${cwd} branch --merged ${baseRef} ${format}`.nothrow().quiet().text();
+  const merged = new Set();
+  
+  for (const branch of output.split('\n').map(b => b.trim()).filter(Boolean)) {
+    if (branch === base) continue;
+    const reflog = await $`git -C ${cwd} reflog show --format=%H refs/heads/${branch}`.nothrow().quiet().text();
+    if (reflog.trim().split('\n').length > 1) {
+      merged.add(branch);
+    }
+  }
+  
+  return merged;
+}
+
+/**
+ * Head commit of each merged PR, keyed by branch name (empty without gh)
+ */
+async function getMergedPullRequests(cwd) {
+  const result = await $`gh pr list --state merged --limit 200 --json number,headRefName,headRefOid`.cwd(cwd).nothrow().quiet();
+  if (result.exitCode !== 0) return null;
+  
+  const prs = new Map();
+  for (const pr of JSON.parse(result.stdout.toString() || '[]')) {
+    // gh lists the newest first; an older PR from the same branch must not win
+    if (!prs.has(pr.headRefName)) prs.set(pr.headRefName, pr);
+  }
+  return prs;
+}
+
+/**
+ * Time of the last commit or index change in a worktree, in milliseconds
+ */
+async function getLastActivity(worktreePath) {
+  let latest = 0;
+  
+  const commitTime = await $`git -C ${worktreePath} log -1 --format=%ct`.nothrow().quiet().text();
+  if (commitTime.trim()) latest = Number(commitTime.trim()) * 1000;
+  
+  const indexPath = await $`git -C ${worktreePath} rev-parse --path-format=absolute --git-path index`.nothrow().quiet().text();
+  try {
+    latest = Math.max(latest, statSync(indexPath.trim()).mtimeMs);
+  } catch {
+    // No index yet
+  }
+  
+  return latest;
+}
+
+/**
+ * Find linked worktrees that look safe to clean up
+ *
+ * Reasons: 'missing' (directory is gone), 'merged' (branch merged into
+ * `base`, default: the repo's default branch), 'pr-merged' (its pull request was merged on GitHub), 'upstream-gone'
+ * and 'stale' (no activity for `staleDays`). Dirty and locked worktrees are
+ * still returned, with `skip` set, and must never be removed.
+ */
+export async function findPruneCandidates({ base = null, staleDays = null, useGh = true, cwd = process.cwd(), report = noop } = {}) {
+  await checkGitRepo(cwd);
+  const repoRoot = await getRepoRoot(cwd);
+  const worktrees = (await getWorktrees(repoRoot)).filter(wt => wt.path !== repoRoot);
+  
+  // Compare with the remote's copy of base when there is one, since the
+  // local branch is often behind
+  const defaults = await getRepoDefaults(repoRoot);
+  base = base || defaults.branch;
+  const remoteBase = defaults.remote ? `${defaults.remote}/${base}` : null;
+  const baseRef = remoteBase && await refExists(`refs/remotes/${remoteBase}`, repoRoot) ? remoteBase : base;
+  
+  const merged = await getMergedBranches(baseRef, base, repoRoot);
+  const gone = await getGoneBranches(repoRoot);
+  let prs = null;
+  if (useGh) {
+    prs = await getMergedPullRequests(repoRoot);
+    if (!prs) report('warning', 'Could not list merged pull requests with gh; using local merge status only');
+  }
+  
+  const candidates = [];
+  for (const wt of worktrees) {
+    const reasons = [];
+    let lastActivity = null;
+    
+    if (wt.prunable) {
+      reasons.push('missing');
+    } else if (wt.branch) {
+      if (merged.has(wt.branch)) reasons.push('merged');
+      
+      const pr = prs?.get(wt.branch);
+      if (pr && pr.headRefOid === wt.commit) reasons.push('pr-merged');
+      
+      if (gone.has(wt.branch)) reasons.push('upstream-gone');
+      
+      lastActivity = await getLastActivity(wt.path);
+      if (staleDays !== null && Date.now() - lastActivity > staleDays * 86400000) {
+        reasons.push('stale');
+      }
+    }
+    
+    if (reasons.length === 0) continue;
+    
+    let skip = null;
+    if (wt.locked) {
+      skip = 'locked';
+    } else if (!wt.prunable && !(await getWorktreeStatus(wt.path)).clean) {
+      skip = 'dirty';
+    }
+    
+    candidates.push({
+      wt,
+      reasons,
+      lastActivity: lastActivity ? new Date(lastActivity).toISOString() : null,
+      skip,
+    });
+  }
+  
+  return { repoRoot, base: baseRef, candidates };
+}
+
+/**
+ * Remove prune candidates that are not skipped
+ *
+ * Missing worktrees are cleaned up with `git worktree prune`. With
+ * `deleteBranch`, branches of merged PRs are force-deleted (squash merges are
+ * not merged locally); other branches only if git considers them merged.
+ */
+export async function pruneWorktrees(repoRoot, candidates, { deleteBranch = false, report = noop } = {}) {
+  const removed = [];
+  const failed = [];
+  const actionable = candidates.filter(c => !c.skip);
+  
+  if (actionable.some(c => c.reasons.includes('missing'))) {
+    report('info', 'Pruning missing worktrees...');
+    try {
+      await $`git -C ${repoRoot} worktree prune`.quiet();
+    } catch (error) {
+      throw new GitCommandError('Failed to prune missing worktrees', error);
+    }
+  }
+  
+  for (const candidate of actionable) {
+    const { wt, reasons } = candidate;
+    const entry = { path: wt.path, branch: wt.branch || null, branchDeleted: false, branchError: null };
+    
+    if (!reasons.includes('missing')) {
+      report('info', `Removing ${formatPath(wt.path, repoRoot)}...`);
+      try {
+        await $`git -C ${repoRoot} worktree remove ${wt.path}`.quiet();
+      } catch (error) {
+        failed.push({ ...entry, error: error.stderr?.toString().trim() || error.message });
+        continue;
+      }
+    }
+    
+    if (deleteBranch && wt.branch) {
+      Object.assign(entry, await deleteLocalBranch(wt.branch, {
+        force: reasons.includes('pr-merged'),
+        cwd: repoRoot,
+        report,
+      }));
+    }
+    
+    removed.push(entry);
+  }
+  
+  await unregisterWorktrees(repoRoot, removed.map(entry => entry.path));
+  return { removed, failed };
+}
+
+/**
+ * Build the JSON report for worktree-prune
+ */
+export function buildPruneReport(repoRoot, base, candidates, { removed = [], failed = [] } = {}, dryRun = true) {
+  return {
+    repoRoot,
+    base,
+    dryRun,
+    candidates: candidates.map(({ wt, reasons, lastActivity, skip }) => ({
+      ...serializeWorktree(wt, repoRoot),
+      reasons,
+      lastActivity,
+      skip,
+    })),
+    removed,
+    failed,
+  };
+}
@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+
+/**
+ * Git Worktree Prune Script
+ * 
+ * Finds and removes worktrees whose branch was merged, whose upstream is
+ * gone, whose directory is missing, or that have not been touched in a while.
+ * Dirty and locked worktrees are never removed.
+ */
+
+import {
+  colors,
+  checkGitRepo,
+  formatPath,
+  parseOutputFormat,
+  log,
+  printJson,
+  printTable,
+  printHeader,
+  printSeparator,
+  cliReporter,
+  UsageError,
+  WorktreeError,
+  handleCliError,
+} from "./worktree-common.mjs";
+import { findPruneCandidates, pruneWorktrees, buildPruneReport } from "./worktree-prune-lib.mjs";
+import { canPrompt, confirm } from "./worktree-picker.mjs";
+
+/**
+ * Print usage information
+ */
+function usage() {
+  console.log(`
+${colors.blue}Usage:${colors.reset} /worktree-prune [options]
+
+${colors.blue}Removes merged, orphaned, missing and stale worktrees${colors.reset}
+
+${colors.blue}A linked worktree is a candidate when:${colors.reset}
+  - its directory no longer exists
+  - its branch is merged into the base branch (or its PR was merged, via gh)
+  - its upstream branch was deleted on the remote
+  - it has not been touched for --stale <days>
+  Worktrees with uncommitted changes or a lock are always left alone.
+
+${colors.blue}Options:${colors.reset}
+  --dry-run           Only show what would be removed
+  --yes, -y           Remove without asking for confirmation
+  --delete-branch     Also delete the branches of removed worktrees
+  --stale <days>      Also prune worktrees untouched for this many days
+  --base <branch>     Branch to check merges against (default: the repo's
+                      default branch, e.g. origin/main)
+  --no-gh             Don't ask GitHub which pull requests were merged
+  --json              Output as JSON (same as --format=json)
+  --format <format>   Output format: text, table or json (default: text)
+  --help, -h          Show this help message
+
+${colors.blue}Examples:${colors.reset}
+  ${colors.cyan}/worktree-prune --dry-run${colors.reset}
+  ${colors.cyan}/worktree-prune --stale 30 --delete-branch${colors.reset}
+  ${colors.cyan}/worktree-prune --yes --json${colors.reset}
+
+Without a terminal to confirm in, nothing is removed unless ${colors.cyan}--yes${colors.reset} is given.
+`);
+  process.exit(0);
+}
+
+/**
+ * Print the candidate list
+ */
+function printCandidates(candidates, repoRoot, format) {
+  if (format === 'table') {
+    printTable(
+      [
+        { key: 'branch', label: 'BRANCH' },
+        { key: 'path', label: 'PATH' },
+        { key: 'reasons', label: 'REASONS' },
+        { key: 'action', label: 'ACTION' },
+      ],
+      candidates.map(({ wt, reasons, skip }) => ({
+        branch: wt.branch || '(detached HEAD)',
+        path: formatPath(wt.path, repoRoot),
+        reasons: reasons.join(','),
+        action: skip ? `skip (${skip})` : 'remove',
+      }))
+    );
+    log('');
+    return;
+  }
+  
+  for (const { wt, reasons, skip } of candidates) {
+    const marker = skip ? `${colors.gray}-` : `${colors.red}✗`;
+    const suffix = skip ? ` ${colors.yellow}(${skip} - skipped)` : '';
+    log(`  ${marker}${colors.reset} ${colors.cyan}${wt.branch || '(detached HEAD)'}${colors.reset} → ${colors.gray}${formatPath(wt.path, repoRoot)}${colors.reset}`);
+    log(`    ${colors.gray}${reasons.join(', ')}${colors.reset}${suffix}${colors.reset}`);
+  }
+  log('');
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const { format, args } = parseOutputFormat(process.argv.slice(2));
+  const json = format === 'json';
+  
+  // Parse arguments
+  let dryRun = false;
+  let yes = false;
+  let deleteBranch = false;
+  let staleDays = null;
+  let base = null;
+  let useGh = true;
+  
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--dry-run') {
+      dryRun = true;
+    } else if (args[i] === '--yes' || args[i] === '-y') {
+      yes = true;
+    } else if (args[i] === '--delete-branch') {
+      deleteBranch = true;
+    } else if (args[i] === '--stale' && i + 1 < args.length) {
+      staleDays = Number(args[i + 1]);
+      if (!Number.isFinite(staleDays) || staleDays < 0) {
+        throw new UsageError('--stale must be a number of days', 'worktree-prune');
+      }
+      i++;
+    } else if (args[i] === '--base' && i + 1 < args.length) {
+      base = args[i + 1];
+      i++;
+    } else if (args[i] === '--no-gh') {
+      useGh = false;
+    } else if (args[i] === '--help' || args[i] === '-h') {
+      usage();
+    } else {
+      throw new UsageError(`Unknown option '${args[i]}'`, 'worktree-prune');
+    }
+  }
+  
+  await checkGitRepo();
+  
+  if (!json) {
+    printHeader('Git Worktree Prune');
+  }
+  
+  const { repoRoot, base: baseRef, candidates } = await findPruneCandidates({ base, staleDays, useGh, report: cliReporter });
+  const actionable = candidates.filter(c => !c.skip);
+  
+  // Without a way to confirm, only remove when explicitly told to
+  const interactive = !json && canPrompt();
+  const willRemove = !dryRun && actionable.length > 0 && (yes || interactive);
+  
+  if (!json) {
+    if (candidates.length === 0) {
+      log(`${colors.green}Nothing to prune${colors.reset}\n`);
+      return;
+    }
+    printCandidates(candidates, repoRoot, format);
+  }
+  
+  const proceed = willRemove && (yes || await confirm(`Remove ${actionable.length} worktree${actionable.length !== 1 ? 's' : ''}${deleteBranch ? ' and their branches' : ''}?`));
+  let result = { removed: [], failed: [] };
+  
+  if (willRemove && !proceed) {
+    log(`${colors.gray}Cancelled${colors.reset}\n`);
+    return;
+  }
+  
+  if (proceed) {
+    if (!json) log('');
+    result = await pruneWorktrees(repoRoot, candidates, { deleteBranch, report: cliReporter });
+  }
+  
+  if (json) {
+    printJson(buildPruneReport(repoRoot, baseRef, candidates, result, !proceed));
+  } else {
+    for (const { branch, branchError } of result.removed) {
+      if (branchError) cliReporter('warning', `Could not delete branch '${branch}': ${branchError}`);
+    }
+    for (const { path, error } of result.failed) {
+      console.error(`${colors.red}✗ Could not remove ${formatPath(path, repoRoot)}: ${error}${colors.reset}`);
+    }
+    
+    if (proceed) {
+      log('');
+      printSeparator();
+      log(`${colors.gray}Summary: ${result.removed.length} removed, ${result.failed.length} failed, ${candidates.length - actionable.length} skipped${colors.reset}\n`);
+    } else if (actionable.length > 0) {
+      log(`${colors.gray}Dry run - nothing was removed.${colors.reset}`);
+      log(`Run ${colors.cyan}/worktree-prune --yes${colors.reset} to remove ${actionable.length} worktree${actionable.length !== 1 ? 's' : ''}\n`);
+    }
+  }
+  
+  if (result.failed.length > 0) {
+    throw new WorktreeError(`Could not remove ${result.failed.length} worktree${result.failed.length !== 1 ? 's' : ''}`);
+  }
+}
+
+main().catch(handleCliError);
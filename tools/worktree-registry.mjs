@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+
+/**
+ * Git Worktree Registry
+ * 
+ * Remembers which branch and aliases belong to each worktree directory, so
+ * worktrees can be found by branch, path or a short alias even when the
+ * directory name is an encoded branch name (feature+auth+login) or a
+ * pr-<number>. Entries also carry the worktree's metadata: when it was
+ * created and from which base, its PR or issue, a note and when it was last
+ * opened. Stored in the repository's git directory, shared by all worktrees
+ * and never committed:
+ * 
+ *   <git-common-dir>/opencode-wt/registry.json
+ *   { "version": 1, "worktrees": { ".opencode-wt/feature+auth": { "branch": "feature/auth", "aliases": ["auth"], "note": "..." } } }
+ * 
+ * Keys are worktree paths relative to the main worktree's root, so they are
+ * the same whichever worktree a command runs in.
+ */
+
+import { $ } from "bun";
+import { mkdir, rename, writeFile } from "node:fs/promises";
+import { dirname, relative } from "node:path";
+import { ConfigError } from "./worktree-errors.mjs";
+
+const REGISTRY_VERSION = 1;
+
+/**
+ * Location of the registry file for a repository
+ */
+export async function getRegistryPath(repoRoot) {
+  const commonDir = await $`git -C ${repoRoot} rev-parse --path-format=absolute --git-common-dir`.text();
+  return `${commonDir.trim()}/opencode-wt/registry.json`;
+}
+
+/**
+ * Registry key for a worktree path
+ *
+ * `repoRoot` must be the main worktree's root (getRepoRoot()), never the
+ * toplevel of the linked worktree a command happens to run in.
+ */
+export function registryKey(repoRoot, worktreePath) {
+  return relative(repoRoot, worktreePath) || '.';
+}
+
+/**
+ * Read the registry, or an empty one if it doesn't exist yet
+ */
+export async function loadRegistry(repoRoot) {
+  const registryPath = await getRegistryPath(repoRoot);
+  const file = Bun.file(registryPath);
+  
+  if (!(await file.exists())) {
+    return { version: REGISTRY_VERSION, worktrees: {} };
+  }
+  
+  try {
+    const registry = JSON.parse(await file.text());
+    return { version: REGISTRY_VERSION, worktrees: registry.worktrees || {} };
+  } catch (error) {
+    throw new ConfigError(registryPath, `invalid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Load the registry, let `update` change it, and write it back atomically
+ *
+ * Returns whatever `update` returns.
+ */
+export async function updateRegistry(repoRoot, update) {
+  const registryPath = await getRegistryPath(repoRoot);
+  const registry = await loadRegistry(repoRoot);
+  const result = await update(registry);
+  
+  // Write to a temp file first so a crash never leaves half a registry
+  await mkdir(dirname(registryPath), { recursive: true });
+  const tempPath = `${registryPath}.${process.pid}.tmp`;
+  await writeFile(tempPath, JSON.stringify(registry, null, 2) + '\n');
+  await rename(tempPath, registryPath);
+  
+  return result;
+}
@@ -6,33 +6,45 @@
  * Removes a git worktree and optionally deletes the branch
  */
 
-import { $ } from "bun";
 import {
-  WORKTREE_DIR,
   colors,
   checkGitRepo,
   getRepoRoot,
   getWorktrees,
-  getWorktreeForBranch,
+  collectWorktreeStatus,
+  describeStatus,
+  findWorktree,
+  removeWorktree,
   formatPath,
+  parseOutputFormat,
+  serializeWorktree,
+  log,
+  printJson,
   printHeader,
+  cliReporter,
+  UsageError,
+  WorktreeError,
+  handleCliError,
 } from "./worktree-common.mjs";
+import { canPrompt, pick, confirm, worktreeItem } from "./worktree-picker.mjs";
 
 /**
  * Print usage information
  */
 function usage() {
   console.log(`
-${colors.blue}Usage:${colors.reset} /worktree-remove <branch-name> [options]
+${colors.blue}Usage:${colors.reset} /worktree-remove <branch|path|alias> [options]
 
 ${colors.blue}Removes a git worktree${colors.reset}
 
 ${colors.blue}Arguments:${colors.reset}
-  <branch-name>       Name of the branch/worktree to remove
+  <branch|path|alias> Branch, worktree path or alias of the worktree to remove
+                      (omit to pick one or more worktrees interactively)
 
 ${colors.blue}Options:${colors.reset}
   --delete-branch     Also delete the branch after removing worktree
-  --force            Force removal even with uncommitted changes
+  --force            Force removal even with uncommitted changes or a lock
+  --json             Print the result as JSON (progress goes to stderr)
   --help, -h         Show this help message
 
 ${colors.blue}Examples:${colors.reset}
@@ -43,11 +55,77 @@ ${colors.blue}Examples:${colors.reset}
   process.exit(0);
 }
 
+/**
+ * Let the user pick several worktrees, confirm, then remove them one by one
+ */
+async function removeInteractively(linked, repoRoot, { force, deleteBranch }) {
+  const records = await collectWorktreeStatus(linked);
+  const selected = await pick(
+    records.map(r => worktreeItem(r, repoRoot)),
+    { message: 'Select worktrees to remove', multi: true }
+  );
+  
+  if (!selected || selected.length === 0) {
+    log(`${colors.gray}Cancelled${colors.reset}\n`);
+    return;
+  }
+  
+  // Locked and dirty worktrees are only removed with --force
+  const skipped = force ? [] : selected.filter(r => r.wt.locked || !r.status.clean);
+  const toRemove = selected.filter(r => !skipped.includes(r));
+  
+  log('');
+  log(`${colors.blue}The following worktrees will be removed${deleteBranch ? ' together with their branches' : ''}:${colors.reset}\n`);
+  for (const { wt, status } of toRemove) {
+    const dirty = status.clean ? '' : ` ${colors.yellow}(${describeStatus(status)} - will be lost)${colors.reset}`;
+    log(`  ${colors.red}✗${colors.reset} ${colors.cyan}${wt.branch}${colors.reset} → ${colors.gray}${formatPath(wt.path, repoRoot)}${colors.reset}${dirty}`);
+  }
+  for (const { wt, status } of skipped) {
+    const why = wt.locked ? 'locked' : describeStatus(status);
+    log(`  ${colors.gray}- ${wt.branch} (${why} - skipped, use --force)${colors.reset}`);
+  }
+  log('');
+  
+  if (toRemove.length === 0) {
+    log(`${colors.gray}Nothing to remove${colors.reset}\n`);
+    return;
+  }
+  
+  if (!(await confirm(`Remove ${toRemove.length} worktree${toRemove.length !== 1 ? 's' : ''}?`))) {
+    log(`${colors.gray}Cancelled${colors.reset}\n`);
+    return;
+  }
+  log('');
+  
+  const failures = [];
+  for (const { wt } of toRemove) {
+    log(`${colors.blue}${wt.branch}${colors.reset}`);
+    try {
+      const result = await removeWorktree({ branch: wt.path, force, deleteBranch, report: cliReporter });
+      if (result.branchError) {
+        cliReporter('warning', `Could not delete branch: ${result.branchError}`);
+      }
+    } catch (error) {
+      console.error(`${colors.red}✗ ${error.message}${colors.reset}`);
+      failures.push(wt.branch);
+    }
+    log('');
+  }
+  
+  const removed = toRemove.length - failures.length;
+  log(`${colors.gray}Summary: ${removed} removed, ${failures.length} failed, ${skipped.length} skipped${colors.reset}\n`);
+  
+  if (failures.length > 0) {
+    throw new WorktreeError(`Could not remove: ${failures.join(', ')}`);
+  }
+}
+
 /**
  * Main function
  */
 async function main() {
-  const args = process.argv.slice(2);
+  const { format, args } = parseOutputFormat(process.argv.slice(2));
+  const json = format === 'json';
   
   // Parse arguments
   let branchName = null;
@@ -62,15 +140,11 @@ async function main() {
     } else if (args[i] === '--help' || args[i] === '-h') {
       usage();
     } else if (args[i].startsWith('-')) {
-      console.error(`${colors.red}❌ Error: Unknown option '${args[i]}'${colors.reset}`);
-      console.log(`\nRun ${colors.cyan}/worktree-remove --help${colors.reset} for usage information`);
-      process.exit(1);
+      throw new UsageError(`Unknown option '${args[i]}'`, 'worktree-remove');
     } else if (!branchName) {
       branchName = args[i];
     } else {
-      console.error(`${colors.red}❌ Error: Multiple branch names provided${colors.reset}`);
-      console.log(`\nRun ${colors.cyan}/worktree-remove --help${colors.reset} for usage information`);
-      process.exit(1);
+      throw new UsageError('Multiple branch names provided', 'worktree-remove');
     }
   }
   
@@ -79,107 +153,60 @@ async function main() {
   
   printHeader('Git Worktree Remove');
   
-  // If no branch name provided, list available worktrees
+  // If no branch name provided, pick worktrees interactively or list them
   if (!branchName) {
-    console.log(`${colors.yellow}No branch name provided. Available worktrees:${colors.reset}\n`);
     const worktrees = await getWorktrees();
     const linked = worktrees.filter(wt => wt.path !== repoRoot && wt.branch);
     
+    if (!json && canPrompt() && linked.length > 0) {
+      await removeInteractively(linked, repoRoot, { force, deleteBranch });
+      return;
+    }
+    
+    log(`${colors.yellow}No branch name provided. Available worktrees:${colors.reset}\n`);
+    
+    if (json) {
+      printJson({ removed: false, worktrees: linked.map(wt => serializeWorktree(wt, repoRoot)) });
+      return;
+    }
+    
     if (linked.length === 0) {
-      console.log(`${colors.gray}No linked worktrees found${colors.reset}\n`);
-      console.log(`Run ${colors.cyan}/worktree-remove <branch-name>${colors.reset} to remove a worktree\n`);
+      log(`${colors.gray}No linked worktrees found${colors.reset}\n`);
+      log(`Run ${colors.cyan}/worktree-remove <branch-name>${colors.reset} to remove a worktree\n`);
       return;
     }
     
     for (const wt of linked) {
       const displayPath = formatPath(wt.path, repoRoot);
-      console.log(`  ${colors.cyan}${wt.branch}${colors.reset} → ${colors.gray}${displayPath}${colors.reset}`);
+      log(`  ${colors.cyan}${wt.branch}${colors.reset} → ${colors.gray}${displayPath}${colors.reset}`);
     }
     
-    console.log(`\nRun ${colors.cyan}/worktree-remove <branch-name>${colors.reset} to remove a worktree\n`);
+    log(`\nRun ${colors.cyan}/worktree-remove <branch-name>${colors.reset} to remove a worktree\n`);
     return;
   }
   
   // Find the worktree
-  const worktree = await getWorktreeForBranch(branchName, repoRoot);
-  
-  if (!worktree) {
-    console.error(`${colors.red}❌ Error: No worktree found for branch '${branchName}'${colors.reset}\n`);
-    console.log(`Run ${colors.cyan}/worktree-list${colors.reset} to see available worktrees\n`);
-    process.exit(1);
-  }
-  
-  // Prevent removing main worktree
-  if (worktree.path === repoRoot) {
-    console.error(`${colors.red}❌ Error: Cannot remove the main worktree${colors.reset}\n`);
-    console.log(`The main worktree is at ${colors.cyan}${repoRoot}${colors.reset}`);
-    console.log(`You can only remove linked worktrees in ${colors.cyan}${WORKTREE_DIR}/${colors.reset}\n`);
-    process.exit(1);
-  }
+  const { worktree } = await findWorktree(branchName);
   
   const displayPath = formatPath(worktree.path, repoRoot);
-  console.log(`${colors.blue}Worktree:${colors.reset} ${colors.cyan}${displayPath}${colors.reset}`);
-  console.log(`${colors.blue}Branch:${colors.reset}   ${colors.cyan}${branchName}${colors.reset}\n`);
+  log(`${colors.blue}Worktree:${colors.reset} ${colors.cyan}${displayPath}${colors.reset}`);
+  log(`${colors.blue}Branch:${colors.reset}   ${colors.cyan}${worktree.branch || '(detached)'}${colors.reset}\n`);
   
-  // Check for uncommitted changes (unless force)
-  if (!force) {
-    try {
-      const status = await $`git -C ${worktree.path} status --porcelain`.text();
-      if (status.trim()) {
-        console.error(`${colors.red}❌ Error: Worktree has uncommitted changes${colors.reset}\n`);
-        console.log(`Uncommitted changes:`);
-        console.log(status);
-        console.log(`Use ${colors.cyan}--force${colors.reset} to remove anyway\n`);
-        process.exit(1);
-      }
-    } catch (error) {
-      console.log(`${colors.yellow}⚠ Warning: Could not check worktree status${colors.reset}`);
-    }
+  const result = await removeWorktree({ branch: worktree.path, force, deleteBranch, report: cliReporter });
+  log('');
+  
+  if (result.branchError) {
+    console.error(`${colors.yellow}⚠ Warning: Could not delete branch${colors.reset}`);
+    console.error(result.branchError);
+    log(`\nThe worktree was removed but the branch still exists.`);
+    log(`Use ${colors.cyan}git branch -D ${result.branch}${colors.reset} to force delete it\n`);
   }
   
-  try {
-    // Remove the worktree
-    console.log(`${colors.blue}ℹ Removing worktree...${colors.reset}`);
-    if (force) {
-      await $`git worktree remove ${worktree.path} --force`;
-    } else {
-      await $`git worktree remove ${worktree.path}`;
-    }
-    
-    console.log(`${colors.green}✓ Worktree removed${colors.reset}\n`);
-    
-    // Delete branch if requested
-    if (deleteBranch) {
-      console.log(`${colors.blue}ℹ Deleting branch '${branchName}'...${colors.reset}`);
-      try {
-        if (force) {
-          await $`git branch -D ${branchName}`;
-        } else {
-          await $`git branch -d ${branchName}`;
-        }
-        console.log(`${colors.green}✓ Branch deleted${colors.reset}\n`);
-      } catch (error) {
-        console.error(`${colors.yellow}⚠ Warning: Could not delete branch${colors.reset}`);
-        if (error.stderr) {
-          console.error(error.stderr.toString().trim());
-        }
-        console.log(`\nThe worktree was removed but the branch still exists.`);
-        console.log(`Use ${colors.cyan}git branch -D ${branchName}${colors.reset} to force delete it\n`);
-      }
-    }
-    
-    console.log(`${colors.green}✅ Done!${colors.reset}\n`);
-  } catch (error) {
-    console.error(`${colors.red}❌ Error: Failed to remove worktree${colors.reset}`);
-    if (error.stderr) {
-      console.error(`\n${error.stderr.toString()}`);
-    }
-    process.exit(1);
+  log(`${colors.green}✅ Done!${colors.reset}\n`);
+  
+  if (json) {
+    printJson(result);
   }
 }
 
-main().catch((error) => {
-  console.error(`${colors.red}❌ Error: ${error.message || error}${colors.reset}`);
-  if (error.stderr) console.error(error.stderr);
-  process.exit(1);
-});
+main().catch(handleCliError);
@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+
+/**
+ * Git Worktree Setup
+ * 
+ * Prepares a freshly created worktree from the repo config: copies and
+ * symlinks untracked files (.env, local tool config, ...) from the main
+ * worktree, then runs the post-create hooks.
+ */
+
+import { cp, mkdir, symlink } from "node:fs/promises";
+import { existsSync } from "node:fs";
+import { dirname } from "node:path";
+import { SetupError } from "./worktree-errors.mjs";
+
+// How much hook output to keep for error reports
+const OUTPUT_TAIL = 4000;
+
+// Never copy git metadata or other worktrees into a worktree
+const EXCLUDED = [".git", ".opencode-wt"];
+
+/**
+ * Expand glob patterns relative to a directory into a sorted list of paths
+ */
+async function expandPatterns(patterns, root) {
+  const matches = new Set();
+  
+  for (const pattern of patterns) {
+    // A trailing slash marks a directory; Bun.Glob matches it without one
+    const glob = new Bun.Glob(pattern.replace(/\/+$/, ''));
+    for await (const match of glob.scan({ cwd: root, dot: true, onlyFiles: false })) {
+      if (!EXCLUDED.includes(match.split('/')[0])) {
+        matches.add(match);
+      }
+    }
+  }
+  
+  return [...matches].sort();
+}
+
+/**
+ * Copy or symlink matching paths from the main worktree
+ *
+ * Paths that already exist in the new worktree (e.g. tracked files) are
+ * left alone.
+ */
+async function linkFiles(mode, patterns, repoRoot, worktreePath, report) {
+  const done = [];
+  
+  for (const relative of await expandPatterns(patterns, repoRoot)) {
+    const source = `${repoRoot}/${relative}`;
+    const target = `${worktreePath}/${relative}`;
+    
+    if (existsSync(target)) {
+      report('info', `Skipping ${relative} (already exists)`);
+      continue;
+    }
+    
+    try {
+      await mkdir(dirname(target), { recursive: true });
+      if (mode === 'copy') {
+        await cp(source, target, { recursive: true });
+      } else {
+        await symlink(source, target);
+      }
+    } catch (error) {
+      throw new SetupError(`Could not ${mode} ${relative}`, error.message);
+    }
+    
+    report('success', `${mode === 'copy' ? 'Copied' : 'Symlinked'} ${relative}`);
+    done.push(relative);
+  }
+  
+  return done;
+}
+
+/**
+ * Run a shell command, streaming its output through report('output', ...)
+ */
+async function runHook(command, { cwd, env, report }) {
+  const started = Date.now();
+  const proc = Bun.spawn(['sh', '-c', command], {
+    cwd,
+    env: { ...process.env, ...env },
+    stdin: 'ignore',
+    stdout: 'pipe',
+    stderr: 'pipe',
+  });
+  
+  let output = '';
+  const pump = async (stream) => {
+    const decoder = new TextDecoder();
+    for await (const chunk of stream) {
+      const text = decoder.decode(chunk, { stream: true });
+      output = (output + text).slice(-OUTPUT_TAIL);
+      report('output', text);
+    }
+  };
+  
+  const [exitCode] = await Promise.all([proc.exited, pump(proc.stdout), pump(proc.stderr)]);
+  return { command, exitCode, durationMs: Date.now() - started, output };
+}
+
+/**
+ * Copy/symlink configured files and run post-create hooks in a new worktree
+ *
+ * Throws SetupError on the first failure; the caller is responsible for
+ * removing the half-created worktree.
+ */
+export async function setupWorktree({ repoRoot, worktreePath, branch, config, report }) {
+  const copied = await linkFiles('copy', config.copy, repoRoot, worktreePath, report);
+  const symlinked = await linkFiles('symlink', config.symlink, repoRoot, worktreePath, report);
+  
+  const hooks = [];
+  for (const command of config.postCreate) {
+    report('info', `Running: ${command}`);
+    const result = await runHook(command, {
+      cwd: worktreePath,
+      env: {
+        OPENCODE_WT_MAIN: repoRoot,
+        OPENCODE_WT_PATH: worktreePath,
+        OPENCODE_WT_BRANCH: branch,
+      },
+      report,
+    });
+    
+    if (result.exitCode !== 0) {
+      throw new SetupError(`Post-create hook failed (exit code ${result.exitCode}): ${command}`, result.output);
+    }
+    
+    report('success', `${command} (${(result.durationMs / 1000).toFixed(1)}s)`);
+    hooks.push({ command, exitCode: result.exitCode, durationMs: result.durationMs });
+  }
+  
+  return { copied, symlinked, hooks };
+}
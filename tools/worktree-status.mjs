@@ -6,15 +6,27 @@
  * Shows status of all worktrees including uncommitted changes and remote status
  */
 
-import { $ } from "bun";
 import {
   colors,
   checkGitRepo,
   getRepoRoot,
   getWorktrees,
+  getWorktreeMetadata,
+  collectWorktreeStatus,
+  createTimings,
+  printTimings,
   formatPath,
+  parseOutputFormat,
+  buildStatusReport,
+  describeStatus,
+  describeRemote,
+  printMetadata,
+  printJson,
+  printTable,
   printHeader,
   printSeparator,
+  UsageError,
+  handleCliError,
 } from "./worktree-common.mjs";
 
 /**
@@ -27,112 +39,25 @@ ${colors.blue}Usage:${colors.reset} /worktree-status [options]
 ${colors.blue}Shows detailed status of all worktrees${colors.reset}
 
 ${colors.blue}Options:${colors.reset}
+  --json              Output as JSON (same as --format=json)
+  --format <format>   Output format: text, table or json (default: text)
+  --timings           Show how long the git calls took
   --help, -h          Show this help message
 
-${colors.blue}Example:${colors.reset}
+${colors.blue}Examples:${colors.reset}
   ${colors.cyan}/worktree-status${colors.reset}
+  ${colors.cyan}/worktree-status --format table${colors.reset}
+  ${colors.cyan}/worktree-status --json${colors.reset}
 `);
   process.exit(0);
 }
 
 /**
- * Get git status for a worktree
+ * Print status of each worktree as text blocks
  */
-async function getWorktreeStatus(worktreePath) {
-  try {
-    const statusOutput = await $`git -C ${worktreePath} status --porcelain`.text();
-    const lines = statusOutput.trim().split('\n').filter(l => l);
-    
-    const status = {
-      clean: lines.length === 0,
-      modified: 0,
-      added: 0,
-      deleted: 0,
-      untracked: 0,
-      total: lines.length,
-    };
-    
-    for (const line of lines) {
-      const code = line.substring(0, 2);
-      if (code.includes('M')) status.modified++;
-      if (code.includes('A')) status.added++;
-      if (code.includes('D')) status.deleted++;
-      if (code.includes('?')) status.untracked++;
-    }
-    
-    return status;
-  } catch {
-    return { error: true };
-  }
-}
-
-/**
- * Get remote tracking info for a branch
- */
-async function getRemoteStatus(worktreePath, branch) {
-  if (!branch) return null;
-  
-  try {
-    // Check if branch has upstream
-    const upstream = await $`git -C ${worktreePath} rev-parse --abbrev-ref ${branch}@{upstream}`.text();
-    if (!upstream.trim()) return null;
-    
-    // Get ahead/behind counts
-    const counts = await $`git -C ${worktreePath} rev-list --left-right --count ${branch}...${branch}@{upstream}`.text();
-    const [ahead, behind] = counts.trim().split('\t').map(Number);
-    
-    return {
-      upstream: upstream.trim(),
-      ahead: ahead || 0,
-      behind: behind || 0,
-      upToDate: ahead === 0 && behind === 0,
-    };
-  } catch {
-    return { noUpstream: true };
-  }
-}
-
-/**
- * Get last commit info
- */
-async function getLastCommit(worktreePath) {
-  try {
-    const message = await $`git -C ${worktreePath} log -1 --pretty=format:%s`.text();
-    const time = await $`git -C ${worktreePath} log -1 --pretty=format:%cr`.text();
-    return {
-      message: message.trim(),
-      time: time.trim(),
-    };
-  } catch {
-    return null;
-  }
-}
-
-/**
- * Main function
- */
-async function main() {
-  const args = process.argv.slice(2);
-  
-  // Check for help flag
-  if (args.includes('--help') || args.includes('-h')) {
-    usage();
-  }
-  
-  await checkGitRepo();
-  const repoRoot = await getRepoRoot();
-  const worktrees = await getWorktrees();
-  
-  printHeader('Git Worktree Status');
-  
-  if (worktrees.length === 0) {
-    console.log(`${colors.gray}No worktrees found${colors.reset}\n`);
-    return;
-  }
-  
-  // Process each worktree
-  for (let i = 0; i < worktrees.length; i++) {
-    const wt = worktrees[i];
+function printText(records, repoRoot, metadata) {
+  for (let i = 0; i < records.length; i++) {
+    const { wt, status, remote, commit } = records[i];
     const isMain = wt.path === repoRoot;
     const displayPath = formatPath(wt.path, repoRoot);
     
@@ -151,65 +76,126 @@ async function main() {
     }
     
     // Status
-    const status = await getWorktreeStatus(wt.path);
     if (status.error) {
       console.log(`  ${colors.blue}Status:${colors.reset} ${colors.red}Error reading status${colors.reset}`);
     } else if (status.clean) {
       console.log(`  ${colors.blue}Status:${colors.reset} ${colors.green}Clean working directory${colors.reset}`);
     } else {
-      const parts = [];
-      if (status.modified > 0) parts.push(`${status.modified} modified`);
-      if (status.added > 0) parts.push(`${status.added} added`);
-      if (status.deleted > 0) parts.push(`${status.deleted} deleted`);
-      if (status.untracked > 0) parts.push(`${status.untracked} untracked`);
-      console.log(`  ${colors.blue}Status:${colors.reset} ${colors.yellow}${parts.join(', ')}${colors.reset}`);
+      console.log(`  ${colors.blue}Status:${colors.reset} ${colors.yellow}${describeStatus(status)}${colors.reset}`);
     }
     
     // Remote status
-    if (wt.branch) {
-      const remote = await getRemoteStatus(wt.path, wt.branch);
-      if (remote) {
-        if (remote.noUpstream) {
-          console.log(`  ${colors.blue}Remote:${colors.reset} ${colors.gray}No upstream branch${colors.reset}`);
-        } else if (remote.upToDate) {
-          console.log(`  ${colors.blue}Remote:${colors.reset} ${colors.green}Up to date with ${remote.upstream}${colors.reset}`);
-        } else {
-          const parts = [];
-          if (remote.ahead > 0) parts.push(`${colors.yellow}${remote.ahead} ahead${colors.reset}`);
-          if (remote.behind > 0) parts.push(`${colors.red}${remote.behind} behind${colors.reset}`);
-          console.log(`  ${colors.blue}Remote:${colors.reset} ${parts.join(', ')}`);
-        }
+    if (remote) {
+      if (remote.noUpstream) {
+        console.log(`  ${colors.blue}Remote:${colors.reset} ${colors.gray}No upstream branch${colors.reset}`);
+      } else if (remote.upToDate) {
+        console.log(`  ${colors.blue}Remote:${colors.reset} ${colors.green}Up to date with ${remote.upstream}${colors.reset}`);
+      } else {
+        const parts = [];
+        if (remote.ahead > 0) parts.push(`${colors.yellow}${remote.ahead} ahead${colors.reset}`);
+        if (remote.behind > 0) parts.push(`${colors.red}${remote.behind} behind${colors.reset}`);
+        console.log(`  ${colors.blue}Remote:${colors.reset} ${parts.join(', ')}`);
       }
     }
     
     // Last commit
-    const commit = await getLastCommit(wt.path);
     if (commit) {
       console.log(`  ${colors.blue}Last commit:${colors.reset} ${colors.gray}"${commit.message}" (${commit.time})${colors.reset}`);
     }
     
+    // Note, linked PR/issue and lifecycle
+    printMetadata(metadata.get(wt.path));
+    
     // Separator between worktrees (except last one)
-    if (i < worktrees.length - 1) {
+    if (i < records.length - 1) {
       console.log('');
     }
   }
+}
+
+/**
+ * Short reference to the PR or issue a worktree was created for
+ */
+function describeLink(entry) {
+  if (entry?.pr) return `PR #${entry.pr.number}`;
+  if (entry?.issue) return `issue #${entry.issue.number}`;
+  return '';
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const { format, args } = parseOutputFormat(process.argv.slice(2));
+  
+  // Parse arguments
+  let timings;
+  
+  for (const arg of args) {
+    if (arg === '--timings') {
+      timings = createTimings();
+    } else if (arg === '--help' || arg === '-h') {
+      usage();
+    } else {
+      throw new UsageError(`Unknown option '${arg}'`, 'worktree-status');
+    }
+  }
+  
+  await checkGitRepo();
+  const repoRoot = await getRepoRoot();
+  const worktrees = await getWorktrees();
+  
+  const records = await collectWorktreeStatus(worktrees, { timings });
+  const metadata = await getWorktreeMetadata(repoRoot);
+  const report = buildStatusReport(repoRoot, records, metadata);
+  
+  if (format === 'json') {
+    printJson(timings ? { ...report, timings: timings.summary() } : report);
+    return;
+  }
+  
+  printHeader('Git Worktree Status');
+  
+  if (worktrees.length === 0) {
+    console.log(`${colors.gray}No worktrees found${colors.reset}\n`);
+    return;
+  }
+  
+  if (format === 'table') {
+    printTable(
+      [
+        { key: 'branch', label: 'BRANCH' },
+        { key: 'path', label: 'PATH' },
+        { key: 'status', label: 'STATUS' },
+        { key: 'remote', label: 'REMOTE' },
+        { key: 'commit', label: 'LAST COMMIT' },
+        { key: 'link', label: 'PR/ISSUE' },
+        { key: 'note', label: 'NOTE' },
+      ],
+      records.map(({ wt, status, remote, commit }) => ({
+        branch: wt.branch || '(detached HEAD)',
+        path: formatPath(wt.path, repoRoot),
+        status: describeStatus(status),
+        remote: describeRemote(remote),
+        commit: commit ? commit.time : '',
+        link: describeLink(metadata.get(wt.path)),
+        note: metadata.get(wt.path)?.note || '',
+      }))
+    );
+  } else {
+    printText(records, repoRoot, metadata);
+  }
   
   console.log('');
   printSeparator();
   
   // Summary
-  const cleanCount = (await Promise.all(
-    worktrees.map(wt => getWorktreeStatus(wt.path))
-  )).filter(s => s.clean).length;
-  
-  const dirtyCount = worktrees.length - cleanCount;
-  
   console.log(`${colors.gray}Total: ${worktrees.length} worktree${worktrees.length !== 1 ? 's' : ''}`);
-  console.log(`Clean: ${cleanCount}, With changes: ${dirtyCount}${colors.reset}\n`);
+  console.log(`Clean: ${report.summary.clean}, With changes: ${report.summary.dirty}${colors.reset}\n`);
+  
+  if (timings) {
+    printTimings(timings.summary(), repoRoot);
+  }
 }
 
-main().catch((error) => {
-  console.error(`${colors.red}❌ Error: ${error.message || error}${colors.reset}`);
-  if (error.stderr) console.error(error.stderr);
-  process.exit(1);
-});
+main().catch(handleCliError);
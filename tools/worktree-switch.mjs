@@ -12,39 +12,102 @@ import {
   checkGitRepo,
   getRepoRoot,
   getWorktrees,
-  getWorktreeForBranch,
+  collectWorktreeStatus,
   formatPath,
   openOpenCodeSession,
+  recordWorktreeOpened,
+  parseOutputFormat,
+  serializeWorktree,
+  log,
+  printJson,
   printHeader,
+  findWorktree,
+  cliReporter,
+  UsageError,
+  handleCliError,
 } from "./worktree-common.mjs";
+import { canPrompt, pick, worktreeItem } from "./worktree-picker.mjs";
 
 /**
  * Print usage information
  */
 function usage() {
   console.log(`
-${colors.blue}Usage:${colors.reset} /worktree-switch [branch-name]
+${colors.blue}Usage:${colors.reset} /worktree-switch [branch|path|alias]
 
 ${colors.blue}Opens an OpenCode session in the specified worktree${colors.reset}
 
 ${colors.blue}Arguments:${colors.reset}
-  [branch-name]       Name of the branch/worktree to switch to (optional)
+  [branch|path|alias] Branch, worktree path or alias to switch to (optional);
+                      the last part of a branch name works too (login for
+                      feature/auth/login) as long as it is unique
 
 ${colors.blue}Options:${colors.reset}
+  --json              Print the result as JSON (progress goes to stderr)
   --help, -h          Show this help message
 
 ${colors.blue}Examples:${colors.reset}
-  ${colors.cyan}/worktree-switch${colors.reset}               # Shows available worktrees
+  ${colors.cyan}/worktree-switch${colors.reset}               # Pick a worktree (lists them when not interactive)
   ${colors.cyan}/worktree-switch feature-auth${colors.reset}  # Opens feature-auth worktree
 `);
   process.exit(0);
 }
 
+/**
+ * List available worktrees (when no branch is given and no picker can be shown)
+ */
+function printWorktrees(worktrees, repoRoot, currentPath, json) {
+  if (json) {
+    printJson({
+      opened: false,
+      worktrees: worktrees.map(wt => ({
+        ...serializeWorktree(wt, repoRoot),
+        isCurrent: wt.path === currentPath,
+      })),
+    });
+    return;
+  }
+  
+  log(`${colors.yellow}No branch name provided. Available worktrees:${colors.reset}\n`);
+  
+  if (worktrees.length === 0) {
+    log(`${colors.gray}No worktrees found${colors.reset}\n`);
+    return;
+  }
+  
+  for (const wt of worktrees) {
+    const displayPath = formatPath(wt.path, repoRoot);
+    const isCurrent = wt.path === currentPath;
+    const isMain = wt.path === repoRoot;
+    
+    let line = '';
+    
+    if (wt.branch) {
+      line = `  ${colors.cyan}${wt.branch}${colors.reset}`;
+    } else {
+      line = `  ${colors.gray}(detached HEAD)${colors.reset}`;
+    }
+    
+    line += ` → ${colors.gray}${displayPath}${colors.reset}`;
+    
+    if (isCurrent) {
+      line += ` ${colors.green}(current)${colors.reset}`;
+    } else if (isMain) {
+      line += ` ${colors.blue}(main)${colors.reset}`;
+    }
+    
+    log(line);
+  }
+  
+  log(`\nRun ${colors.cyan}/worktree-switch <branch-name>${colors.reset} to switch to a worktree\n`);
+}
+
 /**
  * Main function
  */
 async function main() {
-  const args = process.argv.slice(2);
+  const { format, args } = parseOutputFormat(process.argv.slice(2));
+  const json = format === 'json';
   
   // Parse arguments
   let branchName = null;
@@ -53,15 +116,11 @@ async function main() {
     if (args[i] === '--help' || args[i] === '-h') {
       usage();
     } else if (args[i].startsWith('-')) {
-      console.error(`${colors.red}❌ Error: Unknown option '${args[i]}'${colors.reset}`);
-      console.log(`\nRun ${colors.cyan}/worktree-switch --help${colors.reset} for usage information`);
-      process.exit(1);
+      throw new UsageError(`Unknown option '${args[i]}'`, 'worktree-switch');
     } else if (!branchName) {
       branchName = args[i];
     } else {
-      console.error(`${colors.red}❌ Error: Multiple branch names provided${colors.reset}`);
-      console.log(`\nRun ${colors.cyan}/worktree-switch --help${colors.reset} for usage information`);
-      process.exit(1);
+      throw new UsageError('Multiple branch names provided', 'worktree-switch');
     }
   }
   
@@ -70,9 +129,11 @@ async function main() {
   
   printHeader('Git Worktree Switch');
   
-  // If no branch name provided, list available worktrees
-  if (!branchName) {
-    console.log(`${colors.yellow}No branch name provided. Available worktrees:${colors.reset}\n`);
+  let worktree;
+  
+  if (branchName) {
+    ({ worktree } = await findWorktree(branchName));
+  } else {
     const worktrees = await getWorktrees();
     
     // Get current directory to highlight current worktree
@@ -84,59 +145,40 @@ async function main() {
       // Ignore
     }
     
-    if (worktrees.length === 0) {
-      console.log(`${colors.gray}No worktrees found${colors.reset}\n`);
-      return;
-    }
-    
-    for (const wt of worktrees) {
-      const displayPath = formatPath(wt.path, repoRoot);
-      const isCurrent = wt.path === currentPath;
-      const isMain = wt.path === repoRoot;
+    // Interactive terminal: let the user pick one
+    if (!json && canPrompt() && worktrees.length > 0) {
+      const records = await collectWorktreeStatus(worktrees);
+      const record = await pick(
+        records.map(r => worktreeItem(r, repoRoot, currentPath)),
+        { message: 'Switch to worktree' }
+      );
       
-      let line = '';
-      
-      if (wt.branch) {
-        line = `  ${colors.cyan}${wt.branch}${colors.reset}`;
-      } else {
-        line = `  ${colors.gray}(detached HEAD)${colors.reset}`;
+      if (!record) {
+        log(`${colors.gray}Cancelled${colors.reset}\n`);
+        return;
       }
-      
-      line += ` → ${colors.gray}${displayPath}${colors.reset}`;
-      
-      if (isCurrent) {
-        line += ` ${colors.green}(current)${colors.reset}`;
-      } else if (isMain) {
-        line += ` ${colors.blue}(main)${colors.reset}`;
-      }
-      
-      console.log(line);
+      worktree = record.wt;
+      log('');
+    } else {
+      printWorktrees(worktrees, repoRoot, currentPath, json);
+      return;
     }
-    
-    console.log(`\nRun ${colors.cyan}/worktree-switch <branch-name>${colors.reset} to switch to a worktree\n`);
-    return;
-  }
-  
-  // Find the worktree
-  const worktree = await getWorktreeForBranch(branchName, repoRoot);
-  
-  if (!worktree) {
-    console.error(`${colors.red}❌ Error: No worktree found for branch '${branchName}'${colors.reset}\n`);
-    console.log(`Run ${colors.cyan}/worktree-list${colors.reset} to see available worktrees`);
-    console.log(`Or run ${colors.cyan}/worktree-add ${branchName}${colors.reset} to create a new worktree\n`);
-    process.exit(1);
   }
   
   const displayPath = formatPath(worktree.path, repoRoot);
-  console.log(`${colors.blue}Worktree:${colors.reset} ${colors.cyan}${displayPath}${colors.reset}`);
-  console.log(`${colors.blue}Branch:${colors.reset}   ${colors.cyan}${branchName}${colors.reset}\n`);
+  const branch = worktree.branch || null;
+  log(`${colors.blue}Worktree:${colors.reset} ${colors.cyan}${displayPath}${colors.reset}`);
+  log(`${colors.blue}Branch:${colors.reset}   ${colors.cyan}${branch || '(detached HEAD)'}${colors.reset}\n`);
   
   // Open OpenCode session
-  await openOpenCodeSession(worktree.path);
+  const opened = await openOpenCodeSession(worktree.path, cliReporter);
+  if (opened) {
+    await recordWorktreeOpened(worktree);
+  }
+  
+  if (json) {
+    printJson({ opened, branch, path: worktree.path });
+  }
 }
 
-main().catch((error) => {
-  console.error(`${colors.red}❌ Error: ${error.message || error}${colors.reset}`);
-  if (error.stderr) console.error(error.stderr);
-  process.exit(1);
-});
+main().catch(handleCliError);
@@ -0,0 +1,251 @@
+#!/usr/bin/env node
+
+/**
+ * Git Worktree Sync
+ * 
+ * Fetches the remotes and compares every worktree with its upstream (or the
+ * --onto branch) for /worktree-sync, bringing the ones that are behind up to
+ * date by fast-forward, rebase or merge.
+ */
+
+import { $ } from "bun";
+import { existsSync } from "node:fs";
+import { WorktreeError, RemoteBranchNotFoundError, GitCommandError } from "./worktree-errors.mjs";
+import {
+  DEFAULT_CONCURRENCY,
+  noop,
+  untimed,
+  getRepoDefaults,
+  refExists,
+  getWorktreeStatus,
+  getRemoteStatus,
+  mapConcurrent,
+  serializeWorktree,
+  serializeRemoteStatus,
+} from "./worktree-common.mjs";
+
+/**
+ * Fetch the default remote plus every remote that a local branch tracks
+ *
+ * Returns the names of the fetched remotes.
+ */
+export async function fetchRemote(cwd = process.cwd()) {
+  const { remote } = await getRepoDefaults(cwd);
+  // Passed as a value: Bun's shell would parse the parentheses
+  const format = '--format=%(upstream:remotename)';
+  const tracked = await $`git -C ${cwd} for-each-ref ${format} refs/heads`.nothrow().quiet().text();
+  
+  // '.' is the remote name of branches that track another local branch
+  const remotes = [...new Set([remote, ...tracked.split('\n').map(r => r.trim())])]
+    .filter(r => r && r !== '.');
+  
+  if (remotes.length === 0) {
+    throw new WorktreeError('This repository has no remote to fetch from', {
+      hint: 'Add one with: git remote add origin <url>',
+    });
+  }
+  
+  try {
+    await $`git -C ${cwd} fetch --multiple ${remotes}`.quiet();
+  } catch (error) {
+    throw new GitCommandError(`Failed to fetch from ${remotes.join(', ')}`, error);
+  }
+  return remotes;
+}
+
+/**
+ * Remote-tracking ref for `/worktree-sync --onto <branch>`
+ *
+ * The branch is looked up on the default remote; without a branch, the
+ * default base branch is used.
+ */
+export async function resolveOntoRef(branch = null, cwd = process.cwd()) {
+  const defaults = await getRepoDefaults(cwd);
+  const ref = `${defaults.remote}/${branch || defaults.branch}`;
+  if (!defaults.remote || !(await refExists(`refs/remotes/${ref}`, cwd))) {
+    throw new RemoteBranchNotFoundError(ref);
+  }
+  return ref;
+}
+
+/**
+ * Update strategies for syncWorktree(): fast-forward only, rebase or merge
+ */
+export const SYNC_STRATEGIES = ["ff", "rebase", "merge"];
+
+/**
+ * Ahead/behind counts of a branch against any ref, in getRemoteStatus() shape
+ */
+async function compareWithRef(worktreePath, branch, ref) {
+  try {
+    const counts = await $`git -C ${worktreePath} rev-list --left-right --count ${branch}...${ref}`.quiet().text();
+    const [ahead, behind] = counts.trim().split('\t').map(Number);
+    return {
+      upstream: ref,
+      ahead: ahead || 0,
+      behind: behind || 0,
+      upToDate: ahead === 0 && behind === 0,
+    };
+  } catch {
+    return { noUpstream: true };
+  }
+}
+
+/**
+ * Conflicted files in a worktree (during a rebase or merge)
+ */
+async function getConflictedFiles(worktreePath) {
+  const output = await $`git -C ${worktreePath} diff --name-only --diff-filter=U`.quiet().nothrow().text();
+  return output.trim().split('\n').filter(Boolean);
+}
+
+/**
+ * The rebase or merge a worktree is in the middle of, or null
+ *
+ * A rebase or merge can also stop without conflicted files, e.g. on a
+ * failing hook or an empty commit, so this looks at git's state files.
+ */
+async function getOperationInProgress(worktreePath) {
+  const paths = await $`git -C ${worktreePath} rev-parse --path-format=absolute --git-path rebase-merge --git-path rebase-apply --git-path MERGE_HEAD`.quiet().nothrow().text();
+  const [rebaseMerge, rebaseApply, mergeHead] = paths.trim().split('\n');
+  if ((rebaseMerge && existsSync(rebaseMerge)) || (rebaseApply && existsSync(rebaseApply))) return 'rebase';
+  if (mergeHead && existsSync(mergeHead)) return 'merge';
+  return null;
+}
+
+/**
+ * Bring a worktree's branch up to date with `target` using `strategy`
+ *
+ * The remote was fetched just before, so this never fetches again. A rebase
+ * or merge that stops, on conflicts or otherwise, is aborted, which leaves
+ * the worktree (and with `autostash`, its uncommitted changes) as it was.
+ */
+async function updateWorktree(worktreePath, target, { strategy = 'ff', autostash = false } = {}) {
+  const stash = autostash ? ['--autostash'] : [];
+  const command = strategy === 'rebase' ? ['rebase', ...stash, target]
+    : strategy === 'merge' ? ['merge', '--no-edit', ...stash, target]
+    : ['merge', '--ff-only', ...stash, target];
+  
+  const result = await $`git -C ${worktreePath} ${command}`.quiet().nothrow();
+  const output = `${result.stdout}${result.stderr}`.trim();
+  
+  if (result.exitCode === 0) {
+    // git keeps the stash if re-applying it conflicts, but still succeeds
+    const stashKept = /autostash resulted in conflicts/i.test(output);
+    return { success: true, error: stashKept ? 'Re-applying the stashed changes conflicted; they are still in `git stash list`' : null };
+  }
+  
+  const conflicts = await getConflictedFiles(worktreePath);
+  const inProgress = await getOperationInProgress(worktreePath);
+  if (inProgress) {
+    await $`git -C ${worktreePath} ${inProgress} --abort`.quiet().nothrow();
+  }
+  if (conflicts.length > 0) {
+    return { success: false, conflicts, error: `Conflicts in ${conflicts.join(', ')} - ${inProgress || strategy} aborted` };
+  }
+  
+  return { success: false, conflicts: [], error: `${output || `git ${command[0]} failed`}${inProgress ? ` - ${inProgress} aborted` : ''}` };
+}
+
+/**
+ * Compare a worktree against its upstream and optionally update it
+ *
+ * With `strategy` ('ff', 'rebase' or 'merge') a worktree that is behind is
+ * brought up to date; `pull: true` is the same as strategy 'ff'. With `onto`
+ * (a remote-tracking ref such as upstream/main), worktrees on other branches
+ * are compared against and updated from that ref instead of their upstream.
+ * Dirty worktrees are skipped unless `autostash` is set, and locked ones
+ * unless `includeLocked` is set.
+ *
+ * The resulting action is one of: detached, no-upstream, up-to-date, ahead,
+ * behind, pulled, rebased, merged, conflict, pull-failed, skipped-dirty,
+ * skipped-locked.
+ * `remote` holds the ahead/behind counts against the ref that was used.
+ */
+export async function syncWorktree(wt, { pull = false, strategy = pull ? 'ff' : null, onto = null, autostash = false, includeLocked = false, timings = untimed } = {}) {
+  const record = { wt, remote: null, action: null, error: null, conflicts: [] };
+  
+  if (!wt.branch) {
+    record.action = 'detached';
+    return record;
+  }
+  
+  const useOnto = onto && !onto.endsWith(`/${wt.branch}`);
+  const remote = useOnto
+    ? await timings.measure('remote', () => compareWithRef(wt.path, wt.branch, onto))
+    : await timings.measure('remote', () => getRemoteStatus(wt.path, wt.branch));
+  record.remote = remote;
+  
+  if (!remote || remote.noUpstream) {
+    record.action = 'no-upstream';
+  } else if (remote.behind === 0) {
+    record.action = remote.ahead === 0 ? 'up-to-date' : 'ahead';
+  } else if (!strategy) {
+    record.action = 'behind';
+  } else if (wt.locked && !includeLocked) {
+    record.action = 'skipped-locked';
+  } else if (!autostash && !(await timings.measure('status', () => getWorktreeStatus(wt.path))).clean) {
+    record.action = 'skipped-dirty';
+  } else {
+    const result = await timings.measure(strategy, () => updateWorktree(wt.path, remote.upstream, { strategy, autostash }));
+    if (result.success) {
+      record.action = { ff: 'pulled', rebase: 'rebased', merge: 'merged' }[strategy];
+    } else {
+      record.action = result.conflicts.length > 0 ? 'conflict' : 'pull-failed';
+      record.conflicts = result.conflicts;
+    }
+    record.error = result.error;
+  }
+  
+  return record;
+}
+
+/**
+ * Check (and optionally update) several worktrees concurrently
+ *
+ * Takes the same options as syncWorktree(). Records come back in the order
+ * of `worktrees`; onRecord is called in that order too, as soon as each
+ * record is ready.
+ */
+export async function syncWorktrees(worktrees, { concurrency = DEFAULT_CONCURRENCY, timings = untimed, onRecord = noop, ...options } = {}) {
+  return mapConcurrent(worktrees, concurrency, async (wt) => {
+    const start = performance.now();
+    const record = await syncWorktree(wt, { ...options, timings });
+    timings.worktree(wt.path, performance.now() - start);
+    return record;
+  }, onRecord);
+}
+
+/**
+ * Build the --json document for /worktree-sync
+ */
+export function buildSyncReport(repoRoot, records, strategy = null, { remotes = [], onto = null, autostash = false } = {}) {
+  const count = (...actions) => records.filter(r => actions.includes(r.action)).length;
+  return {
+    repoRoot,
+    remote: remotes[0] || null,
+    remotes,
+    pulled: Boolean(strategy),
+    strategy,
+    onto,
+    autostash,
+    worktrees: records.map(({ wt, remote, action, error, conflicts }) => ({
+      ...serializeWorktree(wt, repoRoot),
+      remote: serializeRemoteStatus(remote),
+      action,
+      error,
+      conflicts,
+    })),
+    summary: {
+      total: records.length,
+      updated: count('pulled', 'rebased', 'merged'),
+      upToDate: count('up-to-date'),
+      behind: count('behind'),
+      conflicts: count('conflict'),
+      locked: count('skipped-locked'),
+      skipped: count('skipped-dirty', 'skipped-locked'),
+      // Skipped worktrees are expected, not errors
+      errors: count('pull-failed', 'conflict'),
+    },
+  };
+}
@@ -3,19 +3,29 @@
 /**
  * Git Worktree Sync Script
  * 
- * Fetches from remote and shows which worktrees have updates available
+ * Fetches from remote and shows which worktrees have updates available,
+ * optionally fast-forwarding, rebasing or merging them
  */
 
-import { $ } from "bun";
 import {
   colors,
   checkGitRepo,
   getRepoRoot,
   getWorktrees,
+  createTimings,
+  printTimings,
   formatPath,
+  parseOutputFormat,
+  printJson,
+  printTable,
   printHeader,
   printSeparator,
+  cliReporter,
+  UsageError,
+  WorktreeError,
+  handleCliError,
 } from "./worktree-common.mjs";
+import { fetchRemote, resolveOntoRef, syncWorktrees, buildSyncReport } from "./worktree-sync-lib.mjs";
 
 /**
  * Print usage information
@@ -27,63 +37,136 @@ ${colors.blue}Usage:${colors.reset} /worktree-sync [options]
 ${colors.blue}Fetches from remote and shows which worktrees have updates${colors.reset}
 
 ${colors.blue}Options:${colors.reset}
-  --pull              Automatically pull updates in each worktree
+  --pull              Fast-forward worktrees that are behind (fails if they diverged)
+  --rebase            Rebase local commits onto the updated upstream
+  --merge             Merge the updated upstream into each branch
+  --onto [branch]     Update every other worktree from <remote>/<branch> on the
+                      default remote (default: the default branch) instead of
+                      its own upstream; rebases unless --merge is given
+  --autostash         Stash uncommitted changes before updating and restore them
+                      afterwards (otherwise dirty worktrees are skipped)
+  --include-locked    Also update locked worktrees (skipped by default)
+  --json              Output as JSON (same as --format=json)
+  --format <format>   Output format: text, table or json (default: text)
+  --timings           Show how long the fetch and git calls took
   --help, -h          Show this help message
 
+Rebases and merges that hit conflicts are aborted, leaving the worktree as it was.
+
 ${colors.blue}Examples:${colors.reset}
-  ${colors.cyan}/worktree-sync${colors.reset}         # Fetch and show status
-  ${colors.cyan}/worktree-sync --pull${colors.reset}  # Fetch and pull in all worktrees
+  ${colors.cyan}/worktree-sync${colors.reset}                      # Fetch and show status
+  ${colors.cyan}/worktree-sync --pull${colors.reset}               # Fetch and fast-forward all worktrees
+  ${colors.cyan}/worktree-sync --rebase --autostash${colors.reset} # Rebase, stashing local changes
+  ${colors.cyan}/worktree-sync --onto${colors.reset}               # Rebase feature worktrees onto e.g. origin/main
+  ${colors.cyan}/worktree-sync --pull --json${colors.reset}        # Fast-forward, as JSON
 `);
   process.exit(0);
 }
 
 /**
- * Get remote tracking info for a branch
+ * Print the text block for one synced worktree
  */
-async function getRemoteStatus(worktreePath, branch) {
-  if (!branch) return null;
+function printRecord(record, repoRoot, strategy) {
+  const { wt, remote, action, error } = record;
+  const displayPath = formatPath(wt.path, repoRoot);
   
-  try {
-    // Check if branch has upstream
-    const upstream = await $`git -C ${worktreePath} rev-parse --abbrev-ref ${branch}@{upstream}`.text();
-    if (!upstream.trim()) return { noUpstream: true };
-    
-    // Get ahead/behind counts
-    const counts = await $`git -C ${worktreePath} rev-list --left-right --count ${branch}...${branch}@{upstream}`.text();
-    const [ahead, behind] = counts.trim().split('\t').map(Number);
-    
-    return {
-      upstream: upstream.trim(),
-      ahead: ahead || 0,
-      behind: behind || 0,
-      upToDate: ahead === 0 && behind === 0,
-    };
-  } catch {
-    return { noUpstream: true };
+  // Print worktree header
+  if (wt.path === repoRoot) {
+    console.log(`${colors.cyan}${displayPath}${colors.reset} ${colors.blue}(main)${colors.reset}`);
+  } else {
+    console.log(`${colors.cyan}.${displayPath}${colors.reset}`);
+  }
+  
+  if (action === 'detached') {
+    console.log(`  ${colors.gray}Detached HEAD - skipping${colors.reset}\n`);
+    return;
+  }
+  
+  console.log(`  ${colors.blue}Branch:${colors.reset} ${wt.branch}`);
+  
+  if (action === 'no-upstream') {
+    console.log(`  ${colors.gray}No remote tracking branch${colors.reset}\n`);
+    return;
+  }
+  
+  if (action === 'up-to-date') {
+    console.log(`  ${colors.green}✓ Up to date with ${remote.upstream}${colors.reset}`);
+    if (strategy) {
+      console.log('');
+    }
+    return;
+  }
+  
+  // Show what's different
+  const parts = [];
+  if (remote.ahead > 0) {
+    parts.push(`${colors.yellow}${remote.ahead} commit${remote.ahead !== 1 ? 's' : ''} ahead${colors.reset}`);
+  }
+  if (remote.behind > 0) {
+    parts.push(`${colors.red}${remote.behind} commit${remote.behind !== 1 ? 's' : ''} behind${colors.reset}`);
+  }
+  console.log(`  ${parts.join(', ')} ${colors.gray}(${remote.upstream})${colors.reset}`);
+  
+  if (action === 'skipped-dirty') {
+    console.log(`  ${colors.yellow}⚠ Skipping update - uncommitted changes present${colors.reset}\n`);
+  } else if (action === 'skipped-locked') {
+    console.log(`  ${colors.yellow}⚠ Skipping update - worktree is locked${colors.reset}\n`);
+  } else if (action === 'pulled' || action === 'rebased' || action === 'merged') {
+    const done = { pulled: 'Pull successful', rebased: `Rebased onto ${remote.upstream}`, merged: `Merged ${remote.upstream}` };
+    console.log(`  ${colors.green}✓ ${done[action]}${colors.reset}`);
+    if (error) console.log(`  ${colors.yellow}⚠ ${error}${colors.reset}`);
+    console.log('');
+  } else if (action === 'conflict') {
+    console.log(`  ${colors.red}✗ ${error}${colors.reset}\n`);
+  } else if (action === 'pull-failed') {
+    console.log(`  ${colors.red}✗ ${strategy === 'ff' ? 'Pull' : 'Update'} failed: ${error}${colors.reset}\n`);
+  } else if (action === 'behind') {
+    console.log(`  ${colors.cyan}Run: git -C ${wt.path} pull${colors.reset}\n`);
+  } else {
+    console.log('');
   }
 }
 
 /**
- * Check if worktree has uncommitted changes
+ * Print one row per worktree: what it was compared to and what happened
  */
-async function hasUncommittedChanges(worktreePath) {
-  try {
-    const status = await $`git -C ${worktreePath} status --porcelain`.text();
-    return status.trim().length > 0;
-  } catch {
-    return false;
-  }
+function printResultTable(records, repoRoot) {
+  printTable(
+    [
+      { key: 'branch', label: 'BRANCH' },
+      { key: 'path', label: 'PATH' },
+      { key: 'target', label: 'TARGET' },
+      { key: 'ahead', label: 'AHEAD' },
+      { key: 'behind', label: 'BEHIND' },
+      { key: 'action', label: 'RESULT' },
+      { key: 'detail', label: 'DETAIL' },
+    ],
+    records.map(({ wt, remote, action, error, conflicts }) => {
+      const tracked = remote && !remote.noUpstream;
+      const detail = conflicts.length > 0 ? `conflicts: ${conflicts.join(', ')}` : (error || '').split('\n')[0];
+      return {
+        branch: wt.branch || '(detached HEAD)',
+        path: formatPath(wt.path, repoRoot),
+        target: tracked ? remote.upstream : '',
+        ahead: tracked ? remote.ahead : '',
+        behind: tracked ? remote.behind : '',
+        action,
+        detail: detail.length > 60 ? `${detail.slice(0, 57)}...` : detail,
+      };
+    })
+  );
+  console.log('');
 }
 
 /**
- * Pull updates in a worktree
+ * Fail the run if a worktree hit conflicts or could not be updated, after
+ * the report was printed; skipped worktrees don't count
  */
-async function pullWorktree(worktreePath, branch) {
-  try {
-    await $`git -C ${worktreePath} pull --ff-only`.quiet();
-    return { success: true };
-  } catch (error) {
-    return { success: false, error: error.stderr?.toString() || error.message };
+function checkSummary({ conflicts, errors }) {
+  // Conflicts are counted among the errors as well
+  if (errors > 0) {
+    const detail = conflicts > 0 ? ` (${conflicts} with conflicts)` : '';
+    throw new WorktreeError(`${errors} worktree${errors !== 1 ? 's' : ''} could not be updated${detail}`);
   }
 }
 
@@ -91,161 +174,148 @@ async function pullWorktree(worktreePath, branch) {
  * Main function
  */
 async function main() {
-  const args = process.argv.slice(2);
+  const { format, args } = parseOutputFormat(process.argv.slice(2));
   
   // Parse arguments
-  let autoPull = false;
+  let strategy = null;
+  let onto = null;
+  let autostash = false;
+  let includeLocked = false;
+  let timings;
+  
+  const setStrategy = (value) => {
+    if (strategy && strategy !== value) {
+      throw new UsageError('Use only one of --pull, --rebase and --merge', 'worktree-sync');
+    }
+    strategy = value;
+  };
   
-  for (const arg of args) {
-    if (arg === '--pull') {
-      autoPull = true;
-    } else if (arg === '--help' || arg === '-h') {
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--pull') {
+      setStrategy('ff');
+    } else if (args[i] === '--rebase') {
+      setStrategy('rebase');
+    } else if (args[i] === '--merge') {
+      setStrategy('merge');
+    } else if (args[i] === '--onto') {
+      // The branch is optional: --onto alone means the default branch
+      if (i + 1 < args.length && !args[i + 1].startsWith('-')) {
+        onto = args[i + 1];
+        i++;
+      } else {
+        onto = true;
+      }
+    } else if (args[i] === '--autostash') {
+      autostash = true;
+    } else if (args[i] === '--include-locked') {
+      includeLocked = true;
+    } else if (args[i] === '--timings') {
+      timings = createTimings();
+    } else if (args[i] === '--help' || args[i] === '-h') {
       usage();
     } else {
-      console.error(`${colors.red}❌ Error: Unknown option '${arg}'${colors.reset}`);
-      console.log(`\nRun ${colors.cyan}/worktree-sync --help${colors.reset} for usage information`);
-      process.exit(1);
+      throw new UsageError(`Unknown option '${args[i]}'`, 'worktree-sync');
     }
   }
   
+  if (onto && !strategy) {
+    strategy = 'rebase';
+  }
+  if (onto && strategy === 'ff') {
+    throw new UsageError('--onto needs --rebase or --merge; feature branches can rarely be fast-forwarded', 'worktree-sync');
+  }
+  if (autostash && !strategy) {
+    throw new UsageError('--autostash needs --pull, --rebase, --merge or --onto', 'worktree-sync');
+  }
+  
   await checkGitRepo();
   const repoRoot = await getRepoRoot();
   
-  printHeader('Git Worktree Sync');
+  if (format !== 'json') {
+    printHeader('Git Worktree Sync');
+  }
   
   // Fetch from remote
-  console.log(`${colors.blue}ℹ Fetching from remote...${colors.reset}`);
-  try {
-    await $`git fetch origin`;
-    console.log(`${colors.green}✓ Fetch complete${colors.reset}\n`);
-  } catch (error) {
-    console.error(`${colors.red}❌ Error: Failed to fetch from remote${colors.reset}`);
-    if (error.stderr) {
-      console.error(error.stderr.toString());
-    }
-    process.exit(1);
+  if (format === 'text') cliReporter('info', 'Fetching from remote...');
+  const remotes = timings
+    ? await timings.measure('fetch', () => fetchRemote())
+    : await fetchRemote();
+  if (format === 'text') {
+    cliReporter('success', `Fetched ${remotes.join(', ')}`);
+    console.log('');
+    printSeparator();
+    console.log('');
   }
   
-  printSeparator();
-  console.log('');
-  
+  const ontoRef = onto ? await resolveOntoRef(onto === true ? null : onto) : null;
   const worktrees = await getWorktrees();
   
-  if (worktrees.length === 0) {
+  if (worktrees.length === 0 && format !== 'json') {
     console.log(`${colors.gray}No worktrees found${colors.reset}\n`);
     return;
   }
   
-  let updatedCount = 0;
-  let errorCount = 0;
-  let upToDateCount = 0;
+  // Text output is streamed in worktree order while syncing; table and JSON
+  // are printed at the end
+  const records = await syncWorktrees(worktrees, {
+    strategy,
+    onto: ontoRef,
+    autostash,
+    includeLocked,
+    timings,
+    onRecord: (record) => {
+      if (format === 'text') printRecord(record, repoRoot, strategy);
+    },
+  });
   
-  // Process each worktree
-  for (const wt of worktrees) {
-    const isMain = wt.path === repoRoot;
-    const displayPath = formatPath(wt.path, repoRoot);
-    
-    // Print worktree header
-    if (isMain) {
-      console.log(`${colors.cyan}${displayPath}${colors.reset} ${colors.blue}(main)${colors.reset}`);
-    } else {
-      console.log(`${colors.cyan}.${displayPath}${colors.reset}`);
-    }
-    
-    if (!wt.branch) {
-      console.log(`  ${colors.gray}Detached HEAD - skipping${colors.reset}\n`);
-      continue;
-    }
-    
-    console.log(`  ${colors.blue}Branch:${colors.reset} ${wt.branch}`);
-    
-    // Get remote status
-    const remote = await getRemoteStatus(wt.path, wt.branch);
+  const report = buildSyncReport(repoRoot, records, strategy, { remotes, onto: ontoRef, autostash });
+  const { updated, upToDate, behind, conflicts, skipped, errors } = report.summary;
+  
+  if (format === 'json') {
+    printJson(timings ? { ...report, timings: timings.summary() } : report);
+    checkSummary(report.summary);
+    return;
+  }
+  
+  // Updates always end with a table of what happened to each worktree
+  if (format === 'table' || strategy) {
+    printResultTable(records, repoRoot);
+  }
+  
+  printSeparator();
+  
+  // Summary
+  if (strategy) {
+    console.log(`${colors.gray}Summary: ${updated} updated, ${upToDate} up to date, ${skipped} skipped, ${conflicts} conflicts, ${errors} errors${colors.reset}\n`);
     
-    if (!remote || remote.noUpstream) {
-      console.log(`  ${colors.gray}No remote tracking branch${colors.reset}\n`);
-      continue;
+    const hit = (action) => records.some(r => r.action === action);
+    if (hit('conflict')) {
+      console.log(`${colors.yellow}Conflicting worktrees were left unchanged. Rebase or merge them by hand.${colors.reset}`);
     }
-    
-    // Show remote status
-    if (remote.upToDate) {
-      console.log(`  ${colors.green}✓ Up to date with ${remote.upstream}${colors.reset}`);
-      upToDateCount++;
-      
-      if (autoPull) {
-        console.log('');
-      }
-      continue;
+    if (hit('skipped-locked')) {
+      console.log(`${colors.yellow}Locked worktrees were skipped. Unlock them or rerun with --include-locked.${colors.reset}`);
     }
-    
-    // Show what's different
-    const parts = [];
-    if (remote.ahead > 0) {
-      parts.push(`${colors.yellow}${remote.ahead} commit${remote.ahead !== 1 ? 's' : ''} ahead${colors.reset}`);
+    if (hit('skipped-dirty')) {
+      console.log(`${colors.yellow}Worktrees with uncommitted changes were skipped. Commit them or rerun with --autostash.${colors.reset}`);
     }
-    if (remote.behind > 0) {
-      parts.push(`${colors.red}${remote.behind} commit${remote.behind !== 1 ? 's' : ''} behind${colors.reset}`);
+    if (hit('pull-failed') && strategy === 'ff') {
+      console.log(`${colors.yellow}Branches with local commits can't be fast-forwarded. Rerun with --rebase or --merge.${colors.reset}`);
     }
-    console.log(`  ${parts.join(', ')}`);
-    
-    // If behind and auto-pull enabled
-    if (remote.behind > 0 && autoPull) {
-      // Check for uncommitted changes
-      const hasChanges = await hasUncommittedChanges(wt.path);
-      
-      if (hasChanges) {
-        console.log(`  ${colors.yellow}⚠ Skipping pull - uncommitted changes present${colors.reset}\n`);
-        errorCount++;
-        continue;
-      }
-      
-      console.log(`  ${colors.blue}ℹ Pulling updates...${colors.reset}`);
-      const result = await pullWorktree(wt.path, wt.branch);
-      
-      if (result.success) {
-        console.log(`  ${colors.green}✓ Pull successful${colors.reset}\n`);
-        updatedCount++;
-      } else {
-        console.log(`  ${colors.red}✗ Pull failed: ${result.error}${colors.reset}\n`);
-        errorCount++;
-      }
-    } else if (remote.behind > 0) {
-      console.log(`  ${colors.cyan}Run: git -C ${wt.path} pull${colors.reset}\n`);
-    } else {
+    if (errors + skipped > 0) {
       console.log('');
     }
+  } else if (behind > 0) {
+    console.log(`${colors.yellow}${behind} worktree${behind !== 1 ? 's have' : ' has'} updates available${colors.reset}`);
+    console.log(`${colors.cyan}Run /worktree-sync --pull (or --rebase) to update all worktrees${colors.reset}\n`);
+  } else {
+    console.log(`${colors.green}All worktrees are up to date${colors.reset}\n`);
   }
   
-  printSeparator();
-  
-  // Summary
-  if (autoPull) {
-    console.log(`${colors.gray}Summary: ${updatedCount} updated, ${upToDateCount} up to date, ${errorCount} errors${colors.reset}\n`);
-    
-    if (errorCount > 0) {
-      console.log(`${colors.yellow}Some worktrees could not be updated. Check for uncommitted changes.${colors.reset}\n`);
-    }
-  } else {
-    const behindStatuses = await Promise.all(
-      worktrees.map(async wt => {
-        if (!wt.branch) return false;
-        const remote = await getRemoteStatus(wt.path, wt.branch);
-        return remote && !remote.noUpstream && remote.behind > 0;
-      })
-    );
-    const behindCount = behindStatuses.filter(Boolean).length;
-    
-    if (behindCount > 0) {
-      console.log(`${colors.yellow}${behindCount} worktree${behindCount !== 1 ? 's have' : ' has'} updates available${colors.reset}`);
-      console.log(`${colors.cyan}Run /worktree-sync --pull to update all worktrees${colors.reset}\n`);
-    } else {
-      console.log(`${colors.green}All worktrees are up to date${colors.reset}\n`);
-    }
+  if (timings) {
+    printTimings(timings.summary(), repoRoot);
   }
+  
+  checkSummary(report.summary);
 }
 
-main().catch((error) => {
-  console.error(`${colors.red}❌ Error: ${error.message || error}${colors.reset}`);
-  if (error.stderr) console.error(error.stderr);
-  process.exit(1);
-});
+main().catch(handleCliError);
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+
+/**
+ * Git Worktree Unlock Script
+ * 
+ * Unlocks a worktree locked with /worktree-lock or git worktree lock
+ */
+
+import {
+  colors,
+  checkGitRepo,
+  unlockWorktree,
+  parseOutputFormat,
+  log,
+  printJson,
+  printHeader,
+  cliReporter,
+  UsageError,
+  handleCliError,
+} from "./worktree-common.mjs";
+
+/**
+ * Print usage information
+ */
+function usage() {
+  console.log(`
+${colors.blue}Usage:${colors.reset} /worktree-unlock <branch|path|alias> [options]
+
+${colors.blue}Unlocks a worktree${colors.reset}
+
+${colors.blue}Arguments:${colors.reset}
+  <branch|path|alias> Worktree to unlock
+
+${colors.blue}Options:${colors.reset}
+  --json              Print the result as JSON (progress goes to stderr)
+  --help, -h          Show this help message
+
+${colors.blue}Examples:${colors.reset}
+  ${colors.cyan}/worktree-unlock feature-auth${colors.reset}
+`);
+  process.exit(0);
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const { format, args } = parseOutputFormat(process.argv.slice(2));
+  const json = format === 'json';
+  
+  // Parse arguments
+  let query = null;
+  
+  for (const arg of args) {
+    if (arg === '--help' || arg === '-h') {
+      usage();
+    } else if (arg.startsWith('-')) {
+      throw new UsageError(`Unknown option '${arg}'`, 'worktree-unlock');
+    } else if (!query) {
+      query = arg;
+    } else {
+      throw new UsageError('Multiple worktrees provided', 'worktree-unlock');
+    }
+  }
+  
+  if (!query) {
+    throw new UsageError('Which worktree? Pass a branch, path or alias', 'worktree-unlock');
+  }
+  
+  await checkGitRepo();
+  
+  if (!json) {
+    printHeader('Git Worktree Unlock');
+  }
+  
+  const result = await unlockWorktree({ query, report: cliReporter });
+  log('');
+  
+  if (json) {
+    printJson(result);
+  }
+}
+
+main().catch(handleCliError);
@@ -0,0 +1,266 @@
+/**
+ * Git Worktree Tools
+ * 
+ * Native OpenCode tools for managing git worktrees in .opencode-wt/,
+ * so the agent can create, inspect and remove worktrees itself.
+ * Shares its logic with the /worktree-* command scripts and runs git in
+ * the session's project directory.
+ */
+
+import { tool } from "@opencode-ai/plugin"
+import {
+  checkGitRepo,
+  getRepoRoot,
+  getWorktrees,
+  getWorktreeMetadata,
+  addWorktree,
+  addPullRequestWorktree,
+  addIssueWorktree,
+  removeWorktree,
+  lockWorktree,
+  unlockWorktree,
+  moveWorktree,
+  findWorktree,
+  migrateWorktrees,
+  collectWorktreeStatus,
+  openOpenCodeSession,
+  recordWorktreeOpened,
+  setWorktreeNote,
+  buildListReport,
+  buildStatusReport,
+  UsageError,
+} from "./worktree-common.mjs"
+import { fetchRemote, resolveOntoRef, syncWorktrees, buildSyncReport, SYNC_STRATEGIES } from "./worktree-sync-lib.mjs"
+import { findPruneCandidates, pruneWorktrees, buildPruneReport } from "./worktree-prune-lib.mjs"
+import { diagnoseWorktrees, applyDoctorFixes, buildDoctorReport } from "./worktree-doctor-lib.mjs"
+
+/**
+ * Run a worktree operation and return its result as JSON text
+ */
+async function run(operation) {
+  try {
+    return JSON.stringify(await operation(), null, 2);
+  } catch (error) {
+    let output = `❌ Error: ${error.message || error}`;
+    if (error.stderr) output += `\n\n${error.stderr.toString().trim()}`;
+    if (error.details) output += `\n\n${error.details}`;
+    if (error.hint) output += `\n\n${error.hint}`;
+    return output;
+  }
+}
+
+export const add = tool({
+  description: "Create a git worktree for a branch in .opencode-wt/<branch> ('/' in the branch becomes '+'). Checks out an existing local or remote branch, or creates a new one. With `pr`, checks out a pull request (also from forks) into .opencode-wt/pr-<number>; with `issue`, creates a branch named after the issue.",
+  args: {
+    branch: tool.schema.string().optional().describe("Branch to check out or create (not needed with pr or issue)"),
+    from: tool.schema.string().optional().describe("Base branch for a new branch (default: current HEAD, or the default branch for issues)"),
+    pr: tool.schema.number().int().optional().describe("Pull request number to check out"),
+    issue: tool.schema.number().int().optional().describe("Issue number to create a <number>-<title> branch for"),
+    alias: tool.schema.string().optional().describe("Short name to find the worktree by later (letters, digits, '.', '_', '-')"),
+    setup: tool.schema.boolean().optional().describe("Copy files and run post-create hooks from .opencode-wt.json (default: true)"),
+  },
+  async execute(args, context) {
+    const options = { alias: args.alias || null, setup: args.setup !== false, cwd: context.directory };
+    return run(() => {
+      if (args.pr !== undefined) {
+        return addPullRequestWorktree({ number: args.pr, ...options });
+      }
+      if (args.issue !== undefined) {
+        return addIssueWorktree({ number: args.issue, from: args.from, ...options });
+      }
+      if (!args.branch) {
+        throw new UsageError('Pass a branch, pr or issue');
+      }
+      return addWorktree({ branch: args.branch, from: args.from, ...options });
+    });
+  },
+});
+
+export const list = tool({
+  description: "List all git worktrees with their branch, commit, lock/prunable state, aliases and metadata (creation time, base branch, linked PR or issue, note, last opened)",
+  args: {},
+  async execute(args, context) {
+    return run(async () => {
+      await checkGitRepo(context.directory);
+      const repoRoot = await getRepoRoot(context.directory);
+      return buildListReport(repoRoot, await getWorktrees(repoRoot), context.directory, await getWorktreeMetadata(repoRoot));
+    });
+  },
+});
+
+export const status = tool({
+  description: "Show uncommitted changes, ahead/behind counts, last commit and metadata (note, linked PR or issue) for every git worktree",
+  args: {},
+  async execute(args, context) {
+    return run(async () => {
+      await checkGitRepo(context.directory);
+      const repoRoot = await getRepoRoot(context.directory);
+      const records = await collectWorktreeStatus(await getWorktrees(repoRoot));
+      return buildStatusReport(repoRoot, records, await getWorktreeMetadata(repoRoot));
+    });
+  },
+});
+
+export const sync = tool({
+  description: "Fetch from the remotes and report which worktrees are behind their upstream, optionally fast-forwarding, rebasing or merging them. Rebases and merges that conflict are aborted.",
+  args: {
+    pull: tool.schema.boolean().optional().describe("Fast-forward worktrees that are behind and have no uncommitted changes (same as strategy 'ff')"),
+    strategy: tool.schema.enum(SYNC_STRATEGIES).optional().describe("How to update worktrees that are behind: ff, rebase or merge"),
+    onto: tool.schema.string().optional().describe("Update every other worktree from this branch (e.g. main) on the default remote instead of its own upstream; defaults the strategy to rebase"),
+    autostash: tool.schema.boolean().optional().describe("Stash uncommitted changes around the update instead of skipping dirty worktrees"),
+    includeLocked: tool.schema.boolean().optional().describe("Also update locked worktrees (skipped by default)"),
+  },
+  async execute(args, context) {
+    return run(async () => {
+      await checkGitRepo(context.directory);
+      const repoRoot = await getRepoRoot(context.directory);
+      const remotes = await fetchRemote(repoRoot);
+      
+      const strategy = args.strategy || (args.onto ? 'rebase' : args.pull ? 'ff' : null);
+      const onto = args.onto ? await resolveOntoRef(args.onto, repoRoot) : null;
+      const autostash = Boolean(args.autostash);
+      const records = await syncWorktrees(await getWorktrees(repoRoot), { strategy, onto, autostash, includeLocked: Boolean(args.includeLocked) });
+      return buildSyncReport(repoRoot, records, strategy, { remotes, onto, autostash });
+    });
+  },
+});
+
+export const remove = tool({
+  description: "Remove the git worktree for a branch. Fails on uncommitted changes or a lock unless forced.",
+  args: {
+    branch: tool.schema.string().describe("Branch, path or alias of the worktree to remove"),
+    force: tool.schema.boolean().optional().describe("Remove even with uncommitted changes or a lock (and force-delete the branch)"),
+    deleteBranch: tool.schema.boolean().optional().describe("Also delete the branch after removing the worktree"),
+  },
+  async execute(args, context) {
+    return run(() => removeWorktree({
+      branch: args.branch,
+      force: Boolean(args.force),
+      deleteBranch: Boolean(args.deleteBranch),
+      cwd: context.directory,
+    }));
+  },
+});
+
+export const lock = tool({
+  description: "Lock a git worktree (git worktree lock) so prune, remove, move and bulk updates leave it alone",
+  args: {
+    branch: tool.schema.string().describe("Branch, path or alias of the worktree to lock"),
+    reason: tool.schema.string().optional().describe("Why it is locked (shown by worktree_list)"),
+  },
+  async execute(args, context) {
+    return run(() => lockWorktree({ query: args.branch, reason: args.reason || null, cwd: context.directory }));
+  },
+});
+
+export const unlock = tool({
+  description: "Unlock a locked git worktree",
+  args: {
+    branch: tool.schema.string().describe("Branch, path or alias of the worktree to unlock"),
+  },
+  async execute(args, context) {
+    return run(() => unlockWorktree({ query: args.branch, cwd: context.directory }));
+  },
+});
+
+export const move = tool({
+  description: "Rename a worktree's branch and move its directory to .opencode-wt/<new branch> together. Fails on locked worktrees unless forced.",
+  args: {
+    branch: tool.schema.string().describe("Branch, path or alias of the worktree to move"),
+    newBranch: tool.schema.string().describe("New branch name"),
+    force: tool.schema.boolean().optional().describe("Move even if the worktree is locked"),
+  },
+  async execute(args, context) {
+    return run(() => moveWorktree({
+      query: args.branch,
+      newBranch: args.newBranch,
+      force: Boolean(args.force),
+      cwd: context.directory,
+    }));
+  },
+});
+
+export const prune = tool({
+  description: "Find worktrees whose branch was merged, whose upstream is gone, whose directory is missing or that are stale, and optionally remove them. Dirty and locked worktrees are never removed.",
+  args: {
+    dryRun: tool.schema.boolean().optional().describe("Only report candidates without removing anything (default: true)"),
+    base: tool.schema.string().optional().describe("Branch to check merges against (default: the repo's default branch)"),
+    staleDays: tool.schema.number().optional().describe("Also prune worktrees untouched for this many days"),
+    deleteBranch: tool.schema.boolean().optional().describe("Also delete the branches of removed worktrees"),
+  },
+  async execute(args, context) {
+    return run(async () => {
+      const dryRun = args.dryRun !== false;
+      const { repoRoot, base, candidates } = await findPruneCandidates({
+        base: args.base || null,
+        staleDays: args.staleDays ?? null,
+        cwd: context.directory,
+      });
+      const result = dryRun
+        ? undefined
+        : await pruneWorktrees(repoRoot, candidates, { deleteBranch: Boolean(args.deleteBranch) });
+      return buildPruneReport(repoRoot, base, candidates, result, dryRun);
+    });
+  },
+});
+
+export const doctor = tool({
+  description: "Check worktree health: disk usage per worktree (and its node_modules, .venv, ...), missing or hand-moved directories, broken links to the repository, stale locks, deleted upstreams and the .gitignore entry. With fix, runs git worktree repair/unlock/prune and fixes .gitignore.",
+  args: {
+    fix: tool.schema.boolean().optional().describe("Apply the fixes that are safe to apply (default: false)"),
+    sizes: tool.schema.boolean().optional().describe("Measure disk usage (default: true)"),
+    staleLockDays: tool.schema.number().optional().describe("Report locks older than this many days (default: 30)"),
+  },
+  async execute(args, context) {
+    return run(async () => {
+      const { repoRoot, worktrees, issues } = await diagnoseWorktrees({
+        sizes: args.sizes !== false,
+        staleLockDays: args.staleLockDays ?? undefined,
+        cwd: context.directory,
+      });
+      const result = args.fix ? await applyDoctorFixes(repoRoot, issues) : null;
+      return buildDoctorReport(repoRoot, worktrees, issues, result);
+    });
+  },
+});
+
+export const migrate = tool({
+  description: "Move worktrees of branches with '/' from nested directories to their flat .opencode-wt/ paths (feature/auth -> feature+auth) and rebuild the worktree registry",
+  args: {
+    dryRun: tool.schema.boolean().optional().describe("Only report what would be moved (default: false)"),
+  },
+  async execute(args, context) {
+    return run(() => migrateWorktrees({ dryRun: Boolean(args.dryRun), cwd: context.directory }));
+  },
+});
+
+export const note = tool({
+  description: "Attach a note to a git worktree (what it is for, what is left to do); it is shown by worktree_list and worktree_status. An empty note clears it.",
+  args: {
+    branch: tool.schema.string().describe("Branch, path or alias of the worktree"),
+    note: tool.schema.string().describe("Note text; empty to clear the note"),
+  },
+  async execute(args, context) {
+    return run(() => setWorktreeNote({ query: args.branch, note: args.note, cwd: context.directory }));
+  },
+});
+
+const switchTool = tool({
+  description: "Open a new OpenCode session in the git worktree for a branch",
+  args: {
+    branch: tool.schema.string().describe("Branch, path or alias of the worktree to open"),
+  },
+  async execute(args, context) {
+    return run(async () => {
+      const { worktree } = await findWorktree(args.branch, context.directory);
+      const opened = await openOpenCodeSession(worktree.path);
+      if (opened) {
+        await recordWorktreeOpened(worktree, context.directory);
+      }
+      return { opened, branch: worktree.branch, path: worktree.path };
+    });
+  },
+});
+
+// `switch` is a reserved word, so it can only be exported under an alias
+export { switchTool as switch };